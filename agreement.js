@@ -0,0 +1,393 @@
+/**
+ * agreement.js — Offline agreement analysis between engine answers → agreement.json.
+ *
+ * Runs after every collection, with no network and no LLM, so there is
+ * something beyond the raw answers even when synthesis is skipped or
+ * unavailable. Each answer is split into sentences (code blocks and tables
+ * are left out), sentences are compared across engines by word overlap
+ * (Dice coefficient over stemmed, stop-word-free tokens), and the figures
+ * and names in them are lined up:
+ *
+ *   agreement.json
+ *   {
+ *     "version": 1,
+ *     "engines": ["ChatGPT", "Claude", ...],
+ *     "pairs":   [{ a, b, score }],          // 0..1, mean best-sentence overlap
+ *     "summary": [{ engine, sentences, shared, unique }],
+ *     "unique":  [{ engine, text, start, end }],
+ *     "conflicts": [{ kind: "number" | "date", context,
+ *                     values: [{ engine, value, spans: [[start, end]] }] }],
+ *     "entities":  [{ name, engines: [...], missing: [...] }]
+ *   }
+ *
+ *   unique    — sentences no other engine says anything close to
+ *   conflicts — matching sentences that give different numbers or years
+ *   entities  — capitalized names mentioned by some engines but not all
+ *
+ * start/end are character offsets into the answer's body (readBody()), so
+ * the viewer can highlight them inline with highlightAnswer().
+ *
+ * Usage:
+ *   const { writeAgreement, readAgreement } = require('./agreement');
+ *   writeAgreement(promptDir, [{ engine: "ChatGPT", path: ".../chatgpt.md" }]);
+ *
+ *   node agreement.js <folder>    — (re)analyze a stored collection
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readBody } = require("./meta");
+
+const AGREEMENT_FILE = "agreement.json";
+const AGREEMENT_VERSION = 1;
+/** Sentences at least this similar say the same thing */
+const SHARED_THRESHOLD = 0.4;
+/** Sentences whose best match elsewhere is below this are unique */
+const UNIQUE_THRESHOLD = 0.2;
+/** Sentences at least this similar are about the same thing, so their figures should match */
+const CONTEXT_THRESHOLD = 0.3;
+const MIN_TOKENS = 3;
+const MAX_ENTITIES = 60;
+
+const STOP_WORDS = new Set(`
+a about above after again all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has
+have having he her here hers him his how i if in into is it its itself just may might more most
+much must my no nor not now of off on once only or other our out over own same she should so
+some such than that the their them then there these they this those through to too under until
+up us very was we were what when where which while who whom why will with would you your
+`.trim().split(/\s+/));
+
+const MONTHS = "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const DATE_PATTERN = new RegExp(
+  `\\b(?:\\d{4}-\\d{2}-\\d{2}|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}\\s+(?:${MONTHS})\\.?,?\\s+\\d{4}|(?:${MONTHS})\\.?\\s+\\d{4}|(?:1[6-9]|20)\\d{2})\\b`,
+  "gi"
+);
+const NUMBER_PATTERN = /[$€£]?\b\d+(?:[.,]\d+)*(?:\s?(?:%|percent|k|m|bn|million|billion|thousand|x|ms|gb|mb|kb|tb|km|kg|mph))?\b%?/gi;
+
+// ---------------------------------------------------------------------------
+// TEXT
+// ---------------------------------------------------------------------------
+
+/** Markdown inline syntax → plain text, same length, so offsets still line up */
+function maskInline(text) {
+  return text
+    .replace(/\]\([^)]*\)/g, (m) => " ".repeat(m.length))     // link targets
+    .replace(/\[\^?\d+\]/g, (m) => " ".repeat(m.length))      // footnote markers
+    .replace(/https?:\/\/\S+/g, (m) => " ".repeat(m.length))
+    .replace(/[*_`[\]]/g, " ");
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9'+#.-]*[a-z0-9+#]|[a-z0-9]/g) || [])
+    .filter((w) => !STOP_WORDS.has(w))
+    .map((w) => (w.length > 4 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w));
+}
+
+/**
+ * Sentences of a markdown answer with their offsets in it. Headings, list
+ * items and quotes count as text; fenced code, tables and rules don't.
+ * @returns {Array<{start, end, text, masked, tokens: Set<string>}>}
+ */
+function splitSentences(md) {
+  const out = [];
+  let inFence = false;
+  let offset = 0;
+  for (const line of md.split("\n")) {
+    const lineStart = offset;
+    offset += line.length + 1;
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || /^\s*\|/.test(line) || /^\s*([-*_]\s*){3,}$/.test(line)) continue;
+
+    const prefix = line.match(/^\s*(?:#{1,6}\s+|>\s*|[-*+]\s+|\d+[.)]\s+)*/)[0].length;
+    const masked = maskInline(line);
+    // Sentence ends: . ! ? followed by a space and something that starts a sentence
+    const boundary = /[.!?]+["')\]]*\s+(?=["'(*_[]*[A-Z0-9])/g;
+    let start = prefix;
+    let m;
+    const push = (end) => {
+      const raw = line.slice(start, end);
+      const lead = raw.length - raw.trimStart().length;
+      const s = start + lead;
+      const e = start + raw.trimEnd().length;
+      const tokens = new Set(tokenize(masked.slice(s, e)));
+      if (tokens.size >= MIN_TOKENS) {
+        out.push({
+          start: lineStart + s,
+          end: lineStart + e,
+          text: masked.slice(s, e).replace(/\s+/g, " ").trim(),
+          masked: masked.slice(s, e),
+          tokens,
+        });
+      }
+    };
+    while ((m = boundary.exec(line))) {
+      const end = m.index + m[0].trimEnd().length;
+      if (end > start) push(end);
+      start = m.index + m[0].length;
+    }
+    if (start < line.length) push(line.length);
+  }
+  return out;
+}
+
+/** Dice coefficient of two token sets */
+function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let common = 0;
+  for (const t of a) if (b.has(t)) common++;
+  return (2 * common) / (a.size + b.size);
+}
+
+/** Best-matching sentence of another engine */
+function bestMatch(sentence, others) {
+  let best = null;
+  let score = 0;
+  for (const o of others) {
+    const s = similarity(sentence.tokens, o.tokens);
+    if (s > score) {
+      score = s;
+      best = o;
+    }
+  }
+  return { sentence: best, score };
+}
+
+// ---------------------------------------------------------------------------
+// FIGURES AND NAMES
+// ---------------------------------------------------------------------------
+
+/**
+ * Dates and numbers in a sentence, as offsets into the answer. A date is
+ * compared by its year, a number by its digits (units and separators are
+ * ignored, so only real disagreements show).
+ */
+function extractFigures(sentence) {
+  const figures = { date: [], number: [] };
+  let text = sentence.masked;
+  for (const m of text.matchAll(DATE_PATTERN)) {
+    figures.date.push({ raw: m[0], key: m[0].match(/\d{4}/)[0], start: sentence.start + m.index, end: sentence.start + m.index + m[0].length });
+  }
+  text = text.replace(DATE_PATTERN, (m) => " ".repeat(m.length));
+  for (const m of text.matchAll(NUMBER_PATTERN)) {
+    const digits = m[0].replace(/[^\d.,]/g, "").replace(/,/g, "");
+    figures.number.push({ raw: m[0], key: String(parseFloat(digits)), start: sentence.start + m.index, end: sentence.start + m.index + m[0].length });
+  }
+  return figures;
+}
+
+/**
+ * Capitalized names in a sentence. Function words capitalized only because
+ * they open the sentence ("The Tokio runtime") are not part of the name. A
+ * lone capitalized word opening it is flagged as such: it only counts when
+ * the name also shows up mid-sentence.
+ * @returns {Array<{name, opening: boolean}>}
+ */
+function extractEntities(sentence) {
+  const names = [];
+  const pattern = /\b[A-Z][A-Za-z0-9]*(?:[.+#]?[A-Za-z0-9]+)*(?:\s+(?:of\s+|de\s+|the\s+)?[A-Z][A-Za-z0-9]*)*/g;
+  const text = sentence.masked;
+  const first = text.search(/\S/);
+  for (const m of text.matchAll(pattern)) {
+    const words = m[0].trim().split(/\s+/);
+    let lead = 0;
+    while (lead < words.length - 1 && STOP_WORDS.has(words[lead].toLowerCase())) lead++;
+    const name = words.slice(lead).join(" ");
+    const multi = /\s/.test(name) || /[A-Z].*[A-Z]|\d/.test(name.slice(1));
+    if (name.length < 2 || STOP_WORDS.has(name.toLowerCase())) continue;
+    names.push({ name, opening: m.index === first && !lead && !multi });
+  }
+  return names;
+}
+
+// ---------------------------------------------------------------------------
+// ANALYSIS
+// ---------------------------------------------------------------------------
+
+/**
+ * Agreement between answers.
+ * @param {Array<{engine: string, text: string}>} answers — markdown bodies
+ * @returns {object} agreement.json contents (without version/createdAt)
+ */
+function analyzeAgreement(answers) {
+  const engines = answers.map((a) => a.engine);
+  const sentences = new Map(answers.map((a) => [a.engine, splitSentences(a.text)]));
+  const others = (engine) => engines.filter((e) => e !== engine);
+
+  // Pairwise overlap: how much of each answer has a close match in the other
+  const coverage = (a, b) => {
+    const list = sentences.get(a);
+    if (!list.length) return 0;
+    return list.reduce((sum, s) => sum + bestMatch(s, sentences.get(b)).score, 0) / list.length;
+  };
+  const pairs = [];
+  for (let i = 0; i < engines.length; i++) {
+    for (let j = i + 1; j < engines.length; j++) {
+      const score = (coverage(engines[i], engines[j]) + coverage(engines[j], engines[i])) / 2;
+      pairs.push({ a: engines[i], b: engines[j], score: Math.round(score * 100) / 100 });
+    }
+  }
+
+  const summary = [];
+  const unique = [];
+  const conflicts = [];
+  const inConflict = new Set();
+  const mentions = new Map();
+
+  for (const engine of engines) {
+    let shared = 0;
+    for (const s of sentences.get(engine)) {
+      const matches = others(engine).map((o) => ({ engine: o, ...bestMatch(s, sentences.get(o)) }));
+      const best = Math.max(0, ...matches.map((m) => m.score));
+      if (best >= SHARED_THRESHOLD) shared++;
+      if (best < UNIQUE_THRESHOLD) unique.push({ engine, text: s.text, start: s.start, end: s.end });
+
+      for (const { name, opening } of extractEntities(s)) {
+        const key = name.toLowerCase();
+        if (!mentions.has(key)) mentions.set(key, { name, engines: new Set(), openers: new Set() });
+        mentions.get(key)[opening ? "openers" : "engines"].add(engine);
+      }
+
+      // Figures: a matching sentence elsewhere that gives different ones
+      const figures = extractFigures(s);
+      for (const kind of ["number", "date"]) {
+        if (!figures[kind].length || inConflict.has(`${kind}:${engine}:${s.start}`)) continue;
+        const mine = new Set(figures[kind].map((f) => f.key));
+        const values = [];
+        for (const m of matches) {
+          if (m.score < CONTEXT_THRESHOLD) continue;
+          const theirs = extractFigures(m.sentence)[kind];
+          if (!theirs.length || theirs.some((f) => mine.has(f.key))) continue;
+          values.push({ engine: m.engine, value: theirs.map((f) => f.raw).join(", "), spans: theirs.map((f) => [f.start, f.end]) });
+          inConflict.add(`${kind}:${m.engine}:${m.sentence.start}`);
+        }
+        if (!values.length) continue;
+        values.unshift({ engine, value: figures[kind].map((f) => f.raw).join(", "), spans: figures[kind].map((f) => [f.start, f.end]) });
+        conflicts.push({ kind, context: s.text, values });
+      }
+    }
+    summary.push({ engine, sentences: sentences.get(engine).length, shared, unique: unique.filter((u) => u.engine === engine).length });
+  }
+
+  const entities = [...mentions.values()]
+    .filter((m) => m.engines.size)
+    .map((m) => ({ name: m.name, engines: new Set([...m.engines, ...m.openers]) }))
+    .filter((m) => m.engines.size < engines.length)
+    .sort((a, b) => b.engines.size - a.engines.size || a.name.localeCompare(b.name))
+    .slice(0, MAX_ENTITIES)
+    .map((m) => ({ name: m.name, engines: engines.filter((e) => m.engines.has(e)), missing: engines.filter((e) => !m.engines.has(e)) }));
+
+  return { engines, pairs, summary, unique, conflicts, entities };
+}
+
+// ---------------------------------------------------------------------------
+// STORAGE
+// ---------------------------------------------------------------------------
+
+/**
+ * Analyze the answers in a folder and write agreement.json.
+ * @param {string} dir — collection or turn folder
+ * @param {Array<{engine, path}>} responseFiles
+ * @returns {string|null} path written, null with fewer than two answers
+ */
+function writeAgreement(dir, responseFiles) {
+  if (responseFiles.length < 2) return null;
+  const answers = responseFiles.map((r) => ({ engine: r.engine, text: readBody(r.path) }));
+  const doc = { version: AGREEMENT_VERSION, createdAt: new Date().toISOString(), ...analyzeAgreement(answers) };
+  const filePath = path.join(dir, AGREEMENT_FILE);
+  fs.writeFileSync(filePath, JSON.stringify(doc, null, 2), "utf-8");
+  console.log(`  OK  Agreement: ${doc.unique.length} unique statements, ${doc.conflicts.length} differing figures`);
+  return filePath;
+}
+
+/** @returns {object|null} agreement.json of a folder, null if there is none */
+function readAgreement(dir) {
+  const filePath = path.join(dir, AGREEMENT_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function escapeAttr(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * An engine's answer body with <mark> tags around its unique statements and
+ * its differing figures, ready for marked().
+ * @param {string} body — readBody() of the answer
+ * @param {object} doc — agreement.json
+ * @param {string} engine
+ */
+function highlightAnswer(body, doc, engine) {
+  const spans = [];
+  for (const u of doc.unique || []) {
+    if (u.engine !== engine) continue;
+    spans.push({ start: u.start, end: u.end, depth: 0, open: `<mark class="agree-unique" title="Only ${escapeAttr(engine)} says this">` });
+  }
+  for (const c of doc.conflicts || []) {
+    const mine = c.values.find((v) => v.engine === engine);
+    if (!mine) continue;
+    const title = c.values.filter((v) => v !== mine).map((v) => `${v.engine}: ${v.value}`).join(" · ");
+    for (const [start, end] of mine.spans) {
+      spans.push({ start, end, depth: 1, open: `<mark class="agree-conflict" title="${escapeAttr(title)}">` });
+    }
+  }
+  if (!spans.length) return body;
+
+  // Insert tags back to front; at one offset, inner spans close before outer ones and open after them
+  const tags = [];
+  for (const s of spans) {
+    if (s.end > body.length || s.start >= s.end) continue;
+    tags.push({ at: s.start, order: 2 + s.depth, text: s.open });
+    tags.push({ at: s.end, order: 1 - s.depth, text: "</mark>" });
+  }
+  tags.sort((a, b) => b.at - a.at || b.order - a.order);
+  let out = body;
+  for (const t of tags) out = out.slice(0, t.at) + t.text + out.slice(t.at);
+  return out;
+}
+
+module.exports = {
+  AGREEMENT_FILE,
+  analyzeAgreement,
+  writeAgreement,
+  readAgreement,
+  highlightAnswer,
+};
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const { config, scriptArgs } = require("./config");
+  const { readMeta, updateMeta } = require("./meta");
+  const folder = scriptArgs()[0];
+  if (!folder) {
+    console.error("Usage: node agreement.js <folder>");
+    process.exit(1);
+  }
+  const promptDir = path.resolve(config.outputDir, folder);
+  const meta = readMeta(promptDir);
+  if (!meta) {
+    console.error(`FAIL Not a collection: ${promptDir}`);
+    process.exit(1);
+  }
+  const files = (dir, engines) => engines
+    .filter((e) => e.status === "ok" && e.file && fs.existsSync(path.join(dir, e.file)))
+    .map((e) => ({ engine: e.engine, path: path.join(dir, e.file) }));
+
+  const agreementFile = writeAgreement(promptDir, files(promptDir, meta.engines)) ? AGREEMENT_FILE : null;
+  const turns = (meta.turns || []).map((t) => {
+    const turnDir = path.join(promptDir, t.dir);
+    return { ...t, agreementFile: writeAgreement(turnDir, files(turnDir, t.engines || [])) ? AGREEMENT_FILE : null };
+  });
+  updateMeta(promptDir, (m) => ({ ...m, agreementFile, turns }));
+  require("./viewer").generateViewer(promptDir);
+}
@@ -2,10 +2,10 @@
  * clipboard-search/api.js
  *
  * REST API for the multi-AI query response collector.
- * Exposes the same functionality as collect.js and submit.js over HTTP.
+ * Exposes the same functionality as collect.js, submit.js and search.js over HTTP.
  *
- * Usage: node api.js [--port 3222]
- * Default: http://localhost:3222
+ * Usage: node api.js [--port 3222] [--host 127.0.0.1]   (or API_PORT / API_HOST, see config.js)
+ * Default: http://127.0.0.1:3222, token required (see auth.js)
  */
 
 const express = require("express");
@@ -14,34 +14,65 @@ const path = require("path");
 const CDP = require("chrome-remote-interface");
 const swaggerUi = require("swagger-ui-express");
 
+const { config, checkSetting, publicConfig } = require("./config");
+
 const {
-  ENGINES,
-  CDP_HOST,
-  CDP_PORT,
-  DEFAULT_TIMEOUT,
-  OUTPUT_DIR,
   listTabs,
   collectAll,
   synthesize,
   slugify,
 } = require("./collect");
 
-const { SUBMITTERS, submitAll } = require("./submit");
-const { getDashboardHtml } = require("./dashboard");
-
-// ---------------------------------------------------------------------------
-// CONFIG
-// ---------------------------------------------------------------------------
-const API_PORT = (() => {
-  const args = process.argv.slice(2);
-  for (let i = 0; i < args.length; i++) {
-    if (args[i] === "--port" && args[i + 1]) return parseInt(args[i + 1], 10);
-  }
-  return 3222;
-})();
+const { submitAll } = require("./submit");
+const { runSearch } = require("./search");
+const { followUp } = require("./followup");
+const { enqueueJob, runJob, getJob, listJobs, setJobListener } = require("./jobs");
+const { refreshIndex, indexFolder, searchHistory } = require("./search-index");
+const { readMeta, migrateAll, synthesisVersions } = require("./meta");
+const { readClaims, CLAIMS_FILE } = require("./claims");
+const { readAgreement } = require("./agreement");
+const { exportCollection, EXPORT_FORMATS } = require("./export");
+const { vaultConfig, syncFolder, startVaultSync } = require("./vault");
+const { synthesisConfig, resynthesize, getProvider, VERSIONS_DIR } = require("./synthesis");
+const {
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  getTemplate,
+  pickTemplate,
+  saveTemplate,
+  deleteTemplate,
+} = require("./templates");
+const { getEngines, getLoadErrors, watchEngines } = require("./registry");
+const { checkEngines, engineHealth, HEALTH_MAX_AGE } = require("./doctor");
+const { getDashboardHtml, getLoginHtml } = require("./dashboard");
+const { safeName, resolveInside, serveFile } = require("./serve");
+const {
+  TRASH_DAYS,
+  checkChanges,
+  collectionInfo,
+  updateCollection,
+  trashCollection,
+  restoreCollection,
+  inTrash,
+  purgeTrash,
+} = require("./collections");
+const {
+  TOKEN_FILE,
+  apiToken,
+  checkToken,
+  startSession,
+  endSession,
+  safeNext,
+  requireAuth,
+  corsPolicy,
+  corsOrigins,
+} = require("./auth");
 
 const app = express();
+app.use(corsPolicy());
 app.use(express.json());
+// Everything but these needs the API token (or the dashboard's session cookie)
+app.use(requireAuth({ publicPaths: ["/health", "/login", "/logout", "/docs"] }));
 
 // ---------------------------------------------------------------------------
 // OPENAPI SPEC + SWAGGER UI
@@ -52,21 +83,59 @@ const swaggerSpec = {
     title: "Clipboard Search API",
     version: "1.1.0",
     description:
-      "Multi-AI query response collector — submit prompts to AI engines via Chrome CDP, collect responses, and synthesize with Claude.",
+      "Multi-AI query response collector — submit prompts to AI engines via Chrome CDP, collect responses, and synthesize them with a configurable LLM provider.",
   },
-  servers: [{ url: "http://localhost:3222" }],
+  servers: [{ url: `http://localhost:${config.apiPort}` }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer", description: "The API token (API_TOKEN, or the one generated into .api-token)" },
+      apiKey: { type: "apiKey", in: "header", name: "X-API-Key", description: "The API token, as a header" },
+    },
+    schemas: {
+      CollectionChanges: {
+        type: "object",
+        properties: {
+          title: { type: "string", nullable: true, description: "Shown instead of the query; empty or null = the query again" },
+          tags: { type: "array", items: { type: "string" }, description: "Replaces every tag" },
+          addTags: { type: "array", items: { type: "string" } },
+          removeTags: { type: "array", items: { type: "string" } },
+          starred: { type: "boolean" },
+          archived: { type: "boolean" },
+        },
+      },
+      CollectionBulkChanges: {
+        allOf: [
+          { $ref: "#/components/schemas/CollectionChanges" },
+          { type: "object", required: ["folders"], properties: { folders: { type: "array", items: { type: "string" } } } },
+        ],
+      },
+    },
+  },
+  security: [{ bearerAuth: [] }, { apiKey: [] }],
   paths: {
     "/health": {
       get: {
         summary: "Health check",
-        description: "Check Chrome CDP connectivity.",
+        description: "Check Chrome CDP connectivity. Needs no token.",
         tags: ["System"],
+        security: [],
         responses: {
           200: { description: "CDP connected", content: { "application/json": { schema: { type: "object", properties: { status: { type: "string" }, chrome: { type: "object" } } } } } },
           503: { description: "CDP not connected" },
         },
       },
     },
+    "/config": {
+      get: {
+        summary: "Effective settings",
+        description:
+          "Every setting with its value and where it came from: default, file (config.json), env (environment or .env) or flag (command line). API keys are shown as \"(set)\" or empty.",
+        tags: ["System"],
+        responses: {
+          200: { description: "{ file, settings: { <key>: { value, source, env, flag, description } } }" },
+        },
+      },
+    },
     "/tabs": {
       get: {
         summary: "List Chrome tabs",
@@ -81,10 +150,76 @@ const swaggerSpec = {
     "/engines": {
       get: {
         summary: "List configured AI engines",
-        description: "Returns engines (response collectors) and submitters (prompt senders).",
+        description: "Returns the engine definitions loaded from engines/, plus any files that failed validation.",
+        tags: ["System"],
+        responses: {
+          200: { description: "Engine list", content: { "application/json": { schema: { type: "object", properties: { engines: { type: "array" }, errors: { type: "array" } } } } } },
+        },
+      },
+    },
+    "/engines/health": {
+      get: {
+        summary: "Engine readiness",
+        description: `Opens each engine's page in a background tab and checks: page load, signed in, no captcha / rate-limit / upgrade banner, composer (inputScript), send button (probe.submit) and, in an open conversation, the response selectors (extractScript). Each check and each engine is ok, warn, fail or skip. The last report is reused for ${HEALTH_MAX_AGE}s unless refresh=true. The check runs as a job in the queue; while another job is queued or running it is skipped and the last report (or none) comes back with busy: true. Same checks as \`node doctor.js\`.`,
         tags: ["System"],
+        parameters: [{ name: "refresh", in: "query", schema: { type: "boolean" }, description: "Check again even if the last report is recent" }],
         responses: {
-          200: { description: "Engine list", content: { "application/json": { schema: { type: "object", properties: { engines: { type: "array" }, submitters: { type: "array" } } } } } },
+          200: { description: "{ checkedAt, status, busy?, engines: [{ engine, slug, status, url, durationMs, checks: [{ name, status, detail }] }], errors }" },
+          503: { description: "Chrome not connected" },
+        },
+      },
+    },
+    "/templates": {
+      get: {
+        summary: "List synthesis templates",
+        description: "Templates from templates/*.md. With ?query=, also returns the template that query would pick by default.",
+        tags: ["Templates"],
+        parameters: [{ name: "query", in: "query", schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ count, default, suggested?, templates: [{ name, title, description, match, priority, body }] }" },
+        },
+      },
+    },
+    "/templates/{name}": {
+      get: {
+        summary: "Get a template",
+        tags: ["Templates"],
+        parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
+        responses: { 200: { description: "Template" }, 404: { description: "Template not found" } },
+      },
+      put: {
+        summary: "Create or update a template",
+        description: "The body is the system prompt; {{query}}, {{engines}} and {{date}} are filled in at synthesis time.",
+        tags: ["Templates"],
+        parameters: [{ name: "name", in: "path", required: true, schema: { type: "string", pattern: "^[a-z0-9][a-z0-9-]*$" } }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["body"],
+                properties: {
+                  title: { type: "string" },
+                  description: { type: "string" },
+                  match: { type: "string", description: "Case-insensitive regex; matching queries pick this template by default" },
+                  priority: { type: "integer", default: 0, description: "Higher wins when several templates match" },
+                  body: { type: "string", description: "System prompt" },
+                },
+              },
+            },
+          },
+        },
+        responses: { 200: { description: "Saved template" }, 400: { description: "Invalid name, pattern or empty body" } },
+      },
+      delete: {
+        summary: "Delete a template",
+        tags: ["Templates"],
+        parameters: [{ name: "name", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "Deleted" },
+          400: { description: "The default template can't be deleted" },
+          404: { description: "Template not found" },
         },
       },
     },
@@ -102,7 +237,7 @@ const swaggerSpec = {
     "/collect": {
       post: {
         summary: "Collect responses",
-        description: "Collect responses from AI engine tabs and optionally synthesize.",
+        description: "Queue a job that collects responses from AI engine tabs and optionally synthesizes.",
         tags: ["Pipeline"],
         requestBody: {
           content: {
@@ -110,24 +245,24 @@ const swaggerSpec = {
               schema: {
                 type: "object",
                 properties: {
-                  timeout: { type: "integer", default: 90, description: "Per-engine timeout in seconds" },
+                  timeout: { type: "integer", default: 90, minimum: 1, maximum: 3600, description: "Per-engine timeout in seconds" },
                   synthesize: { type: "boolean", default: true, description: "Run cross-LLM synthesis" },
+                  template: { type: "string", description: "Synthesis template (see GET /templates); default: picked from the query" },
                 },
               },
             },
           },
         },
         responses: {
-          200: { description: "Collected responses" },
-          503: { description: "Chrome not connected" },
-          504: { description: "Collection timed out" },
+          202: { description: "Job queued — poll statusUrl for progress and the collected responses" },
+          400: { description: "Unknown template or invalid timeout" },
         },
       },
     },
     "/search": {
       post: {
         summary: "Full pipeline",
-        description: "Submit prompts, wait, collect responses, and synthesize.",
+        description: "Queues a job. With a query: open a tab per engine, submit, collect and synthesize. Without one: submit the already-open tabs, wait, collect and synthesize.",
         tags: ["Pipeline"],
         requestBody: {
           content: {
@@ -135,35 +270,122 @@ const swaggerSpec = {
               schema: {
                 type: "object",
                 properties: {
-                  timeout: { type: "integer", default: 90 },
+                  query: { type: "string", description: "Question to open in every engine (omit to use tabs that are already open)" },
+                  timeout: { type: "integer", default: 90, minimum: 1, maximum: 3600 },
                   synthesize: { type: "boolean", default: true },
-                  wait: { type: "integer", default: 5, description: "Seconds to wait after submit" },
+                  wait: { type: "integer", default: 5, minimum: 0, maximum: 600, description: "Seconds to wait after submit" },
+                  template: { type: "string", description: "Synthesis template (see GET /templates); default: picked from the query" },
                 },
               },
             },
           },
         },
         responses: {
-          200: { description: "Full pipeline results" },
-          503: { description: "Chrome not connected" },
-          504: { description: "Pipeline timed out" },
+          202: { description: "Job queued — poll statusUrl for progress and the pipeline results" },
+          400: { description: "Unknown template, or invalid timeout or wait" },
+        },
+      },
+    },
+    "/jobs": {
+      get: {
+        summary: "List jobs",
+        description: "Queued, running and finished jobs, newest first. Jobs run one at a time against the shared Chrome.",
+        tags: ["Jobs"],
+        parameters: [
+          { name: "status", in: "query", required: false, schema: { type: "string", enum: ["queued", "running", "done", "failed"] } },
+        ],
+        responses: {
+          200: { description: "Job list with counts per status" },
+        },
+      },
+    },
+    "/jobs/{id}": {
+      get: {
+        summary: "Get job",
+        description: "Job status, queue position, current stage, per-engine progress and (once done) the result.",
+        tags: ["Jobs"],
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "Job" },
+          404: { description: "Job not found" },
+        },
+      },
+    },
+    "/search-history": {
+      get: {
+        summary: "Search saved collections",
+        description:
+          "Full-text search over queries, engine answers, syntheses and follow-ups in every collection. Results are grouped per collection, ranked, and carry snippets with <mark>-highlighted terms.",
+        tags: ["Responses"],
+        parameters: [
+          { name: "q", in: "query", required: true, schema: { type: "string" } },
+          { name: "engine", in: "query", required: false, schema: { type: "string" }, description: "Engine slug, or \"synthesis\" / \"query\"" },
+          { name: "from", in: "query", required: false, schema: { type: "string", format: "date" } },
+          { name: "to", in: "query", required: false, schema: { type: "string", format: "date" } },
+          { name: "limit", in: "query", required: false, schema: { type: "integer", default: 20 } },
+        ],
+        responses: {
+          200: { description: "Ranked results" },
+          400: { description: "Missing q or invalid date" },
         },
       },
     },
     "/responses": {
       get: {
         summary: "List response folders",
-        description: "List all response collection folders with metadata.",
+        description: "List all response collections with the metadata from their meta.json manifests, including title, tags, starred and archived.",
         tags: ["Responses"],
+        parameters: [
+          { name: "tag", in: "query", schema: { type: "string" }, description: "Only collections with this tag" },
+          { name: "starred", in: "query", schema: { type: "boolean" } },
+          { name: "archived", in: "query", schema: { type: "boolean" }, description: "true = only archived, false = only not archived (default: both)" },
+        ],
         responses: {
           200: { description: "Folder list" },
         },
       },
+      patch: {
+        summary: "Update several collections",
+        description: "The changes of PATCH /responses/{folder}, applied to every folder listed.",
+        tags: ["Responses"],
+        requestBody: { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/CollectionBulkChanges" } } } },
+        responses: {
+          200: { description: "{ done: [{ folder, title, tags, starred, archived }], failed: [{ folder, status, error }] }" },
+          400: { description: "No folders, or an invalid change" },
+        },
+      },
+      delete: {
+        summary: "Delete several collections",
+        description: `Move every folder listed to the trash (restorable for ${TRASH_DAYS} days).`,
+        tags: ["Responses"],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { type: "object", required: ["folders"], properties: { folders: { type: "array", items: { type: "string" } } } } } },
+        },
+        responses: {
+          200: { description: "{ done: [{ folder, deleted, deletedAt, restoreUrl }], failed: [{ folder, status, error }] }" },
+          400: { description: "No folders" },
+        },
+      },
+    },
+    "/responses/restore": {
+      post: {
+        summary: "Restore several deleted collections",
+        tags: ["Responses"],
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { type: "object", required: ["folders"], properties: { folders: { type: "array", items: { type: "string" } } } } } },
+        },
+        responses: {
+          200: { description: "{ done: [{ folder, restored }], failed: [{ folder, status, error }] }" },
+          400: { description: "No folders" },
+        },
+      },
     },
     "/responses/{folder}": {
       get: {
         summary: "Get folder contents",
-        description: "List files in a specific response folder.",
+        description: "The collection's meta.json manifest plus the markdown files in the folder.",
         tags: ["Responses"],
         parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
         responses: {
@@ -171,19 +393,204 @@ const swaggerSpec = {
           404: { description: "Folder not found" },
         },
       },
+      patch: {
+        summary: "Rename, tag, star or archive a collection",
+        description: "Saved in the collection's meta.json. Only the fields sent are changed.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        requestBody: { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/CollectionChanges" } } } },
+        responses: {
+          200: { description: "{ folder, title, tags, starred, archived }" },
+          400: { description: "Invalid change" },
+          404: { description: "Folder not found" },
+        },
+      },
+      delete: {
+        summary: "Delete a collection",
+        description: `Moves the folder to .trash in the responses folder. POST /responses/{folder}/restore brings it back; after ${TRASH_DAYS} days it is removed for good.`,
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ folder, deleted, deletedAt, restoreUrl }" },
+          404: { description: "Folder not found" },
+          409: { description: "A follow-up or synthesis job is queued or running in it" },
+        },
+      },
+    },
+    "/responses/{folder}/restore": {
+      post: {
+        summary: "Restore a deleted collection",
+        description: "Brings back the most recently deleted copy when the folder was deleted more than once.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ folder, restored }" },
+          404: { description: "Not in the trash" },
+          409: { description: "A collection with that name exists again" },
+        },
+      },
+    },
+    "/responses/{folder}/followup": {
+      post: {
+        summary: "Ask a follow-up",
+        description:
+          "Type a follow-up into each engine's open conversation, collect the new answers into turn-N/ and synthesize that turn.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["text"],
+                properties: {
+                  text: { type: "string", description: "The follow-up question" },
+                  timeout: { type: "integer", default: 90, minimum: 1, maximum: 3600, description: "Per-engine timeout in seconds" },
+                  synthesize: { type: "boolean", default: true, description: "Synthesize this turn" },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          202: { description: "Job queued — poll statusUrl for progress and the new turn" },
+          400: { description: "Missing text or invalid timeout" },
+          404: { description: "Folder not found" },
+        },
+      },
+    },
+    "/responses/{folder}/synthesize": {
+      post: {
+        summary: "Re-run synthesis",
+        description:
+          "Synthesize the collection's stored answers again. The result is saved as a new version (synthesis/<timestamp>-<template>.md) and becomes the current synthesis if it succeeds; earlier versions are kept.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        requestBody: {
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  template: { type: "string", description: "Synthesis template (see GET /templates); default: picked from the query" },
+                  provider: { type: "string", enum: ["anthropic", "cli", "openai"], description: "Defaults to SYNTHESIS_PROVIDER" },
+                  model: { type: "string", description: "Defaults to SYNTHESIS_MODEL or the provider's default" },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          202: { description: "Job queued — poll statusUrl for the new version" },
+          400: { description: "Unknown template or provider" },
+          404: { description: "Folder not found" },
+        },
+      },
+    },
+    "/responses/{folder}/synthesis": {
+      get: {
+        summary: "List synthesis versions",
+        description: "Every synthesis of the collection, oldest first, and which one is current.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ current, versions: [{ status, file, provider, model, template, claims, startedAt, finishedAt, durationMs }] }" },
+          404: { description: "Folder not found" },
+        },
+      },
+    },
+    "/responses/{folder}/synthesis/{file}": {
+      get: {
+        summary: "Get a synthesis version",
+        description: "Markdown of one version under synthesis/ (send Accept: text/markdown for the raw file).",
+        tags: ["Responses"],
+        parameters: [
+          { name: "folder", in: "path", required: true, schema: { type: "string" } },
+          { name: "file", in: "path", required: true, schema: { type: "string" } },
+        ],
+        responses: {
+          200: { description: "File content" },
+          404: { description: "Version not found" },
+        },
+      },
+    },
+    "/responses/{folder}/claims": {
+      get: {
+        summary: "Get the claims matrix",
+        description:
+          "claims.json: the individual claims in the answers, each with the engines that state it, contradict it or omit it, its kind and a confidence. Written after every successful synthesis.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ version, query, engines, provider, model, createdAt, claims: [{ id, text, kind, states, contradicts, omits, confidence, note }] }" },
+          404: { description: "No claims for this collection" },
+        },
+      },
+    },
+    "/responses/{folder}/agreement": {
+      get: {
+        summary: "Get the offline agreement analysis",
+        description:
+          "agreement.json: word overlap between engines, statements only one engine makes, numbers and dates that differ between matching statements, and names only some engines mention. Computed locally after every collection, with or without synthesis.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ version, engines, pairs, summary, unique, conflicts, entities }" },
+          404: { description: "No agreement analysis for this collection" },
+        },
+      },
+    },
+    "/responses/{folder}/export": {
+      get: {
+        summary: "Export a collection",
+        description:
+          "Download a collection as a file: html (the viewer page, self-contained), pdf (that page printed by Chrome, so Chrome must be running), docx (synthesis, claims, answers, follow-ups and sources as a Word document) or json (meta.json plus the markdown of every answer and synthesis version, sources, claims and agreement).",
+        tags: ["Responses"],
+        parameters: [
+          { name: "folder", in: "path", required: true, schema: { type: "string" } },
+          { name: "format", in: "query", required: false, schema: { type: "string", enum: ["html", "pdf", "docx", "json"], default: "html" } },
+        ],
+        responses: {
+          200: { description: "The export, as an attachment named <folder>.<format>" },
+          400: { description: "Unknown format" },
+          404: { description: "Folder not found" },
+          503: { description: "Chrome not connected (pdf only)" },
+        },
+      },
+    },
+    "/responses/{folder}/vault": {
+      post: {
+        summary: "Export a collection to the vault",
+        description:
+          "Write the collection as Obsidian or Logseq notes into the vault configured with VAULT_PATH: a parent note plus one note per engine answer and synthesis, with YAML frontmatter and wiki-links. Notes edited in the vault since the last export are kept. While the API runs with VAULT_SYNC on, changed collections are exported automatically.",
+        tags: ["Responses"],
+        parameters: [{ name: "folder", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "{ status, base, written, kept }" },
+          400: { description: "No vault configured, or the vault folder does not exist" },
+          404: { description: "Folder not found" },
+        },
+      },
     },
     "/responses/{folder}/{file}": {
       get: {
         summary: "Get response file",
-        description: "Get contents of a specific response file (markdown or HTML viewer).",
+        description:
+          "Any file of a collection, including nested ones such as followup-1/chatgpt.md, with the content type of its extension (the HTML viewer, markdown, JSON, images, PDF). Markdown comes back as JSON ({ file, folder, size, modified, content }) when only application/json is accepted. Paths that leave the folder, and hidden files, are 404. Supports If-None-Match (304) and byte ranges (206, 416).",
         tags: ["Responses"],
         parameters: [
           { name: "folder", in: "path", required: true, schema: { type: "string" } },
-          { name: "file", in: "path", required: true, schema: { type: "string" } },
+          { name: "file", in: "path", required: true, schema: { type: "string" }, description: "Path inside the folder; may contain /" },
+          { name: "Range", in: "header", schema: { type: "string", example: "bytes=0-1023" } },
+          { name: "If-None-Match", in: "header", schema: { type: "string" } },
         ],
         responses: {
           200: { description: "File content" },
+          206: { description: "The requested byte range" },
+          304: { description: "Unchanged since the ETag sent" },
           404: { description: "File not found" },
+          416: { description: "Range not satisfiable" },
         },
       },
     },
@@ -202,7 +609,7 @@ app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
 /** Check if Chrome CDP is reachable */
 async function checkCDP() {
   try {
-    const tabs = await CDP.List({ host: CDP_HOST, port: CDP_PORT });
+    const tabs = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
     return { connected: true, tabCount: tabs.length };
   } catch (err) {
     return { connected: false, error: err.message };
@@ -214,6 +621,97 @@ function asyncHandler(fn) {
   return (req, res, next) => fn(req, res, next).catch(next);
 }
 
+/** Respond 202 with a queued job's ID and where to poll it */
+function sendJob(res, job) {
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    position: job.position,
+    statusUrl: `/jobs/${job.id}`,
+  });
+}
+
+/**
+ * A number in the request body, checked like the setting it overrides.
+ * Sends a 400 and returns undefined for a bad one; absent means the setting.
+ */
+function requestedNumber(req, res, field, key) {
+  const raw = req.body?.[field];
+  if (raw === undefined || raw === null) return config[key];
+  const { value, error } = checkSetting(key, raw);
+  if (error) res.status(400).json({ error: `${field} ${error}` });
+  return value;
+}
+
+/**
+ * Template named in the request body, validated. Sends a 400 and returns
+ * false for an unknown one; null means "pick from the query".
+ */
+function requestedTemplate(req, res) {
+  const name = req.body?.template;
+  if (!name) return null;
+  try {
+    return getTemplate(String(name)).name;
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return false;
+  }
+}
+
+/** A queued or running job working in a collection (follow-up, re-synthesis) */
+function jobIn(folder) {
+  return [...listJobs("running"), ...listJobs("queued")].find((j) => j.params?.folder === folder) || null;
+}
+
+/**
+ * Update, delete (to the trash) or restore one collection. The outcome is
+ * an HTTP status and body, so single and bulk routes answer alike.
+ * @param {"update"|"delete"|"restore"} action
+ * @param {object} [changes] — from checkChanges(), for "update"
+ * @returns {{status: number, body: object}}
+ */
+function manageCollection(action, folder, changes) {
+  const fail = (status, error) => ({ status, body: { folder, error } });
+  if (!safeName(folder) || folder.startsWith(".")) return fail(404, "Folder not found");
+  const dirPath = path.join(config.outputDir, folder);
+  try {
+    if (action === "restore") {
+      if (!inTrash(folder)) return fail(404, "Not in the trash");
+      if (fs.existsSync(dirPath)) return fail(409, "A collection with that name exists again");
+      restoreCollection(folder);
+      indexFolder(folder);
+      return { status: 200, body: { folder, restored: true } };
+    }
+    if (!fs.existsSync(dirPath) || !readMeta(dirPath)) return fail(404, "Folder not found");
+    if (action === "update") {
+      return { status: 200, body: { folder, ...updateCollection(dirPath, changes) } };
+    }
+    const job = jobIn(folder);
+    if (job) return fail(409, `A ${job.type} job is ${job.status} in this collection (${job.id})`);
+    const { deletedAt } = trashCollection(folder);
+    indexFolder(folder);
+    return { status: 200, body: { folder, deleted: true, deletedAt, restoreUrl: `/responses/${folder}/restore` } };
+  } catch (err) {
+    return fail(action === "update" ? 400 : 500, err.message);
+  }
+}
+
+/** Run manageCollection for every folder in req.body.folders; 400 when there are none */
+function manageCollections(req, res, action, changes) {
+  const folders = req.body?.folders;
+  if (!Array.isArray(folders) || !folders.length || !folders.every((f) => typeof f === "string")) {
+    return res.status(400).json({ error: "folders must be a non-empty array of folder names" });
+  }
+  const done = [];
+  const failed = [];
+  for (const folder of new Set(folders)) {
+    const { status, body } = manageCollection(action, folder, changes);
+    if (status === 200) done.push(body);
+    else failed.push({ ...body, status });
+  }
+  res.json({ done, failed });
+}
+
 /** SSE — connected clients */
 const sseClients = new Set();
 
@@ -224,13 +722,58 @@ function sseBroadcast(event, data) {
   }
 }
 
+// Job progress goes out over SSE with its jobId; finished collections are indexed
+// (and exported to the vault when it is kept in sync)
+setJobListener((event, data) => {
+  if (event === "complete" && data.folderName) {
+    indexFolder(data.folderName);
+    const vault = vaultConfig();
+    if (vault.path && vault.sync) {
+      try {
+        syncFolder(path.join(config.outputDir, data.folderName));
+      } catch (err) {
+        console.error(`  !!  Vault ${data.folderName}: ${err.message}`);
+      }
+    }
+  }
+  sseBroadcast(event, data);
+});
+
 // ---------------------------------------------------------------------------
 // ROUTES
 // ---------------------------------------------------------------------------
 
+// Every /responses/:folder route: the folder is one entry of OUTPUT_DIR, never a path
+app.param("folder", (req, res, next, folder) => {
+  // Hidden folders (.trash) are not collections either
+  if (!safeName(folder) || folder.startsWith(".")) return res.status(404).json({ error: "Folder not found" });
+  next();
+});
+
 // GET / — redirect to /dashboard
 app.get("/", (_req, res) => res.redirect("/dashboard"));
 
+// GET /login — token login screen for the dashboard
+app.get("/login", (req, res) => {
+  res.type("text/html").send(getLoginHtml({ next: safeNext(req.query.next) }));
+});
+
+// POST /login — check the token from the login form, set the session cookie
+app.post("/login", express.urlencoded({ extended: false }), (req, res) => {
+  const next = safeNext(req.body?.next);
+  if (!checkToken(req.body?.token)) {
+    return res.status(401).type("text/html").send(getLoginHtml({ next, error: "Wrong token" }));
+  }
+  startSession(res);
+  res.redirect(303, next);
+});
+
+// POST /logout — drop the session cookie
+app.post("/logout", (_req, res) => {
+  endSession(res);
+  res.status(204).end();
+});
+
 // GET /dashboard — live SPA dashboard
 app.get("/dashboard", (_req, res) => {
   res.type("text/html").send(getDashboardHtml());
@@ -261,6 +804,11 @@ app.get(
   })
 );
 
+// GET /config — effective settings, secrets redacted
+app.get("/config", (_req, res) => {
+  res.json(publicConfig());
+});
+
 // GET /tabs — list open Chrome tabs via CDP
 app.get(
   "/tabs",
@@ -279,18 +827,74 @@ app.get(
   })
 );
 
-// GET /engines — list configured AI engines
+// GET /engines — list engines from the registry (engines/*.js|json)
 app.get("/engines", (_req, res) => {
-  const engines = ENGINES.map((e) => ({
+  const engines = getEngines().map((e) => ({
     name: e.name,
     slug: e.slug,
+    file: e.file,
     urlPattern: e.urlMatch.source,
+    openUrl: e.openUrl,
+    submits: !!e.submitScript,
+    completion: e.completion,
   }));
-  const submitters = SUBMITTERS.map((s) => ({
-    name: s.name,
-    urlPattern: s.urlMatch.source,
-  }));
-  res.json({ engines, submitters });
+  res.json({ engines, errors: getLoadErrors() });
+});
+
+// GET /engines/health — readiness of each engine, checked in background tabs (doctor.js).
+// The check is a job like any other, so it never types into tabs a search is using
+app.get(
+  "/engines/health",
+  asyncHandler(async (req, res) => {
+    try {
+      const report = await engineHealth({
+        refresh: req.query.refresh === "true",
+        busy: listJobs("running").length + listJobs("queued").length > 0,
+        probe: () => runJob("health", {}, () => checkEngines()),
+      });
+      res.json(report);
+    } catch (err) {
+      if (!/ECONNREFUSED|ECONNRESET|ENOTFOUND/.test(err.message)) throw err;
+      res.status(503).json({ error: "Chrome not connected", detail: err.message });
+    }
+  })
+);
+
+// GET /templates — synthesis templates (templates/*.md)
+app.get("/templates", (req, res) => {
+  const templates = listTemplates();
+  const body = { count: templates.length, default: DEFAULT_TEMPLATE, templates };
+  if (typeof req.query.query === "string") body.suggested = pickTemplate(req.query.query);
+  res.json(body);
+});
+
+// GET /templates/:name — one template
+app.get("/templates/:name", (req, res) => {
+  const template = listTemplates().find((t) => t.name === req.params.name);
+  if (!template) return res.status(404).json({ error: "Template not found" });
+  res.json(template);
+});
+
+// PUT /templates/:name — create or update a template
+app.put("/templates/:name", (req, res) => {
+  try {
+    res.json(saveTemplate(req.params.name, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /templates/:name — remove a template
+app.delete("/templates/:name", (req, res) => {
+  if (!listTemplates().some((t) => t.name === req.params.name)) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+  try {
+    deleteTemplate(req.params.name);
+    res.json({ deleted: req.params.name });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
 });
 
 // POST /submit — click submit buttons on AI tabs
@@ -311,115 +915,172 @@ app.post(
   })
 );
 
-// POST /collect — collect responses from current AI tabs
-app.post(
-  "/collect",
-  asyncHandler(async (req, res) => {
-    const timeout = req.body?.timeout || DEFAULT_TIMEOUT;
-    const doSynthesize = req.body?.synthesize !== false;
+// POST /collect — queue a collection from the current AI tabs
+app.post("/collect", (req, res) => {
+  const timeout = requestedNumber(req, res, "timeout", "timeout");
+  if (timeout === undefined) return;
+  const doSynthesize = req.body?.synthesize !== false;
+  const template = requestedTemplate(req, res);
+  if (template === false) return;
 
-    try {
-      const result = await collectAll({ timeout, doSynthesize, onProgress: sseBroadcast });
-      res.json({
-        promptDir: result.folderName,
-        query: result.query,
-        responses: result.responses,
-        synthesisFile: result.synthesisFile || null,
-      });
-    } catch (err) {
-      if (err.message.includes("ECONNREFUSED")) {
-        return res
-          .status(503)
-          .json({ error: "Chrome not connected", detail: err.message });
-      }
-      if (err.message.includes("ETIMEDOUT") || err.message.includes("timeout")) {
-        return res
-          .status(504)
-          .json({ error: "Collection timed out", detail: err.message });
-      }
-      throw err;
-    }
-  })
-);
+  const job = enqueueJob("collect", { timeout, synthesize: doSynthesize, template }, async (onProgress) => {
+    const result = await collectAll({ timeout, doSynthesize, template, onProgress });
+    return {
+      promptDir: result.folderName,
+      query: result.query,
+      responses: result.responses,
+      synthesisFile: result.synthesisFile || null,
+    };
+  });
+  sendJob(res, job);
+});
 
-// POST /search — full pipeline: submit → wait → collect → synthesize
-app.post(
-  "/search",
-  asyncHandler(async (req, res) => {
-    const timeout = req.body?.timeout || DEFAULT_TIMEOUT;
-    const doSynthesize = req.body?.synthesize !== false;
-    const waitSec = req.body?.wait || 5;
+// POST /search — queue the full pipeline: [open tabs →] submit → wait → collect → synthesize
+app.post("/search", (req, res) => {
+  const timeout = requestedNumber(req, res, "timeout", "timeout");
+  if (timeout === undefined) return;
+  const doSynthesize = req.body?.synthesize !== false;
+  const waitSec = requestedNumber(req, res, "wait", "submitWait");
+  if (waitSec === undefined) return;
+  const query = typeof req.body?.query === "string" ? req.body.query.trim() : "";
+  const template = requestedTemplate(req, res);
+  if (template === false) return;
 
-    try {
-      // Step 1: Submit prompts
-      const submitResults = await submitAll();
+  const params = { query: query || null, timeout, wait: waitSec, synthesize: doSynthesize, template };
+  const job = enqueueJob("search", params, async (onProgress) => {
+    let submitResults;
+    let result;
+
+    if (query) {
+      // Open a tab per engine with the query, submit, then collect
+      result = await runSearch({ query, timeout, wait: waitSec, doSynthesize, template, onProgress });
+      submitResults = result.submitted;
+    } else {
+      // Step 1: Submit prompts already prefilled in open tabs
+      submitResults = await submitAll();
 
       // Step 2: Wait for AI engines to generate responses
       await new Promise((resolve) => setTimeout(resolve, waitSec * 1000));
 
       // Step 3: Collect responses (+ optional synthesis)
-      const result = await collectAll({ timeout, doSynthesize, onProgress: sseBroadcast });
-
-      res.json({
-        promptDir: result.folderName,
-        query: result.query,
-        submitted: submitResults,
-        responses: result.responses,
-        synthesisFile: result.synthesisFile || null,
-      });
-    } catch (err) {
-      if (err.message.includes("ECONNREFUSED")) {
-        return res
-          .status(503)
-          .json({ error: "Chrome not connected", detail: err.message });
-      }
-      if (err.message.includes("ETIMEDOUT") || err.message.includes("timeout")) {
-        return res
-          .status(504)
-          .json({ error: "Pipeline timed out", detail: err.message });
-      }
-      throw err;
+      result = await collectAll({ timeout, doSynthesize, template, onProgress });
     }
-  })
-);
 
-// GET /responses — list response folders with metadata
-app.get("/responses", (_req, res) => {
-  if (!fs.existsSync(OUTPUT_DIR)) {
+    return {
+      promptDir: result.folderName,
+      query: result.query,
+      submitted: submitResults,
+      responses: result.responses,
+      synthesisFile: result.synthesisFile || null,
+    };
+  });
+  sendJob(res, job);
+});
+
+// GET /jobs — list queued, running and finished jobs
+app.get("/jobs", (req, res) => {
+  const status = typeof req.query.status === "string" ? req.query.status : undefined;
+  const jobs = listJobs(status);
+  const counts = { queued: 0, running: 0, done: 0, failed: 0 };
+  for (const job of listJobs()) counts[job.status]++;
+  res.json({ count: jobs.length, counts, jobs });
+});
+
+// GET /jobs/:id — job status, per-engine progress and result
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(job);
+});
+
+// GET /search-history — full-text search across saved collections
+app.get("/search-history", (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!q) return res.status(400).json({ error: "q is required" });
+
+  const date = /^\d{4}-\d{2}-\d{2}$/;
+  for (const key of ["from", "to"]) {
+    if (req.query[key] && !date.test(req.query[key])) {
+      return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD)` });
+    }
+  }
+
+  res.json(
+    searchHistory(q, {
+      engine: req.query.engine || undefined,
+      from: req.query.from || undefined,
+      to: req.query.to || undefined,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+    })
+  );
+});
+
+// GET /responses — list response folders with metadata (from meta.json)
+app.get("/responses", (req, res) => {
+  if (!fs.existsSync(config.outputDir)) {
     return res.json({ count: 0, folders: [] });
   }
 
-  const entries = fs.readdirSync(OUTPUT_DIR, { withFileTypes: true });
+  const entries = fs.readdirSync(config.outputDir, { withFileTypes: true });
   const folders = [];
 
   for (const entry of entries) {
-    if (entry.isDirectory()) {
-      const dirPath = path.join(OUTPUT_DIR, entry.name);
-      const files = fs.readdirSync(dirPath);
-      const hasPrompt = files.includes("prompt.md");
-      const hasSynthesis = files.includes("synthesis.md");
-      const engineFiles = files.filter(
-        (f) => f.endsWith(".md") && f !== "prompt.md" && f !== "synthesis.md"
-      );
-
-      folders.push({
-        name: entry.name,
-        files: files.length,
-        engines: engineFiles.map((f) => f.replace(".md", "")),
-        hasPrompt,
-        hasSynthesis,
-      });
-    }
+    if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+    const meta = readMeta(path.join(config.outputDir, entry.name));
+    if (!meta) continue;
+
+    folders.push({
+      name: entry.name,
+      query: meta.query,
+      startedAt: meta.startedAt,
+      finishedAt: meta.finishedAt,
+      engines: meta.engines.filter((e) => e.status === "ok").map((e) => e.slug),
+      responses: meta.engines.map((e) => ({ engine: e.engine, slug: e.slug, status: e.status, chars: e.chars, file: e.file })),
+      hasSynthesis: !!meta.synthesis?.file,
+      synthesisFile: meta.synthesis?.file || null,
+      synthesisVersions: synthesisVersions(meta).length,
+      hasClaims: fs.existsSync(path.join(config.outputDir, entry.name, CLAIMS_FILE)),
+      synthesisStatus: meta.synthesis?.status || "skipped",
+      turns: (meta.turns || []).length,
+      ...collectionInfo(meta),
+    });
   }
 
+  // Optional filters: ?tag=, ?starred=true|false, ?archived=true|false
+  const flag = (name) => (req.query[name] === undefined ? null : req.query[name] === "true");
+  const [starred, archived] = [flag("starred"), flag("archived")];
+  const shown = folders.filter(
+    (f) =>
+      (!req.query.tag || f.tags.includes(req.query.tag)) &&
+      (starred === null || f.starred === starred) &&
+      (archived === null || f.archived === archived)
+  );
+
   // Sort newest first
-  folders.sort((a, b) => b.name.localeCompare(a.name));
-  res.json({ count: folders.length, folders });
+  shown.sort((a, b) => (b.startedAt || "").localeCompare(a.startedAt || "") || b.name.localeCompare(a.name));
+  res.json({ count: shown.length, folders: shown });
+});
+
+// PATCH /responses — { folders, ...changes } for several collections at once
+app.patch("/responses", (req, res) => {
+  let changes;
+  try {
+    changes = checkChanges(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  manageCollections(req, res, "update", changes);
 });
 
-// GET /responses/:folder — get contents of a specific response folder
+// DELETE /responses — { folders } to the trash
+app.delete("/responses", (req, res) => manageCollections(req, res, "delete"));
+
+// POST /responses/restore — { folders } back out of the trash
+app.post("/responses/restore", (req, res) => manageCollections(req, res, "restore"));
+
+// GET /responses/:folder — manifest and file list of a specific response folder
 app.get("/responses/:folder", (req, res) => {
-  const dirPath = path.join(OUTPUT_DIR, req.params.folder);
+  const dirPath = path.join(config.outputDir, req.params.folder);
 
   if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
     return res.status(404).json({ error: "Folder not found" });
@@ -438,38 +1099,186 @@ app.get("/responses/:folder", (req, res) => {
     };
   }
 
-  res.json({ folder: req.params.folder, files: contents });
+  res.json({ folder: req.params.folder, meta: readMeta(dirPath), files: contents });
+});
+
+// PATCH /responses/:folder — title, tags, starred, archived (saved in meta.json)
+app.patch("/responses/:folder", (req, res) => {
+  let changes;
+  try {
+    if (req.body && "folders" in req.body) throw new Error("folders belongs in PATCH /responses");
+    changes = checkChanges(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const { status, body } = manageCollection("update", req.params.folder, changes);
+  res.status(status).json(body);
+});
+
+// DELETE /responses/:folder — move the collection to the trash
+app.delete("/responses/:folder", (req, res) => {
+  const { status, body } = manageCollection("delete", req.params.folder);
+  res.status(status).json(body);
+});
+
+// POST /responses/:folder/restore — bring a deleted collection back
+app.post("/responses/:folder/restore", (req, res) => {
+  const { status, body } = manageCollection("restore", req.params.folder);
+  res.status(status).json(body);
+});
+
+// POST /responses/:folder/followup — queue a follow-up in the open conversations
+app.post("/responses/:folder/followup", (req, res) => {
+  const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+  if (!text) return res.status(400).json({ error: "text is required" });
+
+  const dirPath = path.join(config.outputDir, req.params.folder);
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    return res.status(404).json({ error: "Folder not found" });
+  }
+
+  const timeout = requestedNumber(req, res, "timeout", "timeout");
+  if (timeout === undefined) return;
+  const doSynthesize = req.body?.synthesize !== false;
+  const job = enqueueJob("followup", { folder: req.params.folder, text, timeout, synthesize: doSynthesize }, async (onProgress) => {
+    const result = await followUp(req.params.folder, text, { timeout, doSynthesize, onProgress });
+    return {
+      promptDir: result.folderName,
+      turn: result.turn,
+      text: result.text,
+      responses: result.responses,
+      synthesisFile: result.synthesisFile || null,
+    };
+  });
+  sendJob(res, job);
 });
 
-// GET /responses/:folder/:file — get a specific response file content
-app.get("/responses/:folder/:file", (req, res) => {
-  const filePath = path.join(OUTPUT_DIR, req.params.folder, req.params.file);
+// POST /responses/:folder/synthesize — queue a new synthesis version
+app.post("/responses/:folder/synthesize", (req, res) => {
+  const dirPath = path.join(config.outputDir, req.params.folder);
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    return res.status(404).json({ error: "Folder not found" });
+  }
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: "File not found" });
+  const template = req.body?.template || undefined;
+  const provider = req.body?.provider || undefined;
+  const model = req.body?.model || undefined;
+  try {
+    if (template) getTemplate(template);
+    if (provider) getProvider(provider);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  // Serve HTML files directly
-  if (req.params.file.endsWith(".html")) {
-    const html = fs.readFileSync(filePath, "utf-8");
-    return res.type("text/html").send(html);
+  const params = { folder: req.params.folder, template: template || null, provider: provider || null, model: model || null };
+  const job = enqueueJob("synthesize", params, (onProgress) =>
+    resynthesize(dirPath, { template, provider, model, onProgress })
+  );
+  sendJob(res, job);
+});
+
+// GET /responses/:folder/synthesis — synthesis versions of a collection
+app.get("/responses/:folder/synthesis", (req, res) => {
+  const dirPath = path.join(config.outputDir, req.params.folder);
+  const meta = fs.existsSync(dirPath) ? readMeta(dirPath) : null;
+  if (!meta) return res.status(404).json({ error: "Folder not found" });
+  res.json({ current: meta.synthesis?.file || null, versions: synthesisVersions(meta) });
+});
+
+// GET /responses/:folder/synthesis/:file — one synthesis version
+app.get("/responses/:folder/synthesis/:file", (req, res) => {
+  const file = path.basename(req.params.file);
+  const filePath = path.join(config.outputDir, req.params.folder, VERSIONS_DIR, file);
+  if (!file.endsWith(".md") || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: "Version not found" });
   }
 
   const content = fs.readFileSync(filePath, "utf-8");
+  if (req.accepts("text/markdown")) return res.type("text/markdown").send(content);
   const stat = fs.statSync(filePath);
+  res.json({
+    file: `${VERSIONS_DIR}/${file}`,
+    folder: req.params.folder,
+    size: stat.size,
+    modified: stat.mtime.toISOString(),
+    content,
+  });
+});
+
+// GET /responses/:folder/claims — claim × engine matrix (claims.json)
+app.get("/responses/:folder/claims", (req, res) => {
+  const doc = readClaims(path.join(config.outputDir, req.params.folder));
+  if (!doc) return res.status(404).json({ error: "No claims for this collection" });
+  res.json(doc);
+});
 
-  // Return as markdown if requested, otherwise JSON
-  if (req.accepts("text/markdown")) {
-    res.type("text/markdown").send(content);
-  } else {
-    res.json({
-      file: req.params.file,
+// GET /responses/:folder/agreement — offline agreement analysis (agreement.json)
+app.get("/responses/:folder/agreement", (req, res) => {
+  const doc = readAgreement(path.join(config.outputDir, req.params.folder));
+  if (!doc) return res.status(404).json({ error: "No agreement analysis for this collection" });
+  res.json(doc);
+});
+
+// GET /responses/:folder/export — download as html, pdf, docx or json
+app.get(
+  "/responses/:folder/export",
+  asyncHandler(async (req, res) => {
+    const dirPath = path.join(config.outputDir, req.params.folder);
+    if (!fs.existsSync(dirPath) || !readMeta(dirPath)) {
+      return res.status(404).json({ error: "Folder not found" });
+    }
+    const format = String(req.query.format || "html").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unknown format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(", ")})` });
+    }
+
+    try {
+      const { body, type, ext } = await exportCollection(dirPath, format);
+      res.attachment(`${req.params.folder}.${ext}`).type(type).send(body);
+    } catch (err) {
+      if (err.message.includes("ECONNREFUSED")) {
+        return res
+          .status(503)
+          .json({ error: "Chrome not connected", detail: err.message });
+      }
+      throw err;
+    }
+  })
+);
+
+// POST /responses/:folder/vault — write the collection's notes into the vault
+app.post("/responses/:folder/vault", (req, res) => {
+  const dirPath = path.join(config.outputDir, req.params.folder);
+  if (!fs.existsSync(dirPath) || !readMeta(dirPath)) {
+    return res.status(404).json({ error: "Folder not found" });
+  }
+  try {
+    res.json(syncFolder(dirPath, { force: true }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /responses/:folder/* — any file of a collection (nested paths too), streamed
+app.get("/responses/:folder/*", (req, res, next) => {
+  const file = req.params[0];
+  const filePath = resolveInside(config.outputDir, req.params.folder, file);
+  if (!filePath) return res.status(404).json({ error: "File not found" });
+
+  // Markdown as JSON for API clients that ask for nothing else
+  if (filePath.endsWith(".md") && !req.accepts("text/markdown") && req.accepts("json") && fs.existsSync(filePath)) {
+    const stat = fs.statSync(filePath);
+    return res.json({
+      file,
       folder: req.params.folder,
       size: stat.size,
       modified: stat.mtime.toISOString(),
-      content,
+      content: fs.readFileSync(filePath, "utf-8"),
     });
   }
+
+  // The viewer generated for the collection is the only page that may run scripts
+  serveFile(req, res, next, config.outputDir, filePath, { trusted: filePath === path.join(config.outputDir, req.params.folder, "index.html") });
 });
 
 // ---------------------------------------------------------------------------
@@ -484,11 +1293,27 @@ app.use((err, _req, res, _next) => {
 // STARTUP
 // ---------------------------------------------------------------------------
 if (require.main === module) {
-  app.listen(API_PORT, () => {
+  watchEngines();
+  const { migrated } = migrateAll(config.outputDir);
+  if (migrated) console.log(`  OK  meta.json written for ${migrated} older collection(s)`);
+  const purged = purgeTrash();
+  if (purged) console.log(`  OK  ${purged} collection(s) deleted more than ${TRASH_DAYS} days ago removed from the trash`);
+  refreshIndex();
+  startVaultSync();
+  const { token, source } = apiToken();
+  const server = app.listen(config.apiPort, config.apiHost, () => {
+    const host = config.apiHost.includes(":") ? `[${config.apiHost}]` : config.apiHost;
     console.log(`\nClipboard Search API`);
-    console.log(`  http://localhost:${API_PORT}`);
-    console.log(`  CDP target: ${CDP_HOST}:${CDP_PORT}`);
-    console.log(`  Responses:  ${OUTPUT_DIR}\n`);
+    console.log(`  http://${host}:${config.apiPort}`);
+    console.log(`  Token:      ${source === "config" ? "API_TOKEN" : TOKEN_FILE}${source === "generated" ? ` (new: ${token})` : ""}`);
+    if (corsOrigins().length) console.log(`  CORS:       ${corsOrigins().join(", ")}`);
+    console.log(`  CDP target: ${config.cdpHost}:${config.cdpPort}`);
+    console.log(`  Synthesis:  ${synthesisConfig().provider}`);
+    console.log(`  Responses:  ${config.outputDir}\n`);
+  });
+  server.on("error", (err) => {
+    console.error(`FAIL Cannot listen on ${config.apiHost}:${config.apiPort}: ${err.message}`);
+    process.exit(1);
   });
 }
 
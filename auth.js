@@ -0,0 +1,186 @@
+/**
+ * auth.js — Token authentication and CORS policy for api.js.
+ *
+ * Every route except the public ones needs the API token, sent as
+ *
+ *   Authorization: Bearer <token>
+ *   X-API-Key: <token>
+ *
+ * or, for the dashboard and its EventSource (which cannot set headers),
+ * as the session cookie set by POST /login. The token is `apiToken`
+ * (API_TOKEN) when set; otherwise one is generated on first start and kept
+ * in .api-token next to package.json.
+ *
+ * Browsers may only call the API from its own origin or from an origin in
+ * `corsOrigins` (CORS_ORIGINS, comma-separated, "*" for any). Requests from
+ * other origins are refused outright, so a web page cannot drive the API
+ * through the user's browser even when it needs no answer back.
+ *
+ * Usage:
+ *   const { corsPolicy, requireAuth } = require('./auth');
+ *   app.use(corsPolicy());
+ *   app.use(requireAuth({ publicPaths: ['/health', '/login'] }));
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+
+const TOKEN_FILE = path.join(__dirname, ".api-token");
+const SESSION_COOKIE = "cs_session";
+const SESSION_MAX_AGE = 30 * 24 * 3600;
+
+// ---------------------------------------------------------------------------
+// TOKEN
+// ---------------------------------------------------------------------------
+
+let cached = null;
+
+/**
+ * The API token and where it came from.
+ * @returns {{token: string, source: "config"|"file"|"generated"}}
+ */
+function apiToken() {
+  if (cached) return cached;
+  if (config.apiToken) {
+    cached = { token: config.apiToken, source: "config" };
+  } else if (fs.existsSync(TOKEN_FILE) && fs.readFileSync(TOKEN_FILE, "utf-8").trim()) {
+    cached = { token: fs.readFileSync(TOKEN_FILE, "utf-8").trim(), source: "file" };
+  } else {
+    const token = crypto.randomBytes(24).toString("base64url");
+    fs.writeFileSync(TOKEN_FILE, token + "\n", { mode: 0o600 });
+    cached = { token, source: "generated" };
+  }
+  return cached;
+}
+
+/** Constant-time string comparison */
+function same(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/** Cookie value for a logged-in dashboard: derived from, never equal to, the token */
+function sessionValue() {
+  return crypto.createHmac("sha256", apiToken().token).update("dashboard-session").digest("base64url");
+}
+
+/** Value of one cookie of the request, null if absent or malformed */
+function cookieValue(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1 || part.slice(0, i).trim() !== name) continue;
+    try {
+      return decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/** Whether the request carries the token or a valid session cookie */
+function isAuthorized(req) {
+  const { token } = apiToken();
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  if (bearer && same(bearer[1].trim(), token)) return true;
+  const key = req.get("x-api-key");
+  if (key && same(key.trim(), token)) return true;
+  const session = cookieValue(req, SESSION_COOKIE);
+  return !!session && same(session, sessionValue());
+}
+
+/** Whether `token` is the API token (for the login form) */
+function checkToken(token) {
+  return typeof token === "string" && !!token.trim() && same(token.trim(), apiToken().token);
+}
+
+function startSession(res) {
+  res.cookie(SESSION_COOKIE, sessionValue(), {
+    httpOnly: true,
+    sameSite: "strict",
+    maxAge: SESSION_MAX_AGE * 1000,
+    path: "/",
+  });
+}
+
+function endSession(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: "strict", path: "/" });
+}
+
+/** A path on this server to return to after login; anything else is dropped */
+function safeNext(next) {
+  return typeof next === "string" && /^\/(?![/\\])/.test(next) ? next : "/dashboard";
+}
+
+// ---------------------------------------------------------------------------
+// MIDDLEWARE
+// ---------------------------------------------------------------------------
+
+/**
+ * Refuse requests that need the token and lack it. Page loads in a browser
+ * go to the login screen; everything else gets 401.
+ * @param {object} opts — { publicPaths: paths (and their subpaths) open to anyone }
+ */
+function requireAuth({ publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (publicPaths.some((p) => req.path === p || req.path.startsWith(p + "/"))) return next();
+    if (isAuthorized(req)) return next();
+    if (req.method === "GET" && req.accepts(["json", "html"]) === "html") {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.set("WWW-Authenticate", 'Bearer realm="clipboard-search"');
+    res.status(401).json({ error: "Unauthorized", detail: "Send Authorization: Bearer <token> or X-API-Key: <token>" });
+  };
+}
+
+/** The allowed origins from `corsOrigins`; ["*"] allows any */
+function corsOrigins() {
+  return config.corsOrigins.split(",").map((o) => o.trim().replace(/\/+$/, "")).filter(Boolean);
+}
+
+/**
+ * Same-origin requests pass; cross-origin ones get CORS headers when their
+ * origin is allowed and 403 otherwise. Preflights are answered here, before
+ * authentication (browsers send them without credentials).
+ */
+function corsPolicy() {
+  const allowed = corsOrigins();
+  return (req, res, next) => {
+    const origin = req.get("origin");
+    if (!origin || origin === `${req.protocol}://${req.get("host")}`) return next();
+    if (!allowed.includes("*") && !allowed.includes(origin)) {
+      return res.status(403).json({ error: "Origin not allowed", detail: `${origin} is not in corsOrigins (CORS_ORIGINS)` });
+    }
+    res.set("Access-Control-Allow-Origin", origin);
+    res.set("Access-Control-Expose-Headers", "Content-Disposition");
+    res.vary("Origin");
+    if (req.method === "OPTIONS") {
+      res.set("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE");
+      res.set("Access-Control-Allow-Headers", "Authorization, X-API-Key, Content-Type, Accept");
+      res.set("Access-Control-Max-Age", "600");
+      return res.sendStatus(204);
+    }
+    next();
+  };
+}
+
+/** Whether the server is reachable from this machine only */
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || /^127\./.test(host);
+}
+
+module.exports = {
+  TOKEN_FILE,
+  apiToken,
+  checkToken,
+  startSession,
+  endSession,
+  safeNext,
+  requireAuth,
+  corsPolicy,
+  corsOrigins,
+  isLoopback,
+};
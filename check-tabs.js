@@ -1,13 +1,14 @@
 // Deeper inspection of each tab to find the right submit selectors
 const CDP = require("chrome-remote-interface");
+const { config } = require("./config");
 (async () => {
-  const targets = await CDP.List({ host: "127.0.0.1", port: 9222 });
+  const targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
   for (const t of targets) {
     if (t.type !== "page") continue;
     if (!/chatgpt|claude|aistudio/.test(t.url)) continue;
     let client;
     try {
-      client = await CDP({ target: t, host: "127.0.0.1", port: 9222 });
+      client = await CDP({ target: t, host: config.cdpHost, port: config.cdpPort });
 
       // Check for textareas, send buttons, and input fields
       const r = await client.Runtime.evaluate({
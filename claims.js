@@ -0,0 +1,240 @@
+/**
+ * claims.js — Claim × engine agreement matrix (claims.json).
+ *
+ * After a successful synthesis the provider is asked once more, for the
+ * individual claims in the answers as JSON (see extractClaims() in
+ * synthesis.js). parseClaims() checks that reply against the engines that
+ * actually answered, and the result is saved next to the answers:
+ *
+ *   claims.json
+ *   {
+ *     "version": 1,
+ *     "query": "...",
+ *     "engines": ["ChatGPT", "Claude", ...],
+ *     "provider": "anthropic", "model": "...", "createdAt": "...",
+ *     "claims": [{ id, text, kind, states: [...], contradicts: [...],
+ *                  omits: [...], confidence, note }]
+ *   }
+ *
+ *   kind       — "fact" | "recommendation" | "caveat" | "open-question"
+ *   confidence — "high" | "medium" | "low"
+ *   omits      — always derived: the engines that neither state nor
+ *                contradict the claim
+ *
+ * claimsTable() and sortClaims() are plain browser-safe JS: the viewer
+ * renders the table in Node, and CLAIMS_SCRIPT (their source) is pasted
+ * into the viewer and dashboard pages the same way diff.js is. CLAIMS_CSS
+ * styles the table in both.
+ *
+ * Usage:
+ *   const { readClaims, claimsTable } = require('./claims');
+ *   const doc = readClaims(promptDir);
+ *   if (doc) html += claimsTable(doc);
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CLAIMS_FILE = "claims.json";
+const CLAIMS_VERSION = 1;
+const MAX_CLAIMS = 40;
+const KINDS = ["fact", "recommendation", "caveat", "open-question"];
+const CONFIDENCE = ["high", "medium", "low"];
+
+const CLAIMS_PROMPT = `You extract the individual claims from several AI engines' answers to the same question, so they can be compared in a claim-by-engine matrix.
+
+Reply with one JSON object and nothing else: no prose, no code fences.
+
+{"claims": [{"text": "...", "kind": "fact", "states": ["ChatGPT"], "contradicts": [], "confidence": "high", "note": ""}]}
+
+- text: one self-contained claim in under 25 words, phrased neutrally
+- kind: "fact"; "recommendation" (something the reader should do); "caveat" (a risk or limitation); or "open-question" (something the answers leave unresolved or that needs checking)
+- states: engines whose answer makes the claim, named exactly as in the <response engine="..."> tags
+- contradicts: engines whose answer says the opposite or gives a conflicting figure
+- confidence: how likely the claim is to be right, judged from agreement, specificity and cited sources: "high", "medium" or "low"
+- note: optional; one short sentence on the disagreement or on what to verify
+
+Cover the claims that matter: those the engines agree on, those they disagree on, and notable claims only one engine makes. Give at most ${MAX_CLAIMS}, most important first. Leave an engine out of both lists when its answer doesn't address the claim.`;
+
+// ---------------------------------------------------------------------------
+// PARSING
+// ---------------------------------------------------------------------------
+
+/** Confidence when the model gave none: from how many engines agree */
+function derivedConfidence(states, contradicts, engineCount) {
+  if (contradicts.length) return "low";
+  return states.length >= Math.max(2, Math.ceil(engineCount * 2 / 3)) ? "high" : "medium";
+}
+
+/**
+ * Claims from the provider's reply. Engine names are matched
+ * case-insensitively against the engines that answered, unknown names are
+ * dropped, and claims no engine states or contradicts are left out.
+ * @param {string} text — provider reply (JSON, possibly inside a code fence)
+ * @param {string[]} engines — engines that answered
+ * @returns {Array<object>} claims
+ */
+function parseClaims(text, engines) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) throw new Error("reply contains no JSON object");
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`reply is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(data.claims)) throw new Error('reply has no "claims" array');
+
+  const byName = new Map(engines.map((e) => [e.toLowerCase(), e]));
+  const names = (list) => [...new Set((Array.isArray(list) ? list : [])
+    .map((n) => byName.get(String(n).trim().toLowerCase()))
+    .filter(Boolean))];
+
+  const claims = [];
+  for (const c of data.claims) {
+    const claimText = typeof c?.text === "string" ? c.text.trim() : "";
+    if (!claimText) continue;
+    const states = names(c.states);
+    // An engine listed on both sides counts as stating the claim
+    const contradicts = names(c.contradicts).filter((e) => !states.includes(e));
+    if (!states.length && !contradicts.length) continue;
+    claims.push({
+      id: claims.length + 1,
+      text: claimText,
+      kind: KINDS.includes(c.kind) ? c.kind : "fact",
+      states,
+      contradicts,
+      omits: engines.filter((e) => !states.includes(e) && !contradicts.includes(e)),
+      confidence: CONFIDENCE.includes(c.confidence) ? c.confidence : derivedConfidence(states, contradicts, engines.length),
+      note: typeof c.note === "string" ? c.note.trim() : "",
+    });
+    if (claims.length === MAX_CLAIMS) break;
+  }
+  if (!claims.length) throw new Error("reply lists no claims for these engines");
+  return claims;
+}
+
+// ---------------------------------------------------------------------------
+// STORAGE
+// ---------------------------------------------------------------------------
+
+/**
+ * Write claims.json (atomic: a reader never sees half a file).
+ * @param {object} doc — { query, engines, provider, model, claims }
+ */
+function writeClaims(dir, doc) {
+  const filePath = path.join(dir, CLAIMS_FILE);
+  const tmp = `${filePath}.tmp`;
+  const out = { version: CLAIMS_VERSION, createdAt: new Date().toISOString(), ...doc };
+  fs.writeFileSync(tmp, JSON.stringify(out, null, 2), "utf-8");
+  fs.renameSync(tmp, filePath);
+  return out;
+}
+
+/** @returns {object|null} claims.json of a folder, null if there is none */
+function readClaims(dir) {
+  const filePath = path.join(dir, CLAIMS_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const doc = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    return Array.isArray(doc.claims) && Array.isArray(doc.engines) ? doc : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// RENDERING (runs in Node and in the browser)
+// ---------------------------------------------------------------------------
+
+/**
+ * Sortable claims × engines table. Every cell carries its sort key in
+ * data-v; clicking a header calls sortClaims().
+ * @param {object} doc — claims.json contents
+ * @returns {string} HTML
+ */
+function claimsTable(doc) {
+  var esc = function (s) {
+    return String(s == null ? "" : s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  };
+  var rank = { high: 3, medium: 2, low: 1 };
+  var marks = { states: ["✓", 2], omits: ["·", 1], contradicts: ["✗", 0] };
+  var head = ["Claim", "Kind", "Confidence", "Agreement"].concat(doc.engines).map(function (h) {
+    return '<th onclick="sortClaims(this)" title="Sort by ' + esc(h) + '">' + esc(h) + "</th>";
+  }).join("");
+  var rows = doc.claims.map(function (c) {
+    var cells = [
+      '<td class="claim-text" data-v="' + esc(c.text.toLowerCase()) + '">' + esc(c.text) +
+        (c.note ? '<div class="claim-note">' + esc(c.note) + "</div>" : "") + "</td>",
+      '<td data-v="' + esc(c.kind) + '"><span class="claim-kind kind-' + esc(c.kind) + '">' + esc(c.kind) + "</span></td>",
+      '<td data-v="' + (rank[c.confidence] || 0) + '"><span class="claim-confidence confidence-' + esc(c.confidence) + '">' + esc(c.confidence) + "</span></td>",
+      '<td data-v="' + (c.states.length - c.contradicts.length) + '">' + c.states.length + "/" + doc.engines.length +
+        (c.contradicts.length ? ' <span class="claim-against">' + marks.contradicts[0] + c.contradicts.length + "</span>" : "") + "</td>",
+    ];
+    doc.engines.forEach(function (e) {
+      var s = c.states.indexOf(e) !== -1 ? "states" : c.contradicts.indexOf(e) !== -1 ? "contradicts" : "omits";
+      cells.push('<td class="claim-cell claim-' + s + '" data-v="' + marks[s][1] + '" title="' + esc(e + " " + s + " this") + '">' + marks[s][0] + "</td>");
+    });
+    return "<tr>" + cells.join("") + "</tr>";
+  }).join("");
+  return '<div class="claims-legend"><span class="claim-states">✓ states</span><span class="claim-contradicts">✗ contradicts</span>' +
+    '<span class="claim-omits">· omits</span></div>' +
+    '<table class="claims-matrix"><thead><tr>' + head + "</tr></thead><tbody>" + rows + "</tbody></table>";
+}
+
+/** Sort a claims table by the clicked header's column; a second click reverses */
+function sortClaims(th) {
+  var tbody = th.closest("table").tBodies[0];
+  var col = th.cellIndex;
+  var dir = th.dataset.dir === "desc" ? "asc" : "desc";
+  th.parentNode.querySelectorAll("th").forEach(function (h) { delete h.dataset.dir; });
+  th.dataset.dir = dir;
+  var value = function (tr) {
+    var v = tr.cells[col].dataset.v;
+    return v !== "" && !isNaN(v) ? Number(v) : v;
+  };
+  Array.prototype.slice.call(tbody.rows).sort(function (a, b) {
+    var x = value(a);
+    var y = value(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * (dir === "desc" ? -1 : 1);
+  }).forEach(function (tr) { tbody.appendChild(tr); });
+}
+
+const CLAIMS_SCRIPT = `${claimsTable.toString()}\n\n${sortClaims.toString()}`;
+
+/** Styles for claimsTable(), shared by the viewer and the dashboard */
+const CLAIMS_CSS = `
+  .claims-legend { display: flex; gap: 1rem; font-size: 0.75rem; color: var(--text-muted); margin-bottom: 0.5rem; }
+  .claims-matrix { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+  .claims-matrix th, .claims-matrix td { border: 1px solid var(--border); padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  .claims-matrix th { background: var(--surface2); color: #c4b5fd; cursor: pointer; user-select: none; white-space: nowrap; }
+  .claims-matrix th[data-dir="asc"]::after { content: " \\25b2"; }
+  .claims-matrix th[data-dir="desc"]::after { content: " \\25bc"; }
+  .claims-matrix .claim-note { color: var(--text-muted); font-size: 0.75rem; margin-top: 0.2rem; }
+  .claims-matrix td.claim-cell { text-align: center; font-weight: 600; }
+  .claims-matrix td.claim-states { background: rgba(34, 197, 94, 0.2); color: #86efac; }
+  .claims-matrix td.claim-contradicts { background: rgba(239, 68, 68, 0.2); color: #fca5a5; }
+  .claims-matrix td.claim-omits { color: var(--text-muted); }
+  .claims-legend .claim-states { color: #86efac; }
+  .claims-legend .claim-contradicts { color: #fca5a5; }
+  .claim-against { color: #fca5a5; font-size: 0.75rem; }
+  .claim-kind, .claim-confidence { font-size: 0.7rem; font-weight: 600; text-transform: uppercase; padding: 0.1rem 0.4rem; border-radius: 3px; white-space: nowrap; }
+  .claim-kind { background: var(--surface2); }
+  .kind-recommendation { background: #1b4e2d; color: #86efac; }
+  .kind-caveat { background: #4e3a1b; color: #fcd34d; }
+  .kind-open-question { background: #1b2e4e; color: #93c5fd; }
+  .confidence-high { color: #86efac; }
+  .confidence-medium { color: #fcd34d; }
+  .confidence-low { color: #fca5a5; }`;
+
+module.exports = {
+  CLAIMS_FILE,
+  CLAIMS_PROMPT,
+  CLAIMS_SCRIPT,
+  CLAIMS_CSS,
+  parseClaims,
+  writeClaims,
+  readClaims,
+  claimsTable,
+};
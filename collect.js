@@ -2,158 +2,38 @@
  * clipboard-search/collect.js
  *
  * Connects to Chrome via CDP, collects AI responses, saves each as a
- * separate markdown file in a prompt folder, then calls Claude API
- * to produce a cross-LLM synthesis.
+ * separate markdown file in a prompt folder, then asks the configured
+ * synthesis provider (synthesis.js) for a cross-LLM synthesis.
  *
  * Output structure:
  *   responses/
  *     <slug>/
  *       prompt.md          — the original query
- *       chatgpt.md         — individual response + metadata
+ *       chatgpt.md         — individual response (markdown) + metadata
+ *       chatgpt.raw.html   — raw HTML of the response container
+ *       sources.json       — cited sources per engine + merged list
  *       claude.md
  *       perplexity.md
  *       google-ai-studio.md
- *       synthesis.md        — Claude API cross-LLM analysis
+ *       synthesis.md        — cross-LLM analysis (see synthesis.js)
  *
- * Usage: node collect.js [--timeout 90]
+ * Usage: node collect.js [--timeout 90] [--template name]
  */
 
 const CDP = require("chrome-remote-interface");
-const { execFileSync, exec } = require("child_process");
+const { exec } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { config, scriptArgs } = require("./config");
 const { generateViewer } = require("./viewer");
-
-// ---------------------------------------------------------------------------
-// CONFIG
-// ---------------------------------------------------------------------------
-const CDP_HOST = "127.0.0.1";
-const CDP_PORT = 9222;
-const DEFAULT_TIMEOUT = 90;
-const POLL_INTERVAL = 2000;
-const STABLE_CHECKS = 3;
-const OUTPUT_DIR = path.join(__dirname, "responses");
-
-// ---------------------------------------------------------------------------
-// ENGINE DEFINITIONS
-// ---------------------------------------------------------------------------
-const ENGINES = [
-  {
-    name: "ChatGPT",
-    slug: "chatgpt",
-    urlMatch: /chatgpt\.com/,
-    extractScript: `
-      (() => {
-        const selectors = [
-          '[data-message-author-role="assistant"]',
-          'article[data-testid^="conversation-turn-"] .markdown',
-          '.agent-turn .markdown',
-          '[class*="markdown"]',
-        ];
-        for (const sel of selectors) {
-          const els = document.querySelectorAll(sel);
-          if (els.length > 0) {
-            const last = els[els.length - 1];
-            const prose = last.querySelector('.markdown, .prose') || last;
-            return prose.innerText.trim();
-          }
-        }
-        return '';
-      })()
-    `,
-  },
-  {
-    name: "Claude",
-    slug: "claude",
-    urlMatch: /claude\.ai/,
-    extractScript: `
-      (() => {
-        // Click "Show more" if response is collapsed
-        for (const b of document.querySelectorAll('button')) {
-          if (b.innerText.trim() === 'Show more') b.click();
-        }
-        // Claude renders response in standard-markdown or font-claude-response
-        const selectors = [
-          'div.standard-markdown',
-          '[class*="font-claude-response"]',
-          '[class*="claude-response"]',
-          '[class*="markdown"]',
-        ];
-        let best = '';
-        for (const sel of selectors) {
-          const els = document.querySelectorAll(sel);
-          for (const el of els) {
-            const text = el.innerText.trim();
-            if (text.length > best.length) best = text;
-          }
-        }
-        if (best.length > 20) return best;
-        return '';
-      })()
-    `,
-  },
-  {
-    name: "Perplexity",
-    slug: "perplexity",
-    urlMatch: /perplexity\.ai/,
-    extractScript: `
-      (() => {
-        const selectors = [
-          '[dir="auto"] .prose',
-          '.relative.default .break-words',
-          'article',
-        ];
-        for (const sel of selectors) {
-          const els = document.querySelectorAll(sel);
-          if (els.length > 0) {
-            const last = els[els.length - 1];
-            const text = last.innerText.trim();
-            if (text.length > 20) return text;
-          }
-        }
-        const main = document.querySelector('main');
-        if (main) {
-          const text = main.innerText.trim();
-          if (text.length > 100) return text;
-        }
-        return '';
-      })()
-    `,
-  },
-  {
-    name: "Google AI Studio",
-    slug: "google-ai-studio",
-    urlMatch: /aistudio\.google\.com/,
-    extractScript: `
-      (() => {
-        const nodes = document.querySelectorAll('ms-cmark-node');
-        if (nodes.length > 0) {
-          const parent = nodes[0].closest('.model-response-text, .chat-turn, [class*="response"]');
-          if (parent) {
-            const text = parent.innerText.trim();
-            if (text.length > 20) return text;
-          }
-          const allText = [...nodes].map(n => n.innerText.trim()).filter(t => t).join('\\n');
-          if (allText.length > 20) return allText;
-        }
-        const selectors = [
-          'model-response',
-          '[class*="model-response"]',
-          'ms-chat-turn-container',
-        ];
-        for (const sel of selectors) {
-          const els = document.querySelectorAll(sel);
-          if (els.length > 0) {
-            const last = els[els.length - 1];
-            const text = last.innerText.trim();
-            if (text.length > 20) return text;
-          }
-        }
-        return '';
-      })()
-    `,
-  },
-];
+const { getEngines } = require("./registry");
+const { DOM_TO_MARKDOWN_SCRIPT } = require("./dom-to-markdown");
+const { writeSources, SOURCES_FILE } = require("./sources");
+const { recordRun, pendingRun, markCollected, matchTabByMessage } = require("./runs");
+const { writeMeta, updateMeta, headerValue, engineEntry, synthesisEntry } = require("./meta");
+const { synthesize, SYNTHESIS_FILE } = require("./synthesis");
+const { writeAgreement, AGREEMENT_FILE } = require("./agreement");
+const { vaultConfig, syncFolder } = require("./vault");
 
 // ---------------------------------------------------------------------------
 // HELPERS
@@ -163,12 +43,13 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/** Flags of this script; --timeout and the other settings are read by config.js */
 function parseArgs() {
-  const args = process.argv.slice(2);
-  const opts = { timeout: DEFAULT_TIMEOUT };
+  const args = scriptArgs();
+  const opts = { timeout: config.timeout, template: null };
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === "--timeout" && args[i + 1]) {
-      opts.timeout = parseInt(args[i + 1], 10);
+    if (args[i] === "--template" && args[i + 1]) {
+      opts.template = args[i + 1];
       i++;
     }
   }
@@ -185,55 +66,182 @@ function slugify(text, maxLen = 60) {
     .replace(/-+$/, "");
 }
 
+// ---------------------------------------------------------------------------
+// PAGE SIGNALS
+// ---------------------------------------------------------------------------
+
+const SIGNAL_BINDING = "__csSignal";
+
+/**
+ * Installs a MutationObserver that reports DOM activity back to Node through
+ * the Runtime.addBinding channel. Idempotent — re-run after navigations.
+ */
+const OBSERVER_SCRIPT = `
+  (() => {
+    if (window.__csObserver || typeof window.${SIGNAL_BINDING} !== 'function') return false;
+    let pending = false;
+    window.__csObserver = new MutationObserver(() => {
+      // Throttle: at most one signal per 250ms
+      if (pending) return;
+      pending = true;
+      setTimeout(() => {
+        pending = false;
+        try { window.${SIGNAL_BINDING}('mutation'); } catch (_) {}
+      }, 250);
+    });
+    window.__csObserver.observe(document.body, {
+      childList: true, subtree: true, characterData: true, attributes: true,
+    });
+    return true;
+  })()
+`;
+
+/**
+ * Wire up page signals for a CDP client.
+ * @returns {Promise<function(number): Promise<void>>} wait(ms) — resolves on
+ *   the next page signal or after ms, whichever comes first
+ */
+async function setupSignals(client) {
+  let wake = null;
+  client.on("Runtime.bindingCalled", ({ name }) => {
+    if (name === SIGNAL_BINDING && wake) wake();
+  });
+  try {
+    await client.Runtime.addBinding({ name: SIGNAL_BINDING });
+  } catch (_) {
+    // Older Chrome without bindings — plain polling still works
+  }
+
+  return (ms) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        wake = null;
+        resolve();
+      }
+      wake = done;
+    });
+}
+
 // ---------------------------------------------------------------------------
 // CORE: Extract response from a single tab
 // ---------------------------------------------------------------------------
 
-async function extractFromTab(target, engine, timeoutSec) {
+/**
+ * Normalize an extractScript result. Scripts return __csCapture() output
+ * ({ markdown, html }); plain strings are still accepted as markdown.
+ */
+function normalizeCapture(value) {
+  if (!value) return { text: "", html: null };
+  if (typeof value === "string") return { text: value.trim(), html: null };
+  return { text: (value.markdown || "").trim(), html: value.html || null };
+}
+
+/** Run the engine's sourcesScript; failures just mean no sources */
+async function extractSources(Runtime, engine) {
+  if (!engine.sourcesScript) return [];
+  try {
+    const r = await Runtime.evaluate({ expression: engine.sourcesScript, returnByValue: true });
+    const list = r?.result?.value;
+    return Array.isArray(list) ? list.filter((s) => s && typeof s.url === "string") : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Wait for an engine's answer to finish and return it.
+ *
+ * Engines that declare completion.finishedScript are done once that rule
+ * holds (and the text is non-empty) for completion.settleMs; pauses while
+ * the engine is still generating (tool calls, search steps) don't end the
+ * wait. DOM mutations wake the loop early so finished answers are picked up
+ * quickly. Engines without a rule fall back to stableChecks unchanged polls.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.previous] — answer already on the page before a
+ *   follow-up was sent; it is ignored until a new turn replaces it
+ * @returns {Promise<{text, html, sources[]}|null>} markdown answer, raw
+ *   container HTML and the sources it cites
+ */
+async function extractFromTab(target, engine, timeoutSec, opts = {}) {
   let client;
   try {
-    client = await CDP({ target, host: CDP_HOST, port: CDP_PORT });
+    client = await CDP({ target, host: config.cdpHost, port: config.cdpPort });
     const { Runtime } = client;
+    const { finishedScript, settleMs, stableChecks } = engine.completion;
+    const waitForSignal = finishedScript ? await setupSignals(client) : null;
 
     let lastText = "";
+    let lastHtml = null;
     let stableCount = 0;
+    let finishedSince = null;
     const deadline = Date.now() + timeoutSec * 1000;
 
-    console.log(`  ... Polling ${engine.name}...`);
+    console.log(`  ... Polling ${engine.name}${finishedScript ? " (page signals)" : ""}...`);
 
     while (Date.now() < deadline) {
       try {
+        if (finishedScript) {
+          await Runtime.evaluate({ expression: OBSERVER_SCRIPT, returnByValue: true });
+        }
+        await Runtime.evaluate({ expression: DOM_TO_MARKDOWN_SCRIPT });
+
         const result = await Runtime.evaluate({
           expression: engine.extractScript,
           returnByValue: true,
         });
 
-        const text = result?.result?.value || "";
-
-        if (text.length > 0 && text === lastText) {
+        let { text, html } = normalizeCapture(result?.result?.value);
+        if (opts.previous && text === opts.previous) text = "";
+
+        if (finishedScript) {
+          const r = await Runtime.evaluate({ expression: finishedScript, returnByValue: true });
+          if (text.length > 0 && r?.result?.value === true) {
+            if (finishedSince === null) finishedSince = Date.now();
+            if (Date.now() - finishedSince >= settleMs) {
+              console.log(`  OK  ${engine.name}: Done (${text.length} chars)`);
+              return { text, html, sources: await extractSources(Runtime, engine) };
+            }
+          } else {
+            finishedSince = null;
+          }
+        } else if (text.length > 0 && text === lastText) {
           stableCount++;
-          if (stableCount >= STABLE_CHECKS) {
+          if (stableCount >= stableChecks) {
             console.log(`  OK  ${engine.name}: Done (${text.length} chars)`);
-            return text;
+            return { text, html, sources: await extractSources(Runtime, engine) };
           }
         } else {
           stableCount = 0;
-          if (text.length > 0) {
-            lastText = text;
-          }
+        }
+
+        if (text.length > 0) {
+          lastText = text;
+          lastHtml = html;
         }
       } catch (evalErr) {
         console.log(`  !!  ${engine.name}: eval error, retrying...`);
       }
 
-      await sleep(POLL_INTERVAL);
+      if (!finishedScript) {
+        // Stable-poll fallback counts fixed intervals, so don't wake early
+        await sleep(config.pollInterval);
+      } else {
+        await waitForSignal(finishedSince !== null ? settleMs : config.pollInterval);
+      }
     }
 
     if (lastText.length > 0) {
       console.log(
         `  TIMEOUT ${engine.name}: partial response (${lastText.length} chars)`
       );
-      return lastText + "\n\n> [Response may be incomplete - timed out]";
+      return {
+        text: lastText + "\n\n> [Response may be incomplete - timed out]",
+        html: lastHtml,
+        sources: await extractSources(Runtime, engine),
+      };
     }
 
     console.log(`  FAIL ${engine.name}: No response found`);
@@ -248,6 +256,140 @@ async function extractFromTab(target, engine, timeoutSec) {
   }
 }
 
+/**
+ * Read an engine's current answer once, without waiting for completion.
+ * @returns {Promise<{text, html}>}
+ */
+async function captureNow(target, engine) {
+  let client;
+  try {
+    client = await CDP({ target, host: config.cdpHost, port: config.cdpPort });
+    await client.Runtime.evaluate({ expression: DOM_TO_MARKDOWN_SCRIPT });
+    const result = await client.Runtime.evaluate({
+      expression: engine.extractScript,
+      returnByValue: true,
+    });
+    return normalizeCapture(result?.result?.value);
+  } finally {
+    if (client) try { await client.close(); } catch (_) {}
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CORE: Collect from every engine in parallel
+// ---------------------------------------------------------------------------
+
+/** Write one engine's response files and return its response record */
+function saveEngineResponse(promptDir, engine, tab, query, captured) {
+  const text = captured ? captured.text : null;
+  const filePath = path.join(promptDir, `${engine.slug}.md`);
+  let md = `# ${engine.name} Response\n\n`;
+  md += `**Source:** ${engine.name}\n`;
+  md += `**URL:** ${tab.url}\n`;
+  md += `**Date:** ${new Date().toISOString()}\n`;
+  md += `**Query:** ${headerValue(query)}\n\n`;
+  md += `---\n\n`;
+  md += text || `*No response collected*`;
+  fs.writeFileSync(filePath, md, "utf-8");
+
+  if (!text) {
+    return { engine: engine.name, slug: engine.slug, status: "failed", text: null };
+  }
+
+  const response = { engine: engine.name, slug: engine.slug, status: "ok", chars: text.length, file: `${engine.slug}.md`, path: filePath };
+  if (captured.html) {
+    // Keep the source HTML so the markdown can be regenerated later
+    response.htmlFile = `${engine.slug}.raw.html`;
+    fs.writeFileSync(path.join(promptDir, response.htmlFile), captured.html, "utf-8");
+  }
+  if (captured.sources && captured.sources.length) {
+    response.sources = captured.sources;
+  }
+  return response;
+}
+
+/**
+ * Decide which tab to read for each engine. Targets pinned by a run record
+ * are used exactly; otherwise the tab whose user message matches the query.
+ * @param {Array} targets — CDP target list
+ * @param {string} query
+ * @param {object} [pinned] — { [slug]: targetId } from a run record
+ * @returns {Promise<Map<string, object|null>>} slug → tab
+ */
+async function resolveTabs(targets, query, pinned) {
+  const entries = await Promise.all(
+    getEngines().map(async (engine) => {
+      if (pinned && pinned[engine.slug]) {
+        return [engine.slug, targets.find((t) => t.id === pinned[engine.slug]) || null];
+      }
+      const candidates = targets.filter((t) => t.type === "page" && engine.urlMatch.test(t.url));
+      const tab = await matchTabByMessage(candidates, engine, query, { host: config.cdpHost, port: config.cdpPort });
+      return [engine.slug, tab];
+    })
+  );
+  return new Map(entries);
+}
+
+/**
+ * Poll every engine's tab at the same time, each with its own deadline.
+ * onProgress("engine_done") fires as soon as each engine finishes; the
+ * returned promise resolves once all of them are done.
+ * @param {Map<string, object|null>} tabs — slug → tab, from resolveTabs()
+ * @returns {Promise<{responses[], responseFiles[], sourcesPath, engines[]}>}
+ *   in registry order; engines are the meta.json entries
+ */
+async function collectEngines(tabs, promptDir, query, timeout, onProgress) {
+  const timing = new Map();
+  const responses = await Promise.all(
+    getEngines().map(async (engine) => {
+      const tab = tabs.get(engine.slug);
+
+      if (!tab) {
+        console.log(`  --  ${engine.name}: No matching tab found`);
+        onProgress("engine_done", { engine: engine.name, status: "no_tab", chars: 0 });
+        return { engine: engine.name, slug: engine.slug, status: "no_tab", text: null };
+      }
+
+      console.log(`  >>  ${engine.name}: ${tab.url.slice(0, 80)}...`);
+      const startedAt = new Date().toISOString();
+      const captured = await extractFromTab(tab, engine, timeout);
+      const response = saveEngineResponse(promptDir, engine, tab, query, captured);
+      timing.set(engine.slug, { url: tab.url, targetId: tab.id, startedAt, finishedAt: new Date().toISOString() });
+      onProgress("engine_done", { engine: engine.name, status: response.status, chars: response.chars || 0 });
+      return response;
+    })
+  );
+
+  const responseFiles = responses
+    .filter((r) => r.status === "ok")
+    .map((r) => ({ engine: r.engine, path: r.path }));
+
+  const sourcesPath = writeSources(promptDir, responses);
+  for (const r of responses) {
+    delete r.path;
+    if (r.sources) {
+      r.sourceCount = r.sources.length;
+      delete r.sources;
+    }
+  }
+
+  const engines = responses.map((r) => engineEntry(r, timing.get(r.slug)));
+  return { responses, responseFiles, sourcesPath, engines };
+}
+
+/**
+ * Mark the run as collected into folderName. Without a run, record the tabs
+ * that were read so follow-ups can find the same conversations.
+ */
+function finishRun(run, query, tabs, folderName) {
+  if (!run) {
+    const targets = {};
+    for (const [slug, tab] of tabs) if (tab) targets[slug] = tab.id;
+    run = recordRun({ query, targets, source: "collect" });
+  }
+  markCollected(run.id, folderName);
+}
+
 // ---------------------------------------------------------------------------
 // QUERY EXTRACTION
 // ---------------------------------------------------------------------------
@@ -270,7 +412,7 @@ async function extractQuery(targets) {
   if (perpTab) {
     let client;
     try {
-      client = await CDP({ target: perpTab, host: CDP_HOST, port: CDP_PORT });
+      client = await CDP({ target: perpTab, host: config.cdpHost, port: config.cdpPort });
       const r = await client.Runtime.evaluate({
         expression: `document.title || ''`,
         returnByValue: true,
@@ -288,58 +430,35 @@ async function extractQuery(targets) {
 }
 
 // ---------------------------------------------------------------------------
-// SYNTHESIS via Claude API
+// SYNTHESIS (provider configured in .env, see synthesis.js)
 // ---------------------------------------------------------------------------
 
-async function synthesize(query, responseFiles, promptDir) {
-  console.log("\n  Generating cross-LLM synthesis via Claude CLI...");
-
-  const systemPrompt = `You are a research synthesis analyst. You receive the same query answered by multiple AI engines. Your job is to produce a helicopter-view analysis that:
-
-1. **Reconciles** the responses: where do they agree? Where do they diverge?
-2. **Fact-checks**: flag any claims that appear unsupported, contradicted across sources, or potentially outdated.
-3. **Verifies evidence**: note which responses cite sources vs. make unsupported assertions.
-4. **Separates signal from noise**: what is the core, high-confidence answer vs. speculative or filler content?
-5. **Identifies gaps**: what important aspects did none of the engines cover?
-6. **Architectural/strategic view**: if the query involves implementation, assess the different approaches suggested and their trade-offs.
-
-Output a well-structured markdown document with clear sections. Be concise but thorough. When engines disagree, explain why and which position has stronger evidence.`;
-
-  const prompt = `${systemPrompt}\n\n# Original Query\n${query}\n\nThe individual AI responses are attached as files. Please produce a cross-LLM synthesis analysis.`;
-
-  try {
-    // Build args: claude -p "prompt" file1.md file2.md ...
-    const args = [
-      "-p", prompt,
-      "--output-format", "text",
-      ...responseFiles.map((f) => f.path),
-    ];
-
-    // Strip all Claude Code session vars to avoid nesting detection
-    const env = { ...process.env };
-    for (const key of Object.keys(env)) {
-      if (key.startsWith("CLAUDE")) delete env[key];
-    }
-    const result = execFileSync("claude", args, {
-      encoding: "utf-8",
-      timeout: 300000,
-      maxBuffer: 1024 * 1024,
-      env,
-    });
-
-    const synthesisPath = path.join(promptDir, "synthesis.md");
-    let md = `# Cross-LLM Synthesis\n\n`;
-    md += `**Query:** ${query}\n`;
-    md += `**Date:** ${new Date().toISOString()}\n`;
-    md += `**Sources:** ${responseFiles.map((r) => r.engine).join(", ")}\n\n`;
-    md += `---\n\n`;
-    md += result.trim();
+/**
+ * Synthesize when there are at least two answers and report the outcome.
+ * @param {object} [opts] — passed on to synthesize() (context, provider, model, onDelta)
+ * @returns {Promise<object>} meta.json synthesis entry
+ */
+async function synthesisStep(query, responseFiles, promptDir, doSynthesize, opts = {}) {
+  if (!doSynthesize || responseFiles.length < 2) return synthesisEntry("skipped");
+  const startedAt = new Date().toISOString();
+  const result = await synthesize(query, responseFiles, promptDir, opts);
+  const file = result.path ? SYNTHESIS_FILE : null;
+  return synthesisEntry(result.status, file, startedAt, new Date().toISOString(), result);
+}
 
-    fs.writeFileSync(synthesisPath, md, "utf-8");
-    console.log(`  OK  Synthesis saved (${result.length} chars)`);
-  } catch (err) {
-    console.error(`  FAIL Synthesis error: ${err.message}`);
-  }
+/** Start a collection's manifest, before any engine has answered */
+function startMeta(promptDir, folderName, query) {
+  writeMeta(promptDir, {
+    folder: folderName,
+    query,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    engines: [],
+    sourcesFile: null,
+    agreementFile: null,
+    synthesis: synthesisEntry("skipped"),
+    turns: [],
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -350,15 +469,15 @@ async function main() {
   const opts = parseArgs();
 
   console.log(`\nClipboard Search Collector`);
-  console.log(`  Connecting to Chrome at ${CDP_HOST}:${CDP_PORT}...\n`);
+  console.log(`  Connecting to Chrome at ${config.cdpHost}:${config.cdpPort}...\n`);
 
   let targets;
   try {
-    targets = await CDP.List({ host: CDP_HOST, port: CDP_PORT });
+    targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
   } catch (err) {
     console.error(
       `FAIL Cannot connect to Chrome.\n` +
-        `  chrome.exe --remote-debugging-port=${CDP_PORT}\n` +
+        `  chrome.exe --remote-debugging-port=${config.cdpPort}\n` +
         `  Error: ${err.message}`
     );
     process.exit(1);
@@ -366,15 +485,17 @@ async function main() {
 
   console.log(`  Found ${targets.length} tabs\n`);
 
-  // Extract query
-  const query = await extractQuery(targets);
+  // Use the tabs recorded by submit.js / search.js, else guess the query
+  const run = pendingRun();
+  const query = run?.query || await extractQuery(targets);
   console.log(`  Query: ${query.slice(0, 80)}...\n`);
+  const tabs = await resolveTabs(targets, query, run?.targets);
 
   // Create prompt folder
   const slug = slugify(query);
   const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
   const folderName = `${ts}_${slug}`;
-  const promptDir = path.join(OUTPUT_DIR, folderName);
+  const promptDir = path.join(config.outputDir, folderName);
   fs.mkdirSync(promptDir, { recursive: true });
 
   // Save prompt
@@ -384,40 +505,18 @@ async function main() {
     `# Query\n\n${query}\n\n**Date:** ${new Date().toISOString()}\n`,
     "utf-8"
   );
-
-  // Collect from each engine
-  const responseFiles = [];
-
-  for (const engine of ENGINES) {
-    const tab = targets.find(
-      (t) => t.type === "page" && engine.urlMatch.test(t.url)
-    );
-
-    if (!tab) {
-      console.log(`  --  ${engine.name}: No matching tab found`);
-      continue;
-    }
-
-    console.log(`  >>  ${engine.name}: ${tab.url.slice(0, 80)}...`);
-    const text = await extractFromTab(tab, engine, opts.timeout);
-
-    const filePath = path.join(promptDir, `${engine.slug}.md`);
-    let md = `# ${engine.name} Response\n\n`;
-    md += `**Source:** ${engine.name}\n`;
-    md += `**URL:** ${tab.url}\n`;
-    md += `**Date:** ${new Date().toISOString()}\n`;
-    md += `**Query:** ${query}\n\n`;
-    md += `---\n\n`;
-
-    if (text) {
-      md += text;
-      responseFiles.push({ engine: engine.name, path: filePath });
-    } else {
-      md += `*No response collected*`;
-    }
-
-    fs.writeFileSync(filePath, md, "utf-8");
-  }
+  startMeta(promptDir, folderName, query);
+
+  // Collect from all engines in parallel
+  const { responseFiles, sourcesPath, engines } = await collectEngines(tabs, promptDir, query, opts.timeout, () => {});
+  finishRun(run, query, tabs, folderName);
+  const agreementPath = writeAgreement(promptDir, responseFiles);
+  updateMeta(promptDir, (meta) => ({
+    ...meta,
+    engines,
+    sourcesFile: sourcesPath ? SOURCES_FILE : null,
+    agreementFile: agreementPath ? AGREEMENT_FILE : null,
+  }));
 
   if (responseFiles.length === 0) {
     console.log("\nFAIL No responses collected from any engine.");
@@ -427,18 +526,15 @@ async function main() {
   console.log(`\n  Saved ${responseFiles.length} responses to: ${promptDir}`);
 
   // Run synthesis
-  await synthesize(query, responseFiles, promptDir);
+  if (responseFiles.length >= 2) {
+    updateMeta(promptDir, (meta) => ({ ...meta, synthesis: synthesisEntry("running", SYNTHESIS_FILE, new Date().toISOString()) }));
+  }
+  const synthesis = await synthesisStep(query, responseFiles, promptDir, true, { template: opts.template });
+  updateMeta(promptDir, (meta) => ({ ...meta, synthesis, finishedAt: new Date().toISOString() }));
 
   // Generate HTML viewer and auto-open
   try {
-    const synthPath = path.join(promptDir, "synthesis.md");
-    const viewerResponses = responseFiles.map((r) => {
-      const eng = ENGINES.find((e) => e.name === r.engine);
-      const filePath = r.path;
-      const stat = fs.statSync(filePath);
-      return { engine: r.engine, slug: eng ? eng.slug : r.engine.toLowerCase(), status: "ok", chars: stat.size };
-    });
-    const htmlPath = generateViewer(promptDir, query, viewerResponses, fs.existsSync(synthPath) ? synthPath : null);
+    const htmlPath = generateViewer(promptDir);
     exec(`start "" "${htmlPath}"`, (err) => {
       if (err) console.log(`  !!  Could not auto-open viewer: ${err.message}`);
     });
@@ -446,6 +542,17 @@ async function main() {
     console.log(`  !!  Viewer generation failed: ${err.message}`);
   }
 
+  // Notes for the vault, when one is kept in sync (see vault.js)
+  const vault = vaultConfig();
+  if (vault.path && vault.sync) {
+    try {
+      const result = syncFolder(promptDir);
+      console.log(`  OK  Vault: ${result.base}`);
+    } catch (err) {
+      console.log(`  !!  Vault export failed: ${err.message}`);
+    }
+  }
+
   console.log(`\nDone. Output: ${promptDir}\n`);
 }
 
@@ -453,22 +560,20 @@ async function main() {
 // EXPORTS (for api.js)
 // ---------------------------------------------------------------------------
 module.exports = {
-  ENGINES,
-  CDP_HOST,
-  CDP_PORT,
-  DEFAULT_TIMEOUT,
-  OUTPUT_DIR,
   slugify,
   extractQuery,
   extractFromTab,
+  captureNow,
+  saveEngineResponse,
   synthesize,
+  synthesisStep,
 
   /**
    * listTabs — wraps CDP.List()
    * @returns {Promise<Array>} CDP target list
    */
   async listTabs() {
-    return CDP.List({ host: CDP_HOST, port: CDP_PORT });
+    return CDP.List({ host: config.cdpHost, port: config.cdpPort });
   },
 
   /**
@@ -476,20 +581,26 @@ module.exports = {
    * @param {object} opts
    * @param {number} [opts.timeout=90] — per-engine timeout in seconds
    * @param {boolean} [opts.doSynthesize=true] — run synthesis step
+   * @param {string} [opts.template] — synthesis template (default: picked from the query)
+   * @param {string} [opts.query] — known query (skips guessing it from the tabs)
+   * @param {object} [opts.run] — run record whose targets to read (see runs.js);
+   *   without query or run, the newest uncollected run is used
    * @returns {Promise<{promptDir, folderName, query, responses[], synthesisPath?}>}
    */
   async collectAll(opts = {}) {
-    const timeout = opts.timeout || DEFAULT_TIMEOUT;
+    const timeout = opts.timeout || config.timeout;
     const doSynthesize = opts.doSynthesize !== false;
     const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
 
-    const targets = await CDP.List({ host: CDP_HOST, port: CDP_PORT });
-    const query = await extractQuery(targets);
+    const targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
+    const run = opts.run || (opts.query ? null : pendingRun());
+    const query = opts.query || run?.query || await extractQuery(targets);
+    const tabs = await resolveTabs(targets, query, run?.targets);
 
     const slug = slugify(query);
     const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
     const folderName = `${ts}_${slug}`;
-    const promptDir = path.join(OUTPUT_DIR, folderName);
+    const promptDir = path.join(config.outputDir, folderName);
     fs.mkdirSync(promptDir, { recursive: true });
 
     // Save prompt
@@ -498,71 +609,44 @@ module.exports = {
       `# Query\n\n${query}\n\n**Date:** ${new Date().toISOString()}\n`,
       "utf-8"
     );
+    startMeta(promptDir, folderName, query);
 
     // Notify: started
-    onProgress("started", { query, engines: ENGINES.map((e) => e.name) });
-
-    // Collect from each engine
-    const responses = [];
-    const responseFiles = [];
-
-    for (const engine of ENGINES) {
-      const tab = targets.find(
-        (t) => t.type === "page" && engine.urlMatch.test(t.url)
-      );
-
-      if (!tab) {
-        responses.push({ engine: engine.name, slug: engine.slug, status: "no_tab", text: null });
-        onProgress("engine_done", { engine: engine.name, status: "no_tab", chars: 0 });
-        continue;
-      }
-
-      const text = await extractFromTab(tab, engine, timeout);
-      const filePath = path.join(promptDir, `${engine.slug}.md`);
-
-      let md = `# ${engine.name} Response\n\n`;
-      md += `**Source:** ${engine.name}\n`;
-      md += `**URL:** ${tab.url}\n`;
-      md += `**Date:** ${new Date().toISOString()}\n`;
-      md += `**Query:** ${query}\n\n`;
-      md += `---\n\n`;
-
-      if (text) {
-        md += text;
-        responseFiles.push({ engine: engine.name, path: filePath });
-        responses.push({ engine: engine.name, slug: engine.slug, status: "ok", chars: text.length, file: `${engine.slug}.md` });
-        onProgress("engine_done", { engine: engine.name, status: "ok", chars: text.length });
-      } else {
-        md += `*No response collected*`;
-        responses.push({ engine: engine.name, slug: engine.slug, status: "failed", text: null });
-        onProgress("engine_done", { engine: engine.name, status: "failed", chars: 0 });
-      }
-
-      fs.writeFileSync(filePath, md, "utf-8");
-    }
+    onProgress("started", { query, engines: getEngines().map((e) => e.name) });
+
+    // Collect from all engines in parallel
+    const { responses, responseFiles, sourcesPath, engines } = await collectEngines(tabs, promptDir, query, timeout, onProgress);
+    finishRun(run, query, tabs, folderName);
+    // Offline, so it runs whether or not synthesis does
+    const agreementPath = writeAgreement(promptDir, responseFiles);
+    updateMeta(promptDir, (meta) => ({
+      ...meta,
+      engines,
+      sourcesFile: sourcesPath ? SOURCES_FILE : null,
+      agreementFile: agreementPath ? AGREEMENT_FILE : null,
+    }));
 
     const result = { promptDir, folderName, query, responses };
 
     // Synthesis
     if (doSynthesize && responseFiles.length >= 2) {
-      onProgress("synthesizing", {});
-      await synthesize(query, responseFiles, promptDir);
-      const synthesisPath = path.join(promptDir, "synthesis.md");
-      if (fs.existsSync(synthesisPath)) {
-        result.synthesisPath = synthesisPath;
-        result.synthesisFile = "synthesis.md";
-      }
+      onProgress("synthesizing", { folderName });
+      // Until it finishes, a crash leaves the partial synthesis.md marked as running
+      updateMeta(promptDir, (meta) => ({ ...meta, synthesis: synthesisEntry("running", SYNTHESIS_FILE, new Date().toISOString()) }));
+    }
+    const synthesis = await synthesisStep(query, responseFiles, promptDir, doSynthesize, {
+      template: opts.template,
+      onDelta: (text) => onProgress("synthesis_delta", { folderName, text }),
+    });
+    updateMeta(promptDir, (meta) => ({ ...meta, synthesis, finishedAt: new Date().toISOString() }));
+    if (synthesis.status === "ok") {
+      result.synthesisPath = path.join(promptDir, synthesis.file);
+      result.synthesisFile = synthesis.file;
     }
 
     // Generate HTML viewer
     try {
-      const synthPath = path.join(promptDir, "synthesis.md");
-      const htmlPath = generateViewer(
-        promptDir,
-        query,
-        responses,
-        fs.existsSync(synthPath) ? synthPath : null
-      );
+      generateViewer(promptDir);
       result.viewerFile = "index.html";
     } catch (err) {
       console.log(`  !!  Viewer generation failed: ${err.message}`);
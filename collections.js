@@ -0,0 +1,225 @@
+/**
+ * collections.js — Organize, delete and restore collections.
+ *
+ * What the user sets on a collection is saved in its meta.json, next to
+ * what the collector wrote:
+ *
+ *   "title": "Rust vs Go, round 2"   shown instead of the query; absent = the query
+ *   "tags": ["work", "rust"]
+ *   "starred": true
+ *   "archived": false
+ *
+ * Deleting moves the folder into OUTPUT_DIR/.trash as <folder>@<time>, so it
+ * can be restored (the dashboard's undo) until purgeTrash() removes it
+ * TRASH_DAYS later. Deleting the same folder again keeps both copies;
+ * restoring brings back the newest.
+ *
+ * Usage:
+ *   const { updateCollection, trashCollection, restoreCollection } = require('./collections');
+ *   updateCollection(promptDir, { addTags: ["work"], starred: true });
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+const { readMeta, updateMeta } = require("./meta");
+
+const TRASH_DIR = ".trash";
+const TRASH_DAYS = 7;
+/** The <time> of a trash entry name: deletedAt with ":" and "." as "-" */
+const TRASH_STAMP = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+const MAX_TITLE = 200;
+const MAX_TAG = 40;
+const MAX_TAGS = 20;
+
+const FIELDS = ["title", "tags", "addTags", "removeTags", "starred", "archived"];
+
+// ---------------------------------------------------------------------------
+// CHANGES
+// ---------------------------------------------------------------------------
+
+/** A tag as stored: trimmed, inner whitespace collapsed */
+function cleanTag(tag) {
+  if (typeof tag !== "string") throw new Error(`Tags must be strings, got ${JSON.stringify(tag)}`);
+  const clean = tag.trim().replace(/\s+/g, " ");
+  if (!clean) throw new Error("Tags cannot be empty");
+  if (clean.length > MAX_TAG) throw new Error(`Tag "${clean.slice(0, 20)}..." is longer than ${MAX_TAG} characters`);
+  if (clean.includes(",")) throw new Error(`Tag "${clean}" cannot contain a comma`);
+  return clean;
+}
+
+function tagList(value, field) {
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array of strings`);
+  return [...new Set(value.map(cleanTag))];
+}
+
+/**
+ * Validated changes from a PATCH body.
+ *   title — string ("" or null goes back to the query)
+ *   tags — replaces every tag; addTags / removeTags change some
+ *   starred, archived — booleans
+ * @returns {object} only the fields that were given
+ * @throws {Error} on an unknown field or a bad value
+ */
+function checkChanges(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error("Body must be a JSON object");
+  const unknown = Object.keys(body).filter((k) => k !== "folders" && !FIELDS.includes(k));
+  if (unknown.length) throw new Error(`Unknown field(s): ${unknown.join(", ")} (use ${FIELDS.join(", ")})`);
+
+  const changes = {};
+  if (body.title !== undefined) {
+    if (body.title !== null && typeof body.title !== "string") throw new Error("title must be a string");
+    const title = (body.title || "").trim();
+    if (title.length > MAX_TITLE) throw new Error(`title is longer than ${MAX_TITLE} characters`);
+    changes.title = title;
+  }
+  for (const field of ["tags", "addTags", "removeTags"]) {
+    if (body[field] !== undefined) changes[field] = tagList(body[field], field);
+  }
+  for (const field of ["starred", "archived"]) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "boolean") throw new Error(`${field} must be true or false`);
+    changes[field] = body[field];
+  }
+  if (!Object.keys(changes).length) throw new Error(`Nothing to change (use ${FIELDS.join(", ")})`);
+  return changes;
+}
+
+/** The user-set fields of a manifest, with their defaults */
+function collectionInfo(meta) {
+  return {
+    title: meta.title || null,
+    tags: meta.tags || [],
+    starred: !!meta.starred,
+    archived: !!meta.archived,
+  };
+}
+
+/**
+ * Apply checked changes to a collection's meta.json.
+ * @param {string} promptDir — absolute path to the collection
+ * @param {object} changes — from checkChanges()
+ * @returns {object} collectionInfo() after the change
+ */
+function updateCollection(promptDir, changes) {
+  if (!readMeta(promptDir)) throw new Error(`Not a collection: ${path.basename(promptDir)}`);
+  const meta = updateMeta(promptDir, (m) => {
+    if (changes.title !== undefined) {
+      if (changes.title) m.title = changes.title;
+      else delete m.title;
+    }
+    let tags = changes.tags || m.tags || [];
+    if (changes.addTags) tags = [...new Set([...tags, ...changes.addTags])];
+    if (changes.removeTags) tags = tags.filter((t) => !changes.removeTags.includes(t));
+    if (tags.length > MAX_TAGS) throw new Error(`A collection can have at most ${MAX_TAGS} tags`);
+    m.tags = tags;
+    if (changes.starred !== undefined) m.starred = changes.starred;
+    if (changes.archived !== undefined) m.archived = changes.archived;
+  });
+  return collectionInfo(meta);
+}
+
+// ---------------------------------------------------------------------------
+// TRASH
+// ---------------------------------------------------------------------------
+
+function trashDir(outputDir = config.outputDir) {
+  return path.join(outputDir, TRASH_DIR);
+}
+
+/** Trash entry name of `folder` deleted at `deletedAt` (ISO time) */
+function trashName(folder, deletedAt) {
+  return `${folder}@${deletedAt.replace(/[:.]/g, "-")}`;
+}
+
+/** When a trash entry was deleted: from its name, else its manifest, else its mtime */
+function deletedTime(dir) {
+  const name = path.basename(dir);
+  const m = TRASH_STAMP.exec(name.slice(name.lastIndexOf("@") + 1));
+  if (m) return Date.parse(`${m[1]}:${m[2]}:${m[3]}.${m[4]}Z`);
+  return Date.parse(readMeta(dir)?.deletedAt || "") || fs.statSync(dir).mtimeMs;
+}
+
+/** Paths of the deleted copies of `folder`, newest first */
+function trashedCopies(folder, outputDir = config.outputDir) {
+  const dir = trashDir(outputDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.startsWith(`${folder}@`) && TRASH_STAMP.test(name.slice(folder.length + 1)))
+    .map((name) => path.join(dir, name))
+    .sort((a, b) => deletedTime(b) - deletedTime(a));
+}
+
+/**
+ * Move a collection into the trash. It is marked deleted only once it is
+ * there, so a failed move leaves the collection as it was.
+ * @returns {{folder: string, deletedAt: string}}
+ */
+function trashCollection(folder, outputDir = config.outputDir) {
+  const from = path.join(outputDir, folder);
+  if (!fs.existsSync(from) || !readMeta(from)) throw new Error(`Not a collection: ${folder}`);
+  const deletedAt = new Date().toISOString();
+  const to = path.join(trashDir(outputDir), trashName(folder, deletedAt));
+  fs.mkdirSync(trashDir(outputDir), { recursive: true });
+  fs.renameSync(from, to);
+  updateMeta(to, (m) => {
+    m.deletedAt = deletedAt;
+  });
+  return { folder, deletedAt };
+}
+
+/**
+ * Move the newest deleted copy of a collection back out of the trash. The
+ * mark comes off before the move, so a failed move leaves it in the trash
+ * and a restored collection never carries one.
+ * @throws {Error} when it is not in the trash, or the folder exists again
+ */
+function restoreCollection(folder, outputDir = config.outputDir) {
+  const [from] = trashedCopies(folder, outputDir);
+  const to = path.join(outputDir, folder);
+  if (!from) throw new Error(`Not in the trash: ${folder}`);
+  if (fs.existsSync(to)) throw new Error(`A collection named ${folder} exists already`);
+  updateMeta(from, (m) => {
+    delete m.deletedAt;
+  });
+  fs.renameSync(from, to);
+  return { folder };
+}
+
+/** Whether a deleted collection can still be restored */
+function inTrash(folder, outputDir = config.outputDir) {
+  return trashedCopies(folder, outputDir).length > 0;
+}
+
+/**
+ * Delete for good what was moved to the trash more than `days` ago.
+ * @returns {number} collections removed
+ */
+function purgeTrash(days = TRASH_DAYS, outputDir = config.outputDir) {
+  const dir = trashDir(outputDir);
+  if (!fs.existsSync(dir)) return 0;
+  const cutoff = Date.now() - days * 24 * 3600 * 1000;
+  let purged = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const folder = path.join(dir, entry.name);
+    if (deletedTime(folder) > cutoff) continue;
+    fs.rmSync(folder, { recursive: true, force: true });
+    purged++;
+  }
+  return purged;
+}
+
+module.exports = {
+  TRASH_DIR,
+  TRASH_DAYS,
+  checkChanges,
+  collectionInfo,
+  updateCollection,
+  trashCollection,
+  restoreCollection,
+  inTrash,
+  purgeTrash,
+};
@@ -0,0 +1,211 @@
+/**
+ * compare.js — Side-by-side view of engine answers.
+ *
+ * Answers are split into sections at their headings and the sections are
+ * lined up by heading (numbering, case and punctuation ignored), so
+ * "## 2. Performance" in one answer sits next to "### Performance" in
+ * another. The columns share one scroll container and scroll together;
+ * engines can be hidden, and any two can be shown as a word-level diff
+ * (diffLines() from diff.js over one word per line).
+ *
+ * Everything here is plain browser-safe JS. The viewer builds the view in
+ * Node with marked; the dashboard gets COMPARE_SCRIPT (their source) and
+ * builds it in the page with its own renderMd. Both need DIFF_SCRIPT too.
+ *
+ * Usage:
+ *   const { compareHost } = require('./compare');
+ *   html += compareHost(accordionsHtml, [{ engine: "ChatGPT", md }], marked);
+ */
+
+/**
+ * Split markdown into sections at # to ### headings (outside code fences).
+ * Text before the first heading is a section with heading "".
+ * @returns {Array<{heading: string, body: string}>}
+ */
+function splitSections(md) {
+  var sections = [{ heading: "", body: [] }];
+  var fence = false;
+  md.split("\n").forEach(function (line) {
+    if (/^\s*(```|~~~)/.test(line)) fence = !fence;
+    var h = !fence && line.match(/^#{1,3}\s+(.+?)\s*#*\s*$/);
+    if (h) sections.push({ heading: h[1], body: [] });
+    else sections[sections.length - 1].body.push(line);
+  });
+  return sections
+    .map(function (s) { return { heading: s.heading, body: s.body.join("\n").trim() }; })
+    .filter(function (s, i) { return i > 0 || s.body; });
+}
+
+/**
+ * Line up the answers' sections by heading.
+ * @param {Array<{engine: string, md: string}>} answers
+ * @returns {{engines: string[], rows: Array<{heading: string, cells: Array<string|null>}>}}
+ *   one row per section, a cell per engine (null when it has no such section)
+ */
+function alignSections(answers) {
+  var key = function (h) {
+    return h.toLowerCase()
+      .replace(/[*_`]/g, "")
+      .replace(/^\s*(?:\d+(?:\.\d+)*[.):]?|step\s+\d+:?|[ivx]+\.)\s+/, "")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  };
+  var similar = function (a, b) {
+    if (a === b) return true;
+    var x = a.split(" ");
+    var y = b.split(" ");
+    var common = x.filter(function (w) { return w && y.indexOf(w) !== -1; }).length;
+    return common / (x.length + y.length - common) >= 0.5;
+  };
+  var rows = [];
+  answers.forEach(function (answer, col) {
+    var last = -1;
+    var furthest = -1;
+    splitSections(answer.md).forEach(function (section) {
+      var k = key(section.heading);
+      var at = -1;
+      // Prefer a match after this answer's previous section, so order is kept
+      for (var pass = 0; pass < 2 && at === -1; pass++) {
+        for (var i = pass ? 0 : last + 1; i < rows.length; i++) {
+          if (rows[i].cells[col] === null && similar(rows[i].key, k) && (k || !rows[i].key)) {
+            at = i;
+            break;
+          }
+        }
+      }
+      // A section no earlier answer has goes below everything this one has filled so far
+      if (at === -1) {
+        at = furthest + 1;
+        rows.splice(at, 0, { key: k, heading: section.heading, cells: answers.map(function () { return null; }) });
+      }
+      rows[at].cells[col] = section.body;
+      last = at;
+      furthest = Math.max(furthest, at);
+    });
+  });
+  return {
+    engines: answers.map(function (a) { return a.engine; }),
+    rows: rows.map(function (r) { return { heading: r.heading, cells: r.cells }; }),
+  };
+}
+
+/**
+ * Columns view of the answers: engine toggles, a word-diff picker and one
+ * table row per aligned section. The section text travels along as JSON for
+ * the diff.
+ * @param {Array<{engine, md}>} answers
+ * @param {function} render — markdown → HTML
+ */
+function compareHtml(answers, render) {
+  var esc = function (s) {
+    return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  };
+  var data = alignSections(answers);
+  var n = data.engines.length;
+  var options = '<option value="">—</option>' + data.engines.map(function (e, i) {
+    return '<option value="' + i + '">' + esc(e) + "</option>";
+  }).join("");
+  var toggles = data.engines.map(function (e, i) {
+    return '<label><input type="checkbox" value="' + i + '" checked onchange="compareToggle(this)"> ' + esc(e) + "</label>";
+  }).join("");
+  var head = data.engines.map(function (e, i) { return '<th data-col="' + i + '">' + esc(e) + "</th>"; }).join("");
+  var body = data.rows.map(function (row) {
+    return (row.heading ? '<tr class="compare-heading"><th colspan="' + n + '">' + esc(row.heading.replace(/[*_`]/g, "")) + "</th></tr>" : "") +
+      "<tr>" + row.cells.map(function (cell, i) {
+        return '<td data-col="' + i + '">' + (cell === null ? '<span class="compare-missing">—</span>' : render(cell)) + "</td>";
+      }).join("") + "</tr>";
+  }).join("");
+  return '<div class="compare" hidden>' +
+    '<div class="compare-toolbar"><span class="compare-engines">' + toggles + "</span>" +
+      '<span>Word diff <select class="compare-a" onchange="compareDiff(this)">' + options + "</select> vs " +
+      '<select class="compare-b" onchange="compareDiff(this)">' + options + "</select></span></div>" +
+    '<div class="compare-scroll"><table class="compare-grid"><thead><tr>' + head + "</tr></thead><tbody>" + body + "</tbody></table>" +
+    '<div class="compare-diff" hidden></div></div>' +
+    '<script type="application/json" class="compare-data">' + JSON.stringify(data).replace(/</g, "\\u003c") + "<\/script>" +
+    "</div>";
+}
+
+/** The accordion list plus the columns view, with a switch between them */
+function compareHost(listHtml, answers, render) {
+  if (answers.length < 2) return listHtml;
+  return '<div class="compare-host">' +
+    '<div class="view-switch"><button type="button" class="active" data-mode="list" onclick="compareMode(this)">List</button>' +
+    '<button type="button" data-mode="columns" onclick="compareMode(this)">Side by side</button></div>' +
+    '<div class="response-list">' + listHtml + "</div>" +
+    compareHtml(answers, render) +
+    "</div>";
+}
+
+function compareMode(button) {
+  var host = button.closest(".compare-host");
+  var columns = button.dataset.mode === "columns";
+  host.querySelectorAll(".view-switch button").forEach(function (b) { b.classList.toggle("active", b === button); });
+  host.querySelector(".response-list").hidden = columns;
+  host.querySelector(".compare").hidden = !columns;
+}
+
+/** Show or hide one engine's column */
+function compareToggle(input) {
+  var view = input.closest(".compare");
+  view.querySelectorAll('[data-col="' + input.value + '"]').forEach(function (el) {
+    el.hidden = !input.checked;
+  });
+}
+
+/** Word-level diff of two texts as HTML: <del> only in a, <ins> only in b */
+function diffWords(a, b) {
+  var words = function (s) { return (s || "").split(/\s+/).filter(Boolean).join("\n"); };
+  var esc = function (s) { return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"); };
+  return diffLines(words(a), words(b)).map(function (d) {
+    if (d.op === "same") return esc(d.text);
+    var tag = d.op === "add" ? "ins" : "del";
+    return "<" + tag + ">" + esc(d.text) + "</" + tag + ">";
+  }).join(" ");
+}
+
+/** Switch between the columns and a section-by-section word diff of two engines */
+function compareDiff(select) {
+  var view = select.closest(".compare");
+  var a = view.querySelector(".compare-a").value;
+  var b = view.querySelector(".compare-b").value;
+  var grid = view.querySelector(".compare-grid");
+  var out = view.querySelector(".compare-diff");
+  var diffing = a !== "" && b !== "" && a !== b;
+  grid.hidden = diffing;
+  out.hidden = !diffing;
+  if (!diffing) return;
+  var data = JSON.parse(view.querySelector(".compare-data").textContent);
+  var esc = function (s) { return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"); };
+  out.innerHTML = '<div class="compare-diff-legend"><del>' + esc(data.engines[a]) + "</del> <ins>" + esc(data.engines[b]) + "</ins></div>" +
+    data.rows.map(function (row) {
+      return (row.heading ? "<h4>" + esc(row.heading.replace(/[*_`]/g, "")) + "</h4>" : "") +
+        "<p>" + diffWords(row.cells[a], row.cells[b]) + "</p>";
+    }).join("");
+}
+
+const COMPARE_SCRIPT = [splitSections, alignSections, compareHtml, compareHost, compareMode, compareToggle, diffWords, compareDiff]
+  .map((fn) => fn.toString())
+  .join("\n\n");
+
+/** Styles for the compare view, shared by the viewer and the dashboard */
+const COMPARE_CSS = `
+  .view-switch { display: inline-flex; margin-bottom: 0.75rem; border: 1px solid var(--border); border-radius: 6px; overflow: hidden; }
+  .view-switch button { background: var(--surface); color: var(--text-muted); border: none; padding: 0.3rem 0.8rem; cursor: pointer; font-size: 0.8rem; }
+  .view-switch button.active { background: var(--accent); color: #fff; }
+  .compare-toolbar { display: flex; flex-wrap: wrap; gap: 1rem; align-items: center; font-size: 0.8rem; color: var(--text-muted); margin-bottom: 0.5rem; }
+  .compare-engines { display: flex; gap: 0.75rem; }
+  .compare-toolbar select { background: var(--surface2); color: var(--text); border: 1px solid var(--border); border-radius: 4px; padding: 0.15rem 0.3rem; }
+  .compare-scroll { max-height: 75vh; overflow: auto; border: 1px solid var(--border); border-radius: 6px; }
+  .compare-grid { width: 100%; border-collapse: collapse; table-layout: fixed; font-size: 0.85rem; }
+  .compare-grid thead th { position: sticky; top: 0; z-index: 1; background: var(--surface2); color: #fff; padding: 0.5rem; text-align: left; }
+  .compare-grid td { vertical-align: top; padding: 0.5rem 0.75rem; border-right: 1px solid var(--border); min-width: 260px; }
+  .compare-grid [hidden] { display: none; }
+  .compare-heading th { background: var(--surface); color: #c4b5fd; text-align: left; padding: 0.4rem 0.75rem; border-top: 1px solid var(--border); }
+  .compare-missing { color: var(--text-muted); }
+  .compare-diff { padding: 0.75rem 1rem; font-size: 0.85rem; line-height: 1.7; }
+  .compare-diff h4 { color: #c4b5fd; margin: 1rem 0 0.25rem; }
+  .compare-diff ins { background: rgba(34, 197, 94, 0.2); color: #86efac; text-decoration: none; }
+  .compare-diff del { background: rgba(239, 68, 68, 0.2); color: #fca5a5; }
+  .compare-diff-legend { display: flex; gap: 0.75rem; font-size: 0.8rem; }`;
+
+module.exports = { splitSections, alignSections, compareHtml, compareHost, COMPARE_SCRIPT, COMPARE_CSS };
@@ -0,0 +1,260 @@
+/**
+ * config.js — Settings for every script, in one place.
+ *
+ * Each setting is read from, lowest precedence first:
+ *
+ *   1. its default (SETTINGS below)
+ *   2. config.json next to package.json (or the file named by --config /
+ *      CONFIG_FILE), keyed by the setting's name: { "cdpPort": 9333 }
+ *   3. the environment, including a .env file next to package.json
+ *      (dotenv; real environment variables win over .env)
+ *   4. command-line flags: --cdp-port 9333
+ *
+ * The result is validated once, when the first script requires this
+ * module; a bad value stops the script with every problem listed. Scripts
+ * read `config` and never process.env or their own constants, and parse
+ * their own flags from scriptArgs(), which leaves the flags above out.
+ *
+ * Usage:
+ *   const { config } = require('./config');
+ *   CDP.List({ host: config.cdpHost, port: config.cdpPort });
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+require("dotenv").config({ path: path.join(__dirname, ".env"), quiet: true });
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "config.json");
+
+/**
+ * Every setting: key (config file), env, flag, type, default.
+ * type — "string" | "int" (with min/max) | "bool" | "enum" (with values) | "path"
+ * secret — shown redacted by publicConfig()
+ */
+const SETTINGS = [
+  // Chrome
+  { key: "cdpHost", env: "CDP_HOST", type: "string", default: "127.0.0.1", description: "Chrome remote debugging host" },
+  { key: "cdpPort", env: "CDP_PORT", type: "int", min: 1, max: 65535, default: 9222, description: "Chrome remote debugging port" },
+  // Collection
+  { key: "outputDir", env: "OUTPUT_DIR", type: "path", default: "responses", description: "Folder for collections (relative to the project)" },
+  { key: "timeout", env: "COLLECT_TIMEOUT", type: "int", min: 1, max: 3600, default: 90, description: "Max seconds to wait per engine" },
+  { key: "pollInterval", env: "POLL_INTERVAL", type: "int", min: 100, default: 2000, description: "DOM polling frequency (ms)" },
+  { key: "stableChecks", env: "STABLE_CHECKS", type: "int", min: 1, default: 3, description: "Unchanged polls that count as finished, for engines that set none" },
+  { key: "pageLoadTimeout", env: "PAGE_LOAD_TIMEOUT", type: "int", min: 1, default: 30, description: "Seconds search.js waits for a new tab to load" },
+  { key: "submitWait", env: "SUBMIT_WAIT", flag: "--wait", type: "int", min: 0, max: 600, default: 5, description: "Seconds search.js waits after submitting, before collecting" },
+  // API
+  { key: "apiPort", env: "API_PORT", flag: "--port", type: "int", min: 1, max: 65535, default: 3222, description: "Port of api.js" },
+  { key: "apiHost", env: "API_HOST", flag: "--host", type: "string", default: "127.0.0.1", description: "Address api.js listens on (0.0.0.0 = every interface)" },
+  { key: "apiToken", env: "API_TOKEN", type: "string", default: "", secret: true, description: "Token for the API and dashboard (empty = generated into .api-token)" },
+  { key: "corsOrigins", env: "CORS_ORIGINS", type: "string", default: "", description: "Comma-separated origins other web pages may call the API from (* = any)" },
+  // Synthesis
+  { key: "synthesisProvider", env: "SYNTHESIS_PROVIDER", type: "enum", values: ["", "anthropic", "cli", "openai"], default: "", description: "Synthesis provider (empty = auto)" },
+  { key: "synthesisModel", env: "SYNTHESIS_MODEL", type: "string", default: "", description: "Model (empty = the provider's default)" },
+  { key: "synthesisMaxTokens", env: "SYNTHESIS_MAX_TOKENS", type: "int", min: 1, default: 8000, description: "Max output tokens" },
+  { key: "synthesisTimeout", env: "SYNTHESIS_TIMEOUT", type: "int", min: 1, default: 300, description: "Seconds before a synthesis is given up" },
+  { key: "synthesisMaxChars", env: "SYNTHESIS_MAX_CHARS", type: "int", min: 1, default: 60000, description: "Longer answers are cut to this many characters" },
+  { key: "synthesisClaims", env: "SYNTHESIS_CLAIMS", type: "bool", default: true, description: "Extract claims.json after each synthesis" },
+  { key: "anthropicApiKey", env: "ANTHROPIC_API_KEY", type: "string", default: "", secret: true, description: "Key for the anthropic provider" },
+  { key: "claudeCli", env: "CLAUDE_CLI", type: "string", default: "claude", description: "Path of the claude executable" },
+  { key: "openaiBaseUrl", env: "OPENAI_BASE_URL", type: "string", default: "", description: "OpenAI-compatible endpoint (empty = api.openai.com)" },
+  { key: "openaiApiKey", env: "OPENAI_API_KEY", type: "string", default: "", secret: true, description: "Bearer token for the openai provider" },
+  // Vault
+  { key: "vaultPath", env: "VAULT_PATH", type: "string", default: "", description: "Obsidian / Logseq vault folder (empty = off)" },
+  { key: "vaultFormat", env: "VAULT_FORMAT", type: "enum", values: ["obsidian", "logseq"], default: "obsidian", description: "Vault note layout" },
+  { key: "vaultFolder", env: "VAULT_FOLDER", type: "string", default: "Clipboard Search", description: "Folder / namespace for the notes" },
+  { key: "vaultTags", env: "VAULT_TAGS", type: "string", default: "clipboard-search", description: "Comma-separated tags for every note" },
+  { key: "vaultSync", env: "VAULT_SYNC", type: "bool", default: true, description: "Keep the vault in sync while the API runs" },
+  { key: "vaultSyncInterval", env: "VAULT_SYNC_INTERVAL", type: "int", min: 1, default: 30, description: "Seconds between vault sync passes" },
+].map((s) => ({ flag: `--${s.key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`, ...s }));
+
+const FLAGS = new Map(SETTINGS.map((s) => [s.flag, s]));
+
+// ---------------------------------------------------------------------------
+// PARSING
+// ---------------------------------------------------------------------------
+
+/**
+ * A raw value (string from env/flags, any JSON value from the file) as the
+ * setting's type.
+ * @returns {{value?: any, error?: string}}
+ */
+function coerce(setting, raw) {
+  const text = typeof raw === "string" ? raw.trim() : raw;
+  switch (setting.type) {
+    case "int": {
+      const n = typeof text === "number" ? text : /^-?\d+$/.test(text) ? parseInt(text, 10) : NaN;
+      if (!Number.isInteger(n)) return { error: `must be a whole number, got ${JSON.stringify(raw)}` };
+      if (setting.min !== undefined && n < setting.min) return { error: `must be at least ${setting.min}, got ${n}` };
+      if (setting.max !== undefined && n > setting.max) return { error: `must be at most ${setting.max}, got ${n}` };
+      return { value: n };
+    }
+    case "bool":
+      if (typeof text === "boolean") return { value: text };
+      if (/^(1|true|on|yes)$/i.test(text)) return { value: true };
+      if (/^(0|false|off|no)$/i.test(text)) return { value: false };
+      return { error: `must be on or off, got ${JSON.stringify(raw)}` };
+    case "enum": {
+      const value = String(text ?? "").toLowerCase();
+      if (!setting.values.includes(value)) {
+        return { error: `must be one of ${setting.values.filter(Boolean).join(", ")}${setting.values.includes("") ? " (or empty)" : ""}, got ${JSON.stringify(raw)}` };
+      }
+      return { value };
+    }
+    case "path":
+      if (typeof text !== "string" || !text) return { error: "must be a non-empty path" };
+      return { value: path.resolve(__dirname, text) };
+    default:
+      if (typeof text !== "string" && typeof text !== "number") return { error: `must be a string, got ${JSON.stringify(raw)}` };
+      return { value: String(text) };
+  }
+}
+
+/**
+ * A value for a setting from elsewhere (a request body), checked by the
+ * setting's rules.
+ * @returns {{value?: any, error?: string}}
+ */
+function checkSetting(key, raw) {
+  const setting = SETTINGS.find((s) => s.key === key);
+  if (!setting) throw new Error(`Unknown setting "${key}"`);
+  return coerce(setting, raw);
+}
+
+/**
+ * The --flag value pairs of the command line that are settings, by key.
+ * A flag with nothing after it is added to `problems`.
+ */
+function flagValues(argv, problems) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].split(/=(.*)/s);
+    if (name === "--config" || FLAGS.has(name)) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) {
+        problems.push(`${name} needs a value`);
+        continue;
+      }
+      out[name === "--config" ? "--config" : FLAGS.get(name).key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * The command-line arguments without the config flags, for a script's own
+ * argument parsing.
+ * @param {string[]} [argv] — defaults to process.argv.slice(2)
+ */
+function scriptArgs(argv = process.argv.slice(2)) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const [name, inline] = argv[i].split(/=(.*)/s);
+    if (name === "--config" || FLAGS.has(name)) {
+      if (inline === undefined) i++;
+      continue;
+    }
+    out.push(argv[i]);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// LOADING
+// ---------------------------------------------------------------------------
+
+/**
+ * Settings from defaults, config file, environment and flags.
+ * @param {object} [opts] — { argv, env } (default: this process's)
+ * @returns {{config: object, sources: object, file: string|null}} config is frozen
+ * @throws {Error} listing every invalid value
+ */
+function loadConfig(opts = {}) {
+  const argv = opts.argv || process.argv.slice(2);
+  const env = opts.env || process.env;
+  const problems = [];
+  const flags = flagValues(argv, problems);
+
+  // Config file: an explicitly named one must exist, the default one may not
+  const named = flags["--config"] || env.CONFIG_FILE;
+  const file = named ? path.resolve(named) : DEFAULT_CONFIG_FILE;
+  let fromFile = {};
+  if (fs.existsSync(file)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, "utf-8"));
+      if (!fromFile || typeof fromFile !== "object" || Array.isArray(fromFile)) throw new Error("not a JSON object");
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+      fromFile = {};
+    }
+    for (const key of Object.keys(fromFile)) {
+      if (!SETTINGS.some((s) => s.key === key)) problems.push(`${file}: unknown setting "${key}"`);
+    }
+  } else if (named) {
+    problems.push(`config file not found: ${file}`);
+  }
+
+  const config = {};
+  const sources = {};
+  for (const setting of SETTINGS) {
+    const layers = [
+      ["file", fromFile[setting.key], `"${setting.key}" in ${path.basename(file)}`],
+      ["env", env[setting.env], setting.env],
+      ["flag", flags[setting.key], setting.flag],
+    ];
+    config[setting.key] = setting.type === "path" ? path.resolve(__dirname, setting.default) : setting.default;
+    sources[setting.key] = "default";
+    for (const [source, raw, label] of layers) {
+      // An empty environment variable (VAR= in .env) means "not set"
+      if (raw === undefined || raw === null || (source === "env" && raw === "")) continue;
+      const { value, error } = coerce(setting, raw);
+      if (error) {
+        problems.push(`${label} ${error}`);
+        continue;
+      }
+      config[setting.key] = value;
+      sources[setting.key] = source;
+    }
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  }
+  return { config: Object.freeze(config), sources, file: fs.existsSync(file) ? file : null };
+}
+
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (err) {
+  console.error(`FAIL ${err.message}`);
+  process.exit(1);
+}
+
+/**
+ * The effective settings with where each came from; secrets are replaced
+ * by "(set)" so the result can be shown.
+ */
+function publicConfig() {
+  const settings = {};
+  for (const s of SETTINGS) {
+    const value = loaded.config[s.key];
+    settings[s.key] = {
+      value: s.secret ? (value ? "(set)" : "") : value,
+      source: loaded.sources[s.key],
+      env: s.env,
+      flag: s.flag,
+      description: s.description,
+    };
+  }
+  return { file: loaded.file, settings };
+}
+
+module.exports = {
+  config: loaded.config,
+  SETTINGS,
+  loadConfig,
+  checkSetting,
+  publicConfig,
+  scriptArgs,
+};
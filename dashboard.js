@@ -2,16 +2,28 @@
  * dashboard.js — Live dashboard SPA for the clipboard-search API.
  *
  * Generates a single HTML page served at /dashboard that:
- *   - Lists all past collections with search/filter
- *   - Expands collections inline (synthesis, next-steps, responses)
+ *   - Lists all past collections, with full-text search (GET /search-history)
+ *   - Expands collections inline (synthesis with version picker and diff,
+ *     claims × engines matrix, responses as a list or side by side)
  *   - Triggers new searches with live SSE progress
+ *   - Shows a readiness light per engine (GET /engines/health)
+ *   - Edits the synthesis templates (GET/PUT/DELETE /templates)
+ *   - Renames, tags, stars, archives and deletes collections (PATCH/DELETE
+ *     /responses/:folder), with a starred filter, an archive view, tag
+ *     chips and undo for deletes
  *   - Dark theme matching the per-collection viewer
  *
+ * getLoginHtml() is the token login screen in front of it (see auth.js).
+ *
  * Usage:
  *   const { getDashboardHtml } = require('./dashboard');
  *   app.get('/dashboard', (req, res) => res.type('html').send(getDashboardHtml()));
  */
 
+const { DIFF_SCRIPT } = require("./diff");
+const { CLAIMS_SCRIPT, CLAIMS_CSS } = require("./claims");
+const { COMPARE_SCRIPT, COMPARE_CSS } = require("./compare");
+
 function getDashboardHtml() {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -59,7 +71,25 @@ function getDashboardHtml() {
   }
   .topbar .search-box:focus { border-color: var(--accent); }
   .topbar .search-box::placeholder { color: var(--text-muted); }
+  .filter {
+    background: var(--surface2); border: 1px solid var(--border);
+    border-radius: 6px; padding: 0.45rem 0.5rem;
+    color: var(--text); font-size: 0.8rem; outline: none;
+    color-scheme: dark;
+  }
+  .filter:focus { border-color: var(--accent); }
   .topbar .actions { display: flex; gap: 0.5rem; margin-left: auto; }
+  .engine-health {
+    display: flex; gap: 0.75rem; align-items: center; cursor: pointer;
+    font-size: 0.75rem; color: var(--text-muted); white-space: nowrap;
+  }
+  .health-dot {
+    display: inline-block; width: 8px; height: 8px; border-radius: 50%;
+    margin-right: 0.3rem; background: var(--border);
+  }
+  .health-dot.ok { background: var(--green); }
+  .health-dot.warn { background: var(--yellow); }
+  .health-dot.fail { background: var(--red); }
   .btn {
     background: var(--accent); color: #fff; border: none;
     border-radius: 6px; padding: 0.5rem 1rem;
@@ -108,6 +138,11 @@ function getDashboardHtml() {
   .engine-chip.synthesizing { background: #3d2e1b; border-color: var(--yellow); color: var(--yellow); }
   @keyframes blink { 0%,100%{opacity:1} 50%{opacity:0.5} }
   .status-text { font-size: 0.85rem; color: var(--text-muted); }
+  .synth-stream {
+    display: none; margin-top: 0.75rem; max-height: 360px; overflow-y: auto;
+    border-top: 1px solid var(--border); padding-top: 0.75rem;
+  }
+  .synth-stream.visible { display: block; }
 
   /* Collection list */
   .collection-list { display: flex; flex-direction: column; gap: 0.5rem; }
@@ -138,11 +173,73 @@ function getDashboardHtml() {
     transition: transform 0.2s; flex-shrink: 0;
   }
   .collection-card.expanded .card-header .arrow { transform: rotate(90deg); }
+  .star {
+    background: none; border: none; cursor: pointer; flex-shrink: 0;
+    color: var(--text-muted); font-size: 1rem; line-height: 1;
+  }
+  .star.on { color: var(--yellow); }
+  .collection-card.archived .query-text { color: var(--text-muted); }
+  .card-manage { display: none; gap: 0.35rem; flex-shrink: 0; }
+  .collection-card.expanded .card-manage { display: flex; }
+
+  /* Tags */
+  .tag-bar { display: flex; flex-wrap: wrap; gap: 0.4rem; margin-bottom: 0.75rem; }
+  .tag-bar:empty { display: none; }
+  .tag-chip {
+    padding: 0.1rem 0.55rem; border-radius: 999px; cursor: pointer;
+    font-size: 0.75rem; background: var(--surface2);
+    color: var(--accent-light); border: 1px solid var(--border);
+  }
+  .tag-chip:hover, .tag-chip.active { border-color: var(--accent); }
+  .tag-chip.active { background: var(--accent); color: #fff; }
+
+  /* Undo bar */
+  .undo-bar {
+    position: fixed; bottom: 1.5rem; left: 50%; transform: translateX(-50%);
+    background: var(--surface2); border: 1px solid var(--border); border-radius: 8px;
+    padding: 0.6rem 1rem; display: none; align-items: center; gap: 1rem;
+    font-size: 0.85rem; z-index: 200; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+  }
+  .undo-bar.visible { display: flex; }
+
+  /* Search hits */
+  .search-hits { padding: 0 1.25rem 0.9rem 2.7rem; display: flex; flex-direction: column; gap: 0.35rem; }
+  .search-hit { font-size: 0.85rem; color: var(--text-muted); display: flex; gap: 0.5rem; align-items: baseline; }
+  .search-hit .meta-badge { flex-shrink: 0; }
+  .search-hit mark { background: #4c3a8a; color: #fff; border-radius: 2px; padding: 0 0.1rem; }
 
   /* Expanded detail */
   .card-detail { display: none; border-top: 1px solid var(--border); padding: 1.25rem; }
   .collection-card.expanded .card-detail { display: block; }
-  .detail-actions { display: flex; gap: 0.5rem; margin-bottom: 1rem; }
+  .detail-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+  .export-links { display: flex; gap: 0.25rem; align-items: center; margin-left: auto; font-size: 0.8rem; color: var(--text-muted); }
+
+  /* Synthesis templates */
+  .templates-panel {
+    display: none; background: var(--surface); border: 1px solid var(--border);
+    border-radius: 8px; padding: 1rem; margin-bottom: 1.5rem;
+  }
+  .templates-panel.visible { display: grid; grid-template-columns: 220px 1fr; gap: 1rem; }
+  .template-list { display: flex; flex-direction: column; gap: 0.4rem; }
+  .template-item {
+    padding: 0.5rem 0.6rem; border-radius: 6px; cursor: pointer;
+    border: 1px solid transparent; font-size: 0.8rem;
+  }
+  .template-item:hover { background: var(--surface2); }
+  .template-item.active { border-color: var(--accent); background: var(--surface2); }
+  .template-item strong { display: block; color: #fff; font-weight: 500; }
+  .template-item span { color: var(--text-muted); }
+  .template-form { display: flex; flex-direction: column; gap: 0.5rem; }
+  .template-form .row { display: flex; gap: 0.5rem; }
+  .template-form .row > * { flex: 1; }
+  .template-form textarea { min-height: 260px; font-family: 'SF Mono', Consolas, monospace; font-size: 0.8rem; resize: vertical; }
+  .template-form .hint { font-size: 0.75rem; color: var(--text-muted); }
+  .synth-versions { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 0.75rem; font-size: 0.8rem; color: var(--text-muted); }
+  .synth-versions select { margin-left: 0.4rem; }
+  .synth-diff { font-family: 'SF Mono', Consolas, monospace; font-size: 0.8rem; white-space: pre-wrap; }
+  .synth-diff .diff-add { background: rgba(34, 197, 94, 0.15); color: #86efac; }
+  .synth-diff .diff-del { background: rgba(239, 68, 68, 0.15); color: #fca5a5; }
+  .synth-diff .diff-same { color: var(--text-muted); }
 
   /* Synthesis section */
   .synth-content {
@@ -173,25 +270,14 @@ function getDashboardHtml() {
   .synth-content blockquote { border-left: 3px solid var(--accent); padding-left: 0.75rem; color: var(--text-muted); margin: 0.5rem 0; }
   .synth-content hr { border: none; border-top: 1px solid var(--border); margin: 1rem 0; }
 
-  /* Next-steps cards */
-  .next-steps { margin-bottom: 1rem; }
-  .next-steps h4 { font-size: 0.9rem; margin-bottom: 0.5rem; color: #fff; }
-  .ns-cards { display: flex; flex-direction: column; gap: 0.35rem; }
-  .ns-card {
-    display: flex; align-items: flex-start; gap: 0.6rem;
-    padding: 0.5rem 0.75rem; border-radius: 5px; font-size: 0.85rem;
-  }
-  .ns-card.investigate { background: #2d1b4e; border-left: 3px solid #7c3aed; }
-  .ns-card.research { background: #1b2e4e; border-left: 3px solid #3b82f6; }
-  .ns-card.implement { background: #1b4e2d; border-left: 3px solid #22c55e; }
-  .ns-badge {
-    flex-shrink: 0; padding: 0.1rem 0.4rem; border-radius: 3px;
-    font-size: 0.7rem; font-weight: 600; text-transform: uppercase;
-    color: #fff;
-  }
-  .ns-card.investigate .ns-badge { background: #7c3aed; }
-  .ns-card.research .ns-badge { background: #3b82f6; }
-  .ns-card.implement .ns-badge { background: #22c55e; }
+  /* Claims matrix */
+  .claims { margin-bottom: 1rem; overflow-x: auto; }
+  .claims h4 { font-size: 0.9rem; margin-bottom: 0.5rem; color: #fff; }
+${CLAIMS_CSS}
+
+  /* Side by side */
+${COMPARE_CSS}
+  .compare-grid .resp-body { padding: 0; border: none; max-height: none; overflow: visible; }
 
   /* Response accordions */
   .resp-accordion { margin-bottom: 0.4rem; }
@@ -236,35 +322,82 @@ function getDashboardHtml() {
 
 <div class="topbar">
   <h1>Clipboard Search</h1>
-  <input type="text" class="search-box" id="searchInput" placeholder="Filter collections...">
+  <input type="text" class="search-box" id="searchInput" placeholder="Search all collections...">
+  <select class="filter" id="engineFilter" title="Only matches in">
+    <option value="">All sources</option>
+    <option value="query">Query</option>
+    <option value="synthesis">Synthesis</option>
+  </select>
+  <input type="date" class="filter" id="fromFilter" title="From">
+  <input type="date" class="filter" id="toFilter" title="To">
+  <select class="filter" id="viewFilter" title="Show">
+    <option value="active">Active</option>
+    <option value="starred">Starred</option>
+    <option value="archived">Archive</option>
+    <option value="all">All</option>
+  </select>
+  <div class="engine-health" id="engineHealth" onclick="loadEngineHealth(true)" title="Click to check the engines again">Checking engines...</div>
   <div class="actions">
+    <button class="btn btn-secondary btn-sm" onclick="toggleTemplates()">Templates</button>
     <a href="/docs" class="btn btn-secondary btn-sm">API Docs</a>
+    <button class="btn btn-secondary btn-sm" onclick="logout()">Log out</button>
     <button class="btn" id="refreshBtn" onclick="loadCollections()">Refresh</button>
   </div>
 </div>
 
 <div class="container">
+  <div class="templates-panel" id="templatesPanel">
+    <div class="template-list" id="templateList"></div>
+    <form class="template-form" onsubmit="saveTemplateForm(event)">
+      <div class="row">
+        <input class="filter" id="tplName" placeholder="name (a-z, 0-9, -)" required>
+        <input class="filter" id="tplTitle" placeholder="Title">
+      </div>
+      <input class="filter" id="tplDescription" placeholder="Description">
+      <div class="row">
+        <input class="filter" id="tplMatch" placeholder="Auto-pick when the query matches (regex, optional)">
+        <input class="filter" id="tplPriority" type="number" placeholder="Priority" style="max-width: 100px">
+      </div>
+      <textarea class="filter" id="tplBody" placeholder="System prompt" required></textarea>
+      <div class="hint">Variables: {{query}}, {{engines}}, {{date}}</div>
+      <div class="row" style="flex: 0; align-items: center">
+        <button class="btn btn-sm" type="submit" style="flex: 0">Save</button>
+        <button class="btn btn-secondary btn-sm" type="button" id="tplDelete" onclick="deleteTemplateForm()" style="flex: 0">Delete</button>
+        <span class="hint" id="tplStatus"></span>
+      </div>
+    </form>
+  </div>
   <div class="active-section" id="activeSection">
     <div class="active-card">
       <h3 id="activeQuery">Running collection...</h3>
       <div class="engine-progress" id="engineProgress"></div>
       <div class="status-text" id="statusText">Initializing...</div>
+      <div class="synth-stream synth-content" id="synthStream"></div>
     </div>
   </div>
+  <div class="tag-bar" id="tagBar"></div>
   <div class="collection-list" id="collectionList">
     <div class="empty">Loading...</div>
   </div>
 </div>
 
+<div class="undo-bar" id="undoBar">
+  <span id="undoText"></span>
+  <button class="btn btn-secondary btn-sm" onclick="undoDelete()">Undo</button>
+</div>
+
 <script>
 // ---------------------------------------------------------------------------
 // Minimal Markdown Renderer
 // ---------------------------------------------------------------------------
 function renderMd(src) {
   if (!src) return '';
+  // Answers come from third-party pages and LLMs: everything is escaped first,
+  // so HTML in them shows as text; code blocks are kept apart
   let html = src
-    // Code blocks
-    .replace(/\`\`\`([\\s\\S]*?)\`\`\`/g, (_, c) => '<pre><code>' + esc(c.trim()) + '</code></pre>')
+    .split(/(\`\`\`[\\s\\S]*?\`\`\`)/)
+    .map((part, i) => i % 2 ? '<pre><code>' + esc(part.slice(3, -3).trim()) + '</code></pre>' : escAttr(part))
+    .join('')
     // Tables
     .replace(/^(\\|.+\\|\\n)+/gm, (block) => {
       const rows = block.trim().split('\\n');
@@ -285,7 +418,7 @@ function renderMd(src) {
     // Horizontal rule
     .replace(/^---+$/gm, '<hr>')
     // Blockquote
-    .replace(/^> (.+)$/gm, '<blockquote>$1</blockquote>')
+    .replace(/^&gt; (.+)$/gm, '<blockquote>$1</blockquote>')
     // Bold and italic
     .replace(/\\*\\*(.+?)\\*\\*/g, '<strong>$1</strong>')
     .replace(/\\*(.+?)\\*/g, '<em>$1</em>')
@@ -295,8 +428,8 @@ function renderMd(src) {
     .replace(/^\\s*[-*] (.+)$/gm, '<li>$1</li>')
     // Ordered list items
     .replace(/^\\s*\\d+\\. (.+)$/gm, '<li>$1</li>')
-    // Links
-    .replace(/\\[([^\\]]+)\\]\\(([^)]+)\\)/g, '<a href="$2" target="_blank">$1</a>')
+    // Links (web addresses only)
+    .replace(/\\[([^\\]]+)\\]\\((https?:[^)\\s]+)\\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>')
     // Paragraphs (lines not already tagged)
     .replace(/^(?!<[a-z/])(\\S.+)$/gm, '<p>$1</p>')
     // Wrap consecutive <li> in <ul>
@@ -304,36 +437,17 @@ function renderMd(src) {
   return html;
 }
 function esc(s) { return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+function escAttr(s) { return esc(s).replace(/"/g, '&quot;'); }
 
 // ---------------------------------------------------------------------------
-// Next-Steps Extraction (client-side, mirrors viewer.js logic)
+// Claims matrix (claimsTable and sortClaims, shared with viewer.js)
 // ---------------------------------------------------------------------------
-function extractNextSteps(md) {
-  if (!md) return [];
-  const steps = [];
-  const lines = md.split('\\n');
-  const patterns = [
-    { re: /^#{1,3}\\s*\\d*\\.?\\s*(?:divergen|unique\\s+claim|unique\\s+contribution)/i, type: 'investigate', label: 'Investigate' },
-    { re: /^#{1,3}\\s*\\d*\\.?\\s*(?:gap|coverage\\s+gap|what\\s+no\\s+engine)/i, type: 'research', label: 'Research' },
-    { re: /^#{1,3}\\s*\\d*\\.?\\s*(?:recommend|strategic|approach|next\\s+step|action)/i, type: 'implement', label: 'Implement' },
-    { re: /^#{1,3}\\s*\\d*\\.?\\s*(?:fact.?check|verification)/i, type: 'investigate', label: 'Verify' },
-  ];
-  let cur = null;
-  for (const line of lines) {
-    const match = patterns.find(p => p.re.test(line));
-    if (match) { cur = match; continue; }
-    if (/^#{1,2}\\s+/.test(line) && cur) { cur = null; continue; }
-    if (!cur) continue;
-    const bullet = line.match(/^\\s*[-*]\\s+\\*?\\*?(.+)/);
-    const numbered = line.match(/^\\s*\\d+\\.\\s+\\*?\\*?(.+)/);
-    const text = (bullet && bullet[1]) || (numbered && numbered[1]);
-    if (text) {
-      const clean = text.replace(/\\*\\*/g, '').replace(/\\*$/g, '').trim();
-      if (clean.length > 10) steps.push({ type: cur.type, label: cur.label, text: clean });
-    }
-  }
-  return steps;
-}
+${CLAIMS_SCRIPT}
+
+// ---------------------------------------------------------------------------
+// Side-by-side answers (shared with viewer.js; diffWords needs diffLines below)
+// ---------------------------------------------------------------------------
+${COMPARE_SCRIPT}
 
 // ---------------------------------------------------------------------------
 // State
@@ -341,12 +455,25 @@ function extractNextSteps(md) {
 let collections = [];
 let expandedFolder = null;
 let detailCache = {};
+let tagFilter = null;
 
 // ---------------------------------------------------------------------------
 // API calls
 // ---------------------------------------------------------------------------
-async function apiGet(url) { const r = await fetch(url); return r.json(); }
-async function apiGetText(url) { const r = await fetch(url, { headers: { Accept: 'text/markdown' } }); return r.text(); }
+// The session cookie goes along with every request; once it is no longer
+// accepted (token changed, logged out elsewhere) it is back to the login screen
+async function apiFetch(url, opts) {
+  const r = await fetch(url, opts);
+  if (r.status === 401) window.location.href = '/login?next=' + encodeURIComponent('/dashboard' + window.location.hash);
+  return r;
+}
+async function apiGet(url) { const r = await apiFetch(url); return r.json(); }
+async function apiGetText(url) { const r = await apiFetch(url, { headers: { Accept: 'text/markdown' } }); return r.text(); }
+
+async function logout() {
+  await fetch('/logout', { method: 'POST' });
+  window.location.href = '/login';
+}
 
 async function loadCollections() {
   try {
@@ -361,33 +488,250 @@ async function loadCollections() {
 // ---------------------------------------------------------------------------
 // Rendering
 // ---------------------------------------------------------------------------
+function renderCard(c, hitsHtml) {
+  const date = c.startedAt ? new Date(c.startedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '';
+  const queryPart = c.title || c.query || c.name;
+  const isExpanded = expandedFolder === c.name;
+  const tags = c.tags || [];
+  return '<div class="collection-card' + (isExpanded ? ' expanded' : '') + (c.archived ? ' archived' : '') + '" data-folder="' + c.name + '">' +
+    '<div class="card-header" onclick="toggleCard(\\'' + c.name + '\\')">' +
+      '<span class="arrow">\\u25b6</span>' +
+      '<button class="star' + (c.starred ? ' on' : '') + '" title="Star" onclick="event.stopPropagation(); setStarred(\\'' + c.name + '\\', ' + !c.starred + ')">' + (c.starred ? '\\u2605' : '\\u2606') + '</button>' +
+      '<span class="query-text"' + (c.title ? ' title="' + escAttr(c.query || '') + '"' : '') + '>' + esc(queryPart) + '</span>' +
+      tags.map(t => '<span class="tag-chip" data-tag="' + escAttr(t) + '" onclick="event.stopPropagation(); setTagFilter(this.dataset.tag)">' + esc(t) + '</span>').join('') +
+      '<span class="date">' + esc(date) + '</span>' +
+      c.engines.map(e => '<span class="meta-badge">' + e + '</span>').join('') +
+      (c.hasSynthesis ? '<span class="meta-badge synth">synthesis</span>' : '') +
+      (c.archived ? '<span class="meta-badge">archived</span>' : '') +
+      '<span class="card-manage" onclick="event.stopPropagation()">' +
+        '<button class="btn btn-secondary btn-sm" onclick="renameCollection(\\'' + c.name + '\\')">Rename</button>' +
+        '<button class="btn btn-secondary btn-sm" onclick="editTags(\\'' + c.name + '\\')">Tags</button>' +
+        '<button class="btn btn-secondary btn-sm" onclick="updateCollection(\\'' + c.name + '\\', { archived: ' + !c.archived + ' })">' + (c.archived ? 'Unarchive' : 'Archive') + '</button>' +
+        '<button class="btn btn-secondary btn-sm" onclick="deleteCollection(\\'' + c.name + '\\')">Delete</button>' +
+      '</span>' +
+    '</div>' +
+    (hitsHtml || '') +
+    '<div class="card-detail" id="detail-' + c.name + '">' + (isExpanded ? (detailCache[c.name] || '<div class="spinner"></div>') : '') + '</div>' +
+  '</div>';
+}
+
+/** Whether a collection passes the view (active / starred / archive / all) and tag filters */
+function shown(c) {
+  const view = document.getElementById('viewFilter').value;
+  if (view === 'active' && c.archived) return false;
+  if (view === 'starred' && !c.starred) return false;
+  if (view === 'archived' && !c.archived) return false;
+  return !tagFilter || (c.tags || []).includes(tagFilter);
+}
+
+function renderTagBar() {
+  const tags = [...new Set(collections.flatMap(c => c.tags || []))].sort((a, b) => a.localeCompare(b));
+  document.getElementById('tagBar').innerHTML = tags.map(t =>
+    '<span class="tag-chip' + (t === tagFilter ? ' active' : '') + '" data-tag="' + escAttr(t) + '" onclick="setTagFilter(this.dataset.tag)">' + esc(t) + '</span>'
+  ).join('');
+}
+
+function setTagFilter(tag) {
+  tagFilter = tagFilter === tag ? null : tag;
+  renderList();
+}
+
 function renderList() {
-  const filter = document.getElementById('searchInput').value.toLowerCase();
   const list = document.getElementById('collectionList');
-  const filtered = collections.filter(c => {
-    const queryPart = c.name.replace(/^\\d{4}-\\d{2}-\\d{2}T[\\d-]+_/, '').replace(/-/g, ' ');
-    return queryPart.includes(filter) || c.name.includes(filter);
-  });
-  if (!filtered.length) {
-    list.innerHTML = '<div class="empty">No collections' + (filter ? ' matching "' + esc(filter) + '"' : '') + '</div>';
+  renderTagBar();
+
+  if (searchResults) {
+    const q = document.getElementById('searchInput').value.trim();
+    if (!searchResults.length) {
+      list.innerHTML = '<div class="empty">Nothing found for "' + esc(q) + '"</div>';
+      return;
+    }
+    const results = searchResults
+      .map(r => ({ r, c: collections.find(x => x.name === r.folder) || { name: r.folder, engines: [], responses: [], hasSynthesis: false } }))
+      .filter(x => shown(x.c));
+    if (!results.length) {
+      list.innerHTML = '<div class="empty">Nothing found for "' + esc(q) + '" here (see All)</div>';
+      return;
+    }
+    list.innerHTML = results.map(({ r, c }) => {
+      // Snippets come from the server already escaped, with <mark> highlights
+      const hits = '<div class="search-hits">' + r.matches.map(m =>
+        '<div class="search-hit"><span class="meta-badge">' + esc(m.engine) + '</span><span>' + m.snippet + '</span></div>'
+      ).join('') + '</div>';
+      return renderCard(c, hits);
+    }).join('');
     return;
   }
-  list.innerHTML = filtered.map(c => {
-    const dateMatch = c.name.match(/^(\\d{4}-\\d{2}-\\d{2})T(\\d{2})-(\\d{2})/);
-    const date = dateMatch ? dateMatch[1] + ' ' + dateMatch[2] + ':' + dateMatch[3] : '';
-    const queryPart = c.name.replace(/^\\d{4}-\\d{2}-\\d{2}T[\\d-]+_/, '').replace(/-/g, ' ');
-    const isExpanded = expandedFolder === c.name;
-    return '<div class="collection-card' + (isExpanded ? ' expanded' : '') + '" data-folder="' + c.name + '">' +
-      '<div class="card-header" onclick="toggleCard(\\'' + c.name + '\\')">' +
-        '<span class="arrow">\\u25b6</span>' +
-        '<span class="query-text">' + esc(queryPart) + '</span>' +
-        '<span class="date">' + date + '</span>' +
-        c.engines.map(e => '<span class="meta-badge">' + e + '</span>').join('') +
-        (c.hasSynthesis ? '<span class="meta-badge synth">synthesis</span>' : '') +
-      '</div>' +
-      '<div class="card-detail" id="detail-' + c.name + '">' + (isExpanded ? (detailCache[c.name] || '<div class="spinner"></div>') : '') + '</div>' +
-    '</div>';
-  }).join('');
+
+  const visible = collections.filter(shown);
+  if (!visible.length) {
+    list.innerHTML = '<div class="empty">No collections' + (collections.length ? ' here' : '') + '</div>';
+    return;
+  }
+  list.innerHTML = visible.map(c => renderCard(c)).join('');
+}
+
+// ---------------------------------------------------------------------------
+// Organizing: title, tags, star, archive, delete with undo
+// ---------------------------------------------------------------------------
+async function updateCollection(folder, changes) {
+  try {
+    const r = await apiFetch('/responses/' + folder, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    Object.assign(collections.find(c => c.name === folder) || {}, data);
+    renderList();
+  } catch (e) {
+    alert('Update failed: ' + e.message);
+  }
+}
+
+function setStarred(folder, starred) { updateCollection(folder, { starred }); }
+
+function renameCollection(folder) {
+  const c = collections.find(x => x.name === folder);
+  const title = prompt('Title (empty = the query):', c.title || c.query || '');
+  if (title !== null) updateCollection(folder, { title });
+}
+
+function editTags(folder) {
+  const c = collections.find(x => x.name === folder);
+  const text = prompt('Tags, comma-separated:', (c.tags || []).join(', '));
+  if (text === null) return;
+  updateCollection(folder, { tags: text.split(',').map(t => t.trim()).filter(Boolean) });
+}
+
+// Deleted folders wait in the server's trash; Undo restores the ones deleted
+// since the bar last closed
+let undoFolders = [];
+let undoTimer = null;
+
+async function deleteCollection(folder) {
+  try {
+    const r = await apiFetch('/responses/' + folder, { method: 'DELETE' });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+  } catch (e) {
+    alert('Delete failed: ' + e.message);
+    return;
+  }
+  const c = collections.find(x => x.name === folder);
+  collections = collections.filter(x => x.name !== folder);
+  if (expandedFolder === folder) expandedFolder = null;
+  delete detailCache[folder];
+  renderList();
+
+  undoFolders.push(folder);
+  document.getElementById('undoText').textContent = undoFolders.length > 1
+    ? 'Deleted ' + undoFolders.length + ' collections'
+    : 'Deleted "' + ((c && (c.title || c.query)) || folder) + '"';
+  document.getElementById('undoBar').classList.add('visible');
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(closeUndo, 10000);
+}
+
+function closeUndo() {
+  undoFolders = [];
+  document.getElementById('undoBar').classList.remove('visible');
+}
+
+async function undoDelete() {
+  const folders = undoFolders;
+  clearTimeout(undoTimer);
+  closeUndo();
+  try {
+    const r = await apiFetch('/responses/restore', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ folders }),
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    if (data.failed.length) alert('Not restored: ' + data.failed.map(f => f.folder + ' (' + f.error + ')').join(', '));
+  } catch (e) {
+    alert('Undo failed: ' + e.message);
+  }
+  loadCollections();
+}
+
+// ---------------------------------------------------------------------------
+// Full-text search
+// ---------------------------------------------------------------------------
+let searchResults = null;
+let searchTimer = null;
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runHistorySearch, 250);
+}
+
+async function runHistorySearch() {
+  const q = document.getElementById('searchInput').value.trim();
+  if (!q) {
+    searchResults = null;
+    renderList();
+    return;
+  }
+  const params = new URLSearchParams({ q });
+  for (const [key, id] of [['engine', 'engineFilter'], ['from', 'fromFilter'], ['to', 'toFilter']]) {
+    const value = document.getElementById(id).value;
+    if (value) params.set(key, value);
+  }
+  try {
+    const data = await apiGet('/search-history?' + params);
+    // Ignore answers to a query the user has already typed past
+    if (document.getElementById('searchInput').value.trim() !== q) return;
+    searchResults = data.results || [];
+  } catch (_) {
+    searchResults = [];
+  }
+  renderList();
+}
+
+async function loadEngineFilter() {
+  try {
+    const data = await apiGet('/engines');
+    const select = document.getElementById('engineFilter');
+    for (const e of data.engines || []) {
+      const opt = document.createElement('option');
+      opt.value = e.slug;
+      opt.textContent = e.name;
+      select.appendChild(opt);
+    }
+  } catch (_) {}
+}
+
+// Readiness lights: each engine's page is checked in a background tab,
+// which takes a few seconds; the server reuses a recent report
+async function loadEngineHealth(refresh) {
+  const el = document.getElementById('engineHealth');
+  if (refresh) el.querySelectorAll('.health-dot').forEach(d => { d.className = 'health-dot'; });
+  try {
+    const r = await apiFetch('/engines/health' + (refresh ? '?refresh=true' : ''));
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    el.innerHTML = data.engines.map(e => {
+      const problems = e.checks.filter(c => c.status !== 'ok').map(c => c.name + ': ' + c.status + (c.detail ? ' (' + c.detail + ')' : ''));
+      const tip = e.engine + ': ' + e.status + (problems.length ? '\\n' + problems.join('\\n') : '') + '\\nChecked ' + new Date(data.checkedAt).toLocaleTimeString() + (data.busy ? ', before the running job' : '');
+      return '<span title="' + escAttr(tip) + '"><span class="health-dot ' + e.status + '"></span>' + esc(e.engine) + '</span>';
+    }).join('') + (data.busy && !data.checkedAt
+      ? '<span title="Not checked while a search is running; click again when it is done"><span class="health-dot"></span>Busy</span>'
+      : '') + (data.errors.length
+      ? '<span title="' + escAttr(data.errors.map(x => x.file + ': ' + x.error).join('\\n')) + '"><span class="health-dot fail"></span>' + data.errors.length + ' broken</span>'
+      : '');
+  } catch (e) {
+    el.innerHTML = '<span title="' + escAttr(e.message) + '"><span class="health-dot fail"></span>Chrome not connected</span>';
+  }
+}
+
+/** Markdown body of a saved file: everything after the header's --- line */
+function mdBody(md) {
+  const m = md.match(/^---[ \\t]*$/m);
+  return (m ? md.slice(m.index + m[0].length) : md).trim();
 }
 
 async function toggleCard(folder) {
@@ -400,8 +744,10 @@ async function toggleCard(folder) {
   renderList();
 
   if (detailCache[folder]) return;
+  loadDetail(folder);
+}
 
-  // Load detail
+async function loadDetail(folder) {
   const el = document.getElementById('detail-' + folder);
   if (!el) return;
   el.innerHTML = '<div class="spinner"></div> Loading...';
@@ -410,37 +756,46 @@ async function toggleCard(folder) {
     const info = collections.find(c => c.name === folder);
     let html = '<div class="detail-actions">' +
       '<a href="/responses/' + folder + '/index.html" target="_blank" class="btn btn-secondary btn-sm">Open Full Viewer</a>' +
+      (info && info.responses.filter(r => r.status === 'ok').length >= 2
+        ? '<select class="filter" id="resynthTpl-' + folder + '" title="Synthesis template">' + templateOptions() + '</select>' +
+          '<button class="btn btn-secondary btn-sm" id="resynth-' + folder + '" onclick="resynthesize(\\'' + folder + '\\')">Re-synthesize</button>'
+        : '') +
+      '<span class="export-links">Export ' + ['html', 'pdf', 'docx', 'json'].map(f =>
+        '<a href="/responses/' + folder + '/export?format=' + f + '" class="btn btn-secondary btn-sm" download>' + f.toUpperCase() + '</a>'
+      ).join('') +
+        '<button class="btn btn-secondary btn-sm" id="vault-' + folder + '" onclick="sendToVault(\\'' + folder + '\\')" title="Write Obsidian / Logseq notes into the vault (VAULT_PATH)">Vault</button>' +
+      '</span>' +
       '</div>';
 
     // Load synthesis
     if (info && info.hasSynthesis) {
-      const synthMd = await apiGetText('/responses/' + folder + '/synthesis.md');
-      const parts = synthMd.split('---');
-      const body = parts.length >= 3 ? parts.slice(2).join('---') : synthMd;
-      html += '<div class="synth-content">' + renderMd(body.trim()) + '</div>';
-
-      // Next steps
-      const steps = extractNextSteps(body);
-      if (steps.length) {
-        html += '<div class="next-steps"><h4>Next Steps</h4><div class="ns-cards">';
-        html += steps.map(s =>
-          '<div class="ns-card ' + s.type + '"><span class="ns-badge">' + s.label + '</span><span>' + esc(s.text) + '</span></div>'
-        ).join('');
-        html += '</div></div>';
+      const body = await versionBody(folder, info.synthesisFile);
+      if (info.synthesisVersions > 1) html += await renderVersionPicker(folder, info.synthesisFile);
+      html += '<div class="synth-content" id="synthBody-' + folder + '">' + renderMd(body) + '</div>';
+
+    }
+
+    // Claims matrix
+    if (info && info.hasClaims) {
+      const doc = await apiGet('/responses/' + folder + '/claims');
+      if (doc.claims && doc.claims.length) {
+        html += '<div class="claims"><h4>Claims (' + doc.claims.length + ')</h4>' + claimsTable(doc) + '</div>';
       }
     }
 
-    // Load individual responses
+    // Load individual responses: accordions, or side by side
     if (info) {
-      for (const eng of info.engines) {
+      const answers = [];
+      for (const r of info.responses.filter(r => r.status === 'ok' && r.file)) {
         try {
-          const md = await apiGetText('/responses/' + folder + '/' + eng + '.md');
-          const parts = md.split('---');
-          const body = parts.length >= 3 ? parts.slice(2).join('---') : md;
-          html += '<details class="resp-accordion"><summary>' + eng + '</summary>' +
-            '<div class="resp-body">' + renderMd(body.trim()) + '</div></details>';
+          answers.push({ engine: r.engine, md: mdBody(await apiGetText('/responses/' + folder + '/' + r.file)) });
         } catch (_) {}
       }
+      const list = answers.map(a =>
+        '<details class="resp-accordion"><summary>' + esc(a.engine) + '</summary>' +
+        '<div class="resp-body">' + renderMd(a.md) + '</div></details>'
+      ).join('');
+      html += compareHost(list, answers, md => '<div class="resp-body">' + renderMd(md) + '</div>');
     }
 
     detailCache[folder] = html;
@@ -450,11 +805,210 @@ async function toggleCard(folder) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Synthesis versions
+// ---------------------------------------------------------------------------
+${DIFF_SCRIPT}
+
+/** Markdown bodies by "folder/file"; a version never changes once written */
+const versionCache = {};
+
+async function versionBody(folder, file) {
+  const key = folder + '/' + file;
+  if (!(key in versionCache)) versionCache[key] = mdBody(await apiGetText('/responses/' + folder + '/' + file));
+  return versionCache[key];
+}
+
+function versionLabel(v) {
+  const when = (v.finishedAt || v.startedAt || '').slice(0, 16).replace('T', ' ');
+  const by = v.provider ? v.provider + (v.model ? ' ' + v.model : '') : '';
+  return [when, v.template, by, v.status !== 'ok' && v.status].filter(Boolean).join(' \u00b7 ');
+}
+
+async function renderVersionPicker(folder, current) {
+  const data = await apiGet('/responses/' + folder + '/synthesis');
+  const versions = (data.versions || []).filter(v => v.file).reverse();
+  const options = (selected) => versions.map(v =>
+    '<option value="' + esc(v.file) + '"' + (v.file === selected ? ' selected' : '') + '>' + esc(versionLabel(v)) + '</option>'
+  ).join('');
+  return '<div class="synth-versions">' +
+    '<label>Version <select class="filter" id="synthPick-' + folder + '" onchange="showSynthVersion(\\'' + folder + '\\')">' + options(current) + '</select></label>' +
+    '<label>Diff against <select class="filter" id="synthBase-' + folder + '" onchange="showSynthVersion(\\'' + folder + '\\')"><option value="">\\u2014</option>' + options(null) + '</select></label>' +
+  '</div>';
+}
+
+async function showSynthVersion(folder) {
+  const pick = document.getElementById('synthPick-' + folder).value;
+  const base = document.getElementById('synthBase-' + folder).value;
+  const el = document.getElementById('synthBody-' + folder);
+  if (base && base !== pick) {
+    const [a, b] = await Promise.all([versionBody(folder, base), versionBody(folder, pick)]);
+    const marks = { same: '  ', add: '+ ', del: '- ' };
+    el.innerHTML = '<div class="synth-diff">' + diffLines(a, b).map(d =>
+      '<div class="diff-' + d.op + '">' + marks[d.op] + esc(d.text) + '</div>'
+    ).join('') + '</div>';
+  } else {
+    el.innerHTML = renderMd(await versionBody(folder, pick));
+  }
+}
+
+async function resynthesize(folder) {
+  const btn = document.getElementById('resynth-' + folder);
+  btn.disabled = true;
+  btn.textContent = 'Queued...';
+  try {
+    const r = await apiFetch('/responses/' + folder + '/synthesize', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template: document.getElementById('resynthTpl-' + folder).value || undefined }),
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+  } catch (e) {
+    btn.disabled = false;
+    btn.textContent = 'Re-synthesize';
+    alert('Re-synthesize failed: ' + e.message);
+  }
+}
+
+async function sendToVault(folder) {
+  const btn = document.getElementById('vault-' + folder);
+  btn.disabled = true;
+  try {
+    const r = await apiFetch('/responses/' + folder + '/vault', { method: 'POST' });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    btn.textContent = data.kept && data.kept.length ? 'Vault (' + data.kept.length + ' kept)' : 'Vault \u2713';
+    btn.title = data.kept && data.kept.length ? 'Edited in the vault, not overwritten: ' + data.kept.join(', ') : data.base;
+  } catch (e) {
+    alert('Vault export failed: ' + e.message);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Synthesis templates
+// ---------------------------------------------------------------------------
+let templates = [];
+let editingTemplate = null;
+
+async function loadTemplates() {
+  try {
+    templates = (await apiGet('/templates')).templates || [];
+  } catch (_) {
+    templates = [];
+  }
+}
+
+function templateOptions(selected) {
+  return '<option value="">Auto template</option>' + templates.map(t =>
+    '<option value="' + esc(t.name) + '"' + (t.name === selected ? ' selected' : '') + '>' + esc(t.title) + '</option>'
+  ).join('');
+}
+
+async function toggleTemplates() {
+  const panel = document.getElementById('templatesPanel');
+  if (!panel.classList.toggle('visible')) return;
+  await loadTemplates();
+  editTemplate(editingTemplate || (templates[0] && templates[0].name));
+}
+
+function renderTemplateList() {
+  document.getElementById('templateList').innerHTML = templates.map(t =>
+    '<div class="template-item' + (t.name === editingTemplate ? ' active' : '') + '" onclick="editTemplate(\\'' + t.name + '\\')">' +
+      '<strong>' + esc(t.title) + '</strong><span>' + esc(t.description) + '</span>' +
+    '</div>'
+  ).join('') + '<button class="btn btn-secondary btn-sm" onclick="editTemplate(null)">+ New template</button>';
+}
+
+function editTemplate(name) {
+  editingTemplate = name;
+  const t = templates.find(x => x.name === name) || { name: '', title: '', description: '', match: '', priority: 0, body: '' };
+  const field = (id) => document.getElementById(id);
+  field('tplName').value = t.name;
+  field('tplName').readOnly = !!name;
+  field('tplTitle').value = t.title;
+  field('tplDescription').value = t.description;
+  field('tplMatch').value = t.match || '';
+  field('tplPriority').value = t.priority || '';
+  field('tplBody').value = t.body;
+  field('tplDelete').style.display = name && name !== 'default' ? '' : 'none';
+  field('tplStatus').textContent = '';
+  renderTemplateList();
+}
+
+async function saveTemplateForm(ev) {
+  ev.preventDefault();
+  const field = (id) => document.getElementById(id).value;
+  const name = field('tplName').trim();
+  const status = document.getElementById('tplStatus');
+  try {
+    const r = await apiFetch('/templates/' + encodeURIComponent(name), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: field('tplTitle'),
+        description: field('tplDescription'),
+        match: field('tplMatch'),
+        priority: parseInt(field('tplPriority'), 10) || 0,
+        body: field('tplBody'),
+      }),
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    await loadTemplates();
+    editTemplate(data.name);
+    status.textContent = 'Saved';
+  } catch (e) {
+    status.textContent = 'Error: ' + e.message;
+  }
+}
+
+async function deleteTemplateForm() {
+  if (!editingTemplate || !confirm('Delete template "' + editingTemplate + '"?')) return;
+  const status = document.getElementById('tplStatus');
+  try {
+    const r = await apiFetch('/templates/' + encodeURIComponent(editingTemplate), { method: 'DELETE' });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'HTTP ' + r.status);
+    await loadTemplates();
+    editTemplate(templates[0] && templates[0].name);
+  } catch (e) {
+    status.textContent = 'Error: ' + e.message;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // SSE — Live collection progress
 // ---------------------------------------------------------------------------
 let evtSource = null;
 
+// Synthesis text streamed in so far; rendered at most once per frame
+let synthText = '';
+let synthFrame = null;
+
+function resetSynthStream() {
+  synthText = '';
+  const el = document.getElementById('synthStream');
+  el.innerHTML = '';
+  el.classList.remove('visible');
+}
+
+function appendSynthDelta(text) {
+  synthText += text;
+  if (synthFrame) return;
+  synthFrame = requestAnimationFrame(() => {
+    synthFrame = null;
+    const el = document.getElementById('synthStream');
+    // Stay pinned to the bottom unless the user scrolled up to read
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+    el.classList.add('visible');
+    el.innerHTML = renderMd(synthText);
+    if (atBottom) el.scrollTop = el.scrollHeight;
+  });
+}
+
 function connectSSE() {
   if (evtSource) return;
   evtSource = new EventSource('/api/events');
@@ -467,13 +1021,23 @@ function connectSSE() {
     let msg;
     try { msg = JSON.parse(e.data); } catch (_) { return; }
 
-    if (msg.type === 'started') {
+    if (msg.type === 'opening') {
+      sec.classList.add('visible');
+      qEl.textContent = msg.query || 'Running search...';
+      progEl.innerHTML = (msg.engines || []).map(eng =>
+        '<span class="engine-chip" id="chip-' + eng + '">' + eng + '</span>'
+      ).join('');
+      statusEl.innerHTML = '<span class="spinner"></span> Opening tabs and submitting...';
+      resetSynthStream();
+    }
+    else if (msg.type === 'started') {
       sec.classList.add('visible');
       qEl.textContent = msg.query || 'Running collection...';
       progEl.innerHTML = (msg.engines || []).map(eng =>
         '<span class="engine-chip active" id="chip-' + eng + '">' + eng + '</span>'
       ).join('');
       statusEl.textContent = 'Collecting responses...';
+      resetSynthStream();
     }
     else if (msg.type === 'engine_done') {
       const chip = document.getElementById('chip-' + msg.engine);
@@ -483,24 +1047,36 @@ function connectSSE() {
       }
     }
     else if (msg.type === 'synthesizing') {
-      statusEl.innerHTML = '<span class="spinner"></span> Synthesizing with Claude...';
+      sec.classList.add('visible');
+      if (msg.template) {
+        // Re-synthesis of a stored collection: no engine chips
+        const c = collections.find(x => x.name === msg.folderName);
+        qEl.textContent = (c && c.query) || msg.folderName;
+        progEl.innerHTML = '<span class="engine-chip synthesizing">' + esc(msg.template) + '</span>';
+      }
+      statusEl.innerHTML = '<span class="spinner"></span> Synthesizing...';
+      resetSynthStream();
       progEl.querySelectorAll('.engine-chip').forEach(c => {
         if (!c.classList.contains('done') && !c.classList.contains('failed'))
           c.className = 'engine-chip synthesizing';
       });
     }
+    else if (msg.type === 'synthesis_delta') {
+      appendSynthDelta(msg.text || '');
+    }
     else if (msg.type === 'complete') {
       statusEl.textContent = 'Complete!';
       sec.querySelector('.active-card').style.borderColor = 'var(--green)';
       sec.querySelector('.active-card').style.animation = 'none';
-      // Refresh list after a short delay
+      detailCache = {};
+      loadCollections().then(() => { if (expandedFolder) loadDetail(expandedFolder); });
+      // Leave a streamed synthesis up a little longer so it can be read
       setTimeout(() => {
         sec.classList.remove('visible');
         sec.querySelector('.active-card').style.borderColor = '';
         sec.querySelector('.active-card').style.animation = '';
-        detailCache = {};
-        loadCollections();
-      }, 2000);
+        resetSynthStream();
+      }, synthText ? 10000 : 2000);
     }
     else if (msg.type === 'error') {
       statusEl.textContent = 'Error: ' + (msg.message || 'Unknown');
@@ -515,14 +1091,26 @@ function connectSSE() {
   };
 
   evtSource.onerror = function() {
-    // Auto-reconnect is built into EventSource
+    // Auto-reconnect is built into EventSource; a refused session is not
+    // retried, so find out whether that is why
+    if (evtSource.readyState === EventSource.CLOSED) {
+      evtSource = null;
+      apiFetch('/jobs').catch(() => {}).then(() => setTimeout(connectSSE, 5000));
+    }
   };
 }
 
 // ---------------------------------------------------------------------------
 // Init
 // ---------------------------------------------------------------------------
-document.getElementById('searchInput').addEventListener('input', renderList);
+document.getElementById('searchInput').addEventListener('input', scheduleSearch);
+for (const id of ['engineFilter', 'fromFilter', 'toFilter']) {
+  document.getElementById(id).addEventListener('change', scheduleSearch);
+}
+document.getElementById('viewFilter').addEventListener('change', renderList);
+loadEngineFilter();
+loadTemplates();
+loadEngineHealth(false);
 
 // Hash routing
 function handleHash() {
@@ -547,4 +1135,60 @@ loadCollections().then(() => {
 </html>`;
 }
 
-module.exports = { getDashboardHtml };
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * The token login screen. The form posts to /login, which sets the session
+ * cookie and sends the browser on to `next`.
+ * @param {object} [opts] — { next: local path to return to, error: message to show }
+ */
+function getLoginHtml({ next = "/dashboard", error = "" } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Clipboard Search — Log in</title>
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    background: #0f1117; color: #e4e4e7; line-height: 1.6;
+    min-height: 100vh; display: flex; align-items: center; justify-content: center;
+  }
+  form {
+    background: #1a1d27; border: 1px solid #2e3140; border-radius: 10px;
+    padding: 2rem; width: 360px; display: flex; flex-direction: column; gap: 0.9rem;
+  }
+  h1 { font-size: 1.1rem; font-weight: 600; color: #fff; }
+  p { font-size: 0.8rem; color: #9ca3af; }
+  code { background: #232633; border-radius: 4px; padding: 0 0.3rem; }
+  input {
+    background: #232633; border: 1px solid #2e3140; border-radius: 6px;
+    padding: 0.55rem 0.75rem; color: #e4e4e7; font-size: 0.9rem; outline: none;
+  }
+  input:focus { border-color: #7c3aed; }
+  button {
+    background: #7c3aed; color: #fff; border: none; border-radius: 6px;
+    padding: 0.55rem 1rem; font-size: 0.85rem; font-weight: 500; cursor: pointer;
+  }
+  button:hover { opacity: 0.85; }
+  .error { color: #ef4444; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<form method="POST" action="/login">
+  <h1>Clipboard Search</h1>
+  <p>Enter the API token: <code>API_TOKEN</code>, or the one in <code>.api-token</code> that api.js printed on its first start.</p>
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ""}
+  <input type="password" name="token" placeholder="API token" autocomplete="current-password" autofocus required>
+  <input type="hidden" name="next" value="${escapeHtml(next)}">
+  <button type="submit">Log in</button>
+</form>
+</body>
+</html>`;
+}
+
+module.exports = { getDashboardHtml, getLoginHtml };
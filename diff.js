@@ -0,0 +1,64 @@
+/**
+ * diff.js — Line diff for comparing synthesis versions.
+ *
+ * diffLines() is plain JS with no dependencies so the same function can run
+ * in Node and inside the generated pages: DIFF_SCRIPT is its source, which
+ * the viewer and dashboard paste into their <script>.
+ *
+ * Usage:
+ *   const { diffLines } = require('./diff');
+ *   diffLines("a\nb", "a\nc");
+ *   // → [{ op: "same", text: "a" }, { op: "del", text: "b" }, { op: "add", text: "c" }]
+ */
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence).
+ * @param {string} a — old text
+ * @param {string} b — new text
+ * @returns {Array<{op: "same"|"add"|"del", text: string}>}
+ */
+function diffLines(a, b) {
+  const x = a.split("\n");
+  const y = b.split("\n");
+
+  // Skip the common head and tail so the table only covers the changed middle
+  let head = 0;
+  while (head < x.length && head < y.length && x[head] === y[head]) head++;
+  let tail = 0;
+  while (tail < x.length - head && tail < y.length - head && x[x.length - 1 - tail] === y[y.length - 1 - tail]) tail++;
+  const xm = x.slice(head, x.length - tail);
+  const ym = y.slice(head, y.length - tail);
+
+  // lcs[i][j] — length of the LCS of xm[i:] and ym[j:]
+  const lcs = [];
+  for (let i = xm.length; i >= 0; i--) {
+    lcs[i] = new Array(ym.length + 1).fill(0);
+    if (i === xm.length) continue;
+    for (let j = ym.length - 1; j >= 0; j--) {
+      lcs[i][j] = xm[i] === ym[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = x.slice(0, head).map((text) => ({ op: "same", text }));
+  let i = 0;
+  let j = 0;
+  while (i < xm.length && j < ym.length) {
+    if (xm[i] === ym[j]) {
+      out.push({ op: "same", text: xm[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "del", text: xm[i++] });
+    } else {
+      out.push({ op: "add", text: ym[j++] });
+    }
+  }
+  while (i < xm.length) out.push({ op: "del", text: xm[i++] });
+  while (j < ym.length) out.push({ op: "add", text: ym[j++] });
+  for (const text of x.slice(x.length - tail)) out.push({ op: "same", text });
+  return out;
+}
+
+const DIFF_SCRIPT = diffLines.toString();
+
+module.exports = { diffLines, DIFF_SCRIPT };
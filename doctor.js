@@ -0,0 +1,346 @@
+/**
+ * doctor.js — Check that each engine is ready before a search needs it.
+ *
+ * A background tab opens each engine's page (probe.url in its definition,
+ * see registry.js) and these checks run, so a signed-out session or a
+ * changed selector shows up now instead of as a 90-second timeout:
+ *
+ *   load      — the page loaded within PAGE_LOAD_TIMEOUT
+ *   login     — no sign-in page or probe.loggedOut element
+ *   captcha   — no captcha or "verify you are human" challenge
+ *   rateLimit — no rate-limit or usage-cap banner
+ *   upgrade   — no "upgrade to continue" banner (a warning only)
+ *   input     — inputScript finds the composer
+ *   submit    — probe.submit matches the send button; where it only shows
+ *               once there is text, one character is typed and deleted
+ *               again (nothing is ever sent)
+ *   response  — extractScript reads the answer in an open conversation of
+ *               the engine; skipped when none is open
+ *
+ * Each check is ok, warn, fail or skip, and an engine is as bad as its
+ * worst check. The tabs are closed again afterwards.
+ *
+ * Usage:
+ *   node doctor.js [engine-slug ...]
+ *
+ *   const { engineHealth } = require('./doctor');
+ *   const report = await engineHealth();   // { checkedAt, status, engines, errors }
+ */
+
+const CDP = require("chrome-remote-interface");
+const { config, scriptArgs } = require("./config");
+const { getEngines, getLoadErrors } = require("./registry");
+const { captureNow } = require("./collect");
+
+/** Seconds a loaded page gets to render its composer */
+const PROBE_SETTLE = 10;
+/** Seconds before a whole engine check is given up */
+const PROBE_TIMEOUT = config.pageLoadTimeout + PROBE_SETTLE + 20;
+/** Seconds GET /engines/health reuses the last report */
+const HEALTH_MAX_AGE = 120;
+
+const BANNERS = {
+  captcha: /verify (that )?you are (a )?human|are you a robot|checking your browser|checking if the site connection is secure|unusual (activity|traffic)/i,
+  rateLimit: /too many requests|rate limit|you('|’)ve (reached|hit) (the|your) [\w\s-]{0,30}limit|usage (limit|cap)|out of (free )?messages|try again (later|in \d+)/i,
+  upgrade: /upgrade (your plan |to [\w ]{1,20})?to (continue|keep (chatting|using))|subscribe to continue/i,
+};
+const CAPTCHA_SELECTOR =
+  'iframe[src*="captcha"], iframe[src*="challenges.cloudflare.com"], #challenge-form, #cf-challenge-running, .g-recaptcha, .h-captcha';
+const SIGN_IN_PATH = /\/(log-?in|sign-?in|sign-?up|auth)\b/i;
+
+const RANK = { ok: 0, skip: 0, warn: 1, fail: 2 };
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, sec, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${sec}s`)), sec * 1000);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/** The worst status of a list of checks (or engines) */
+function worst(items) {
+  return items.reduce((acc, i) => (RANK[i.status] > RANK[acc] ? i.status : acc), "ok");
+}
+
+async function evaluate(client, expression) {
+  const r = await client.Runtime.evaluate({ expression, returnByValue: true, awaitPromise: true });
+  if (r.exceptionDetails) throw new Error(r.exceptionDetails.exception?.description || r.exceptionDetails.text);
+  return r.result.value;
+}
+
+/** Page expression: URL, load state, visible text and which probe selectors match */
+function pageStateScript(engine) {
+  return `(() => {
+    const has = (sel) => { try { return !!(sel && document.querySelector(sel)); } catch (_) { return false; } };
+    return {
+      url: location.href,
+      ready: document.readyState,
+      text: document.body ? document.body.innerText.slice(0, 20000) : '',
+      loggedOut: has(${JSON.stringify(engine.probe.loggedOut)}),
+      captcha: has(${JSON.stringify(CAPTCHA_SELECTOR)}),
+      submit: has(${JSON.stringify(engine.probe.submit)}),
+    };
+  })()`;
+}
+
+/** The page the probe opens: probe.url, or the site of openUrl */
+function probeUrl(engine) {
+  return engine.probe.url || `${new URL(engine.openUrl.replace(/\{\{query\}\}/g, "")).origin}/`;
+}
+
+/** Where a page ended up, if that looks like a sign-in page rather than the engine */
+function signInPage(engine, url) {
+  try {
+    const u = new URL(url);
+    if (!engine.urlMatch.test(url) || SIGN_IN_PATH.test(u.pathname)) return `${u.host}${u.pathname}`;
+  } catch (_) {}
+  return null;
+}
+
+/** The first banner of a kind in the page text, as a short quote */
+function banner(engine, kind, text) {
+  for (const re of [BANNERS[kind], engine.probe.banners[kind]].filter(Boolean)) {
+    const m = re.exec(text);
+    if (m) {
+      const start = Math.max(0, text.lastIndexOf("\n", m.index) + 1);
+      return text.slice(start, start + 100).split("\n")[0].trim();
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// CHECKS
+// ---------------------------------------------------------------------------
+
+/**
+ * The response check: extractScript in an open conversation tab of the
+ * engine (one with a user message, when the engine can tell).
+ */
+async function checkResponse(engine, probeTargetId) {
+  const tabs = (await CDP.List({ host: config.cdpHost, port: config.cdpPort })).filter(
+    (t) => t.type === "page" && t.id !== probeTargetId && engine.urlMatch.test(t.url)
+  );
+  for (const tab of tabs) {
+    if (engine.userMessageScript) {
+      let client;
+      let message = "";
+      try {
+        client = await CDP({ target: tab, host: config.cdpHost, port: config.cdpPort });
+        message = await evaluate(client, engine.userMessageScript);
+      } catch (_) {
+        continue;
+      } finally {
+        if (client) try { await client.close(); } catch (_) {}
+      }
+      if (!message) continue;
+      const { text } = await captureNow(tab, engine);
+      return text
+        ? { status: "ok", detail: `${text.length} chars read in ${tab.url}` }
+        : { status: "fail", detail: `no answer found in the open conversation ${tab.url}` };
+    }
+    const { text } = await captureNow(tab, engine);
+    if (text) return { status: "ok", detail: `${text.length} chars read in ${tab.url}` };
+  }
+  return { status: "skip", detail: "no open conversation to check against" };
+}
+
+/**
+ * The checks on a loaded probe page: login, banners, composer, send button.
+ * @param {object} state — from pageStateScript()
+ * @param {boolean} input — whether inputScript found the composer
+ */
+async function pageChecks(client, engine, state, input, add) {
+  add("load", "ok", state.url);
+
+  const signIn = signInPage(engine, state.url);
+  const blocked = !!(signIn || state.loggedOut);
+  add("login", blocked ? "fail" : "ok", signIn ? `sent to ${signIn}` : state.loggedOut ? "the sign-in button is showing" : "");
+
+  const captchaText = banner(engine, "captcha", state.text);
+  const captcha = state.captcha || !!captchaText;
+  add("captcha", captcha ? "fail" : "ok", state.captcha ? "challenge frame on the page" : captchaText ? `"${captchaText}"` : "");
+  const limit = banner(engine, "rateLimit", state.text);
+  add("rateLimit", limit ? "fail" : "ok", limit ? `"${limit}"` : "");
+  const upgrade = banner(engine, "upgrade", state.text);
+  add("upgrade", upgrade ? "warn" : "ok", upgrade ? `"${upgrade}"` : "");
+
+  const stuck = blocked ? "signed out" : captcha ? "captcha" : null;
+  if (!engine.inputScript) add("input", "skip", "the engine has no inputScript");
+  else if (stuck && !input) add("input", "skip", stuck);
+  else add("input", input ? "ok" : "fail", input ? "" : "inputScript finds no composer");
+
+  if (!engine.probe.submit) {
+    add("submit", "skip", "the engine has no probe.submit selector");
+  } else if (state.submit) {
+    add("submit", "ok");
+  } else if (!input) {
+    add("submit", "skip", "no composer to type into");
+  } else {
+    // Send buttons often appear only once there is something to send
+    await client.Input.insertText({ text: "?" });
+    await sleep(800);
+    const typed = await evaluate(client, pageStateScript(engine));
+    await evaluate(client, "document.execCommand('selectAll', false) && document.execCommand('delete', false)");
+    add("submit", typed.submit ? "ok" : "fail", typed.submit ? "" : `${engine.probe.submit} matches nothing`);
+  }
+}
+
+/**
+ * Run every check for one engine in a background tab.
+ * @param {object} browser — browser-level CDP client
+ * @returns {Promise<{engine, slug, status, url, durationMs, checks}>}
+ */
+async function probeEngine(browser, engine) {
+  const started = Date.now();
+  const checks = [];
+  const add = (name, status, detail = "") => checks.push({ name, status, detail });
+  const url = probeUrl(engine);
+  let targetId;
+  let client;
+
+  try {
+    ({ targetId } = await browser.Target.createTarget({ url, background: true }));
+    client = await CDP({ target: targetId, host: config.cdpHost, port: config.cdpPort });
+
+    // Wait for the page to load, then for its app to show the composer (or
+    // to make clear it won't: signed out, challenge)
+    let state = null;
+    let input = false;
+    let loadedAt = null;
+    while (loadedAt ? Date.now() - loadedAt < PROBE_SETTLE * 1000 : Date.now() - started < config.pageLoadTimeout * 1000) {
+      try {
+        state = await evaluate(client, pageStateScript(engine));
+        if (state.ready === "complete") {
+          loadedAt = loadedAt || Date.now();
+          input = engine.inputScript ? !!(await evaluate(client, engine.inputScript)) : false;
+          if (input || state.loggedOut || state.captcha || signInPage(engine, state.url)) break;
+        }
+      } catch (_) {
+        // Context is replaced during navigation — just retry
+      }
+      await sleep(500);
+    }
+
+    if (!loadedAt) add("load", "fail", `${url} did not load within ${config.pageLoadTimeout}s`);
+    else await pageChecks(client, engine, state, input, add);
+
+    const response = await checkResponse(engine, targetId);
+    add("response", response.status, response.detail);
+  } catch (err) {
+    add("probe", "fail", err.message);
+  } finally {
+    if (client) try { await client.close(); } catch (_) {}
+    if (targetId) try { await browser.Target.closeTarget({ targetId }); } catch (_) {}
+  }
+  return { engine: engine.name, slug: engine.slug, status: worst(checks), url, durationMs: Date.now() - started, checks };
+}
+
+// ---------------------------------------------------------------------------
+// MAIN EXPORT
+// ---------------------------------------------------------------------------
+
+/**
+ * Check engines, all in parallel.
+ * @param {string[]} [slugs] — only these engines (default: all)
+ * @returns {Promise<{checkedAt, status, engines: object[], errors: object[]}>}
+ *   errors — engine files that failed to load (see registry.js)
+ */
+async function checkEngines(slugs = []) {
+  const all = getEngines();
+  const unknown = slugs.filter((s) => !all.some((e) => e.slug === s));
+  if (unknown.length) throw new Error(`Unknown engine(s): ${unknown.join(", ")} (have ${all.map((e) => e.slug).join(", ")})`);
+  const engines = all.filter((e) => !slugs.length || slugs.includes(e.slug));
+
+  const { webSocketDebuggerUrl } = await CDP.Version({ host: config.cdpHost, port: config.cdpPort });
+  const browser = await CDP({ target: webSocketDebuggerUrl });
+  try {
+    const results = await Promise.all(
+      engines.map((engine) =>
+        withTimeout(probeEngine(browser, engine), PROBE_TIMEOUT, `${engine.name} check`).catch((err) => ({
+          engine: engine.name,
+          slug: engine.slug,
+          status: "fail",
+          url: probeUrl(engine),
+          durationMs: PROBE_TIMEOUT * 1000,
+          checks: [{ name: "probe", status: "fail", detail: err.message }],
+        }))
+      )
+    );
+    const errors = getLoadErrors();
+    return {
+      checkedAt: new Date().toISOString(),
+      status: errors.length ? "fail" : worst(results),
+      engines: results,
+      errors,
+    };
+  } finally {
+    try { await browser.close(); } catch (_) {}
+  }
+}
+
+let lastReport = null;
+let pending = null;
+
+/**
+ * The last report if it is recent, else a new check of every engine.
+ * Callers asking while a check runs share it.
+ * @param {object} [opts]
+ *   refresh — check even if the last report is recent
+ *   busy — another job is driving the engines: probing now would type into
+ *          its tabs, so the last report (or none) comes back with busy: true
+ *   probe — runs the check, e.g. through the job queue (default checkEngines)
+ */
+function engineHealth({ refresh = false, busy = false, probe = checkEngines } = {}) {
+  if (pending) return pending;
+  if (!refresh && lastReport && Date.now() - Date.parse(lastReport.checkedAt) < HEALTH_MAX_AGE * 1000) {
+    return Promise.resolve(lastReport);
+  }
+  if (busy) {
+    return Promise.resolve({ ...(lastReport || { checkedAt: null, status: "busy", engines: [], errors: [] }), busy: true });
+  }
+  pending = probe()
+    .then((report) => (lastReport = report))
+    .finally(() => {
+      pending = null;
+    });
+  return pending;
+}
+
+module.exports = { checkEngines, engineHealth, HEALTH_MAX_AGE };
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const TAG = { ok: "  OK  ", warn: "  !!  ", fail: "  FAIL" };
+  console.log(`\nEngine check (Chrome ${config.cdpHost}:${config.cdpPort})\n`);
+
+  checkEngines(scriptArgs())
+    .then((report) => {
+      for (const e of report.errors) console.log(`${TAG.fail} ${e.file}: ${e.error}`);
+      for (const e of report.engines) {
+        console.log(`${TAG[e.status]} ${e.engine} (${(e.durationMs / 1000).toFixed(1)}s)`);
+        for (const c of e.checks.filter((c) => c.status !== "ok")) {
+          console.log(`        ${c.name.padEnd(9)} ${c.status.padEnd(4)}  ${c.detail}`);
+        }
+      }
+      console.log("");
+      if (report.status === "fail") process.exit(1);
+    })
+    .catch((err) => {
+      console.error(`FAIL ${err.message.includes("ECONNREFUSED") ? `Chrome not reachable on ${config.cdpHost}:${config.cdpPort} (start it with --remote-debugging-port)` : err.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,322 @@
+/**
+ * docx.js — Minimal DOCX writer for exports (markdown → Word), no dependencies.
+ *
+ * A .docx file is a zip of XML parts. This module writes the few parts Word
+ * needs ([Content_Types].xml, relationships, styles, core properties and
+ * word/document.xml) and zips them itself with zlib's raw deflate.
+ *
+ * Markdown is parsed with marked's lexer and mapped onto built-in Word
+ * styles: headings → Heading1..6, lists → indented paragraphs with a bullet
+ * or number, code → a monospace "Code" style, tables → real tables, links →
+ * hyperlinks.
+ *
+ * Usage:
+ *   const { buildDocx } = require('./docx');
+ *   const buf = buildDocx({ title: "Query", subtitle: "2026-02-19", blocks: [
+ *     { heading: "Synthesis", level: 1 },
+ *     { markdown: "## Summary\n...", headingOffset: 1 },
+ *     { table: [["Claim", "ChatGPT"], ["...", "✓"]] },
+ *   ]});
+ */
+
+const zlib = require("zlib");
+const { marked } = require("marked");
+
+// ---------------------------------------------------------------------------
+// ZIP
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 1980-01-01 00:00, the earliest DOS date (time in the low half, date in the high half)
+const DOS_EPOCH = (0x21 << 16) >>> 0;
+
+/**
+ * Zip archive of the given files (deflate, no directories, no zip64).
+ * @param {Array<{name: string, data: string|Buffer}>} files
+ * @returns {Buffer}
+ */
+function zip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf-8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf-8");
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0); // local file header
+    header.writeUInt16LE(20, 4);         // version needed
+    header.writeUInt16LE(0x0800, 6);     // UTF-8 names
+    header.writeUInt16LE(8, 8);          // deflate
+    header.writeUInt32LE(DOS_EPOCH, 10); // time, date
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(packed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, name, packed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);  // central directory header
+    entry.writeUInt16LE(20, 4);          // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(DOS_EPOCH, 12);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);     // (extra, comment, disk, attributes stay 0)
+    central.push(entry, name);
+
+    offset += header.length + name.length + packed.length;
+  }
+
+  const dir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);      // end of central directory
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, dir, end]);
+}
+
+// ---------------------------------------------------------------------------
+// WORDPROCESSINGML
+// ---------------------------------------------------------------------------
+
+function xml(text) {
+  return String(text)
+    // Control characters aren't allowed in XML at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** One run of text with the given formatting; line breaks become <w:br/> */
+function run(text, fmt = {}) {
+  const props = [
+    // (in the order the schema requires)
+    fmt.style && `<w:rStyle w:val="${fmt.style}"/>`,
+    fmt.code && '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>',
+    fmt.bold && "<w:b/>",
+    fmt.italic && "<w:i/>",
+    fmt.strike && "<w:strike/>",
+    fmt.code && '<w:shd w:val="clear" w:color="auto" w:fill="EEEEEE"/>',
+  ].filter(Boolean).join("");
+  const parts = String(text).split("\n").map((t) => `<w:t xml:space="preserve">${xml(t)}</w:t>`);
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ""}${parts.join("<w:br/>")}</w:r>`;
+}
+
+/** Runs for marked inline tokens */
+function inline(tokens, ctx, fmt = {}) {
+  return (tokens || []).map((t) => {
+    switch (t.type) {
+      case "strong":
+        return inline(t.tokens, ctx, { ...fmt, bold: true });
+      case "em":
+        return inline(t.tokens, ctx, { ...fmt, italic: true });
+      case "del":
+        return inline(t.tokens, ctx, { ...fmt, strike: true });
+      case "codespan":
+        return run(decode(t.text), { ...fmt, code: true });
+      case "br":
+        return "<w:r><w:br/></w:r>";
+      case "link": {
+        const id = ctx.link(t.href);
+        return `<w:hyperlink r:id="${id}">${inline(t.tokens, ctx, { ...fmt, style: "Hyperlink" })}</w:hyperlink>`;
+      }
+      case "image":
+        return run(`[${t.text || "image"}]`, fmt);
+      case "html":
+        return "";
+      default:
+        return t.tokens ? inline(t.tokens, ctx, fmt) : run(decode(t.text ?? t.raw ?? ""), fmt);
+    }
+  }).join("");
+}
+
+/** marked keeps HTML entities in inline text; Word wants the characters */
+function decode(text) {
+  return String(text)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function paragraph(content, props = "") {
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ""}${content}</w:p>`;
+}
+
+function styled(style, extra = "") {
+  return `<w:pStyle w:val="${style}"/>${extra}`;
+}
+
+/** Table from rows of cells (each cell: string or marked inline tokens); the first row is the header */
+function table(rows, ctx) {
+  const cell = (c, header) => {
+    const content = typeof c === "string" ? run(c, { bold: header }) : inline(c, ctx, { bold: header });
+    return `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph(content)}</w:tc>`;
+  };
+  const body = rows.map((r, i) => `<w:tr>${r.map((c) => cell(c, i === 0)).join("")}</w:tr>`).join("");
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>${body}</w:tbl>` +
+    paragraph(""); // Word needs a paragraph between adjacent tables
+}
+
+/** Paragraphs for marked block tokens */
+function blocks(tokens, ctx, opts = {}) {
+  const offset = opts.headingOffset || 0;
+  const level = opts.listLevel || 0;
+  const indent = (l) => `<w:ind w:left="${360 * (l + 1)}" w:hanging="360"/>`;
+  return (tokens || []).map((t) => {
+    switch (t.type) {
+      case "heading":
+        return paragraph(inline(t.tokens, ctx), styled(`Heading${Math.min(6, t.depth + offset)}`));
+      case "paragraph":
+        return paragraph(inline(t.tokens, ctx), opts.quote ? styled("Quote") : "");
+      case "text":
+        return paragraph(inline(t.tokens || [{ type: "text", text: t.text }], ctx));
+      case "code":
+        return t.text.split("\n").map((line) => paragraph(run(line), styled("Code"))).join("");
+      case "blockquote":
+        return blocks(t.tokens, ctx, { ...opts, quote: true });
+      case "hr":
+        return paragraph("", '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="AAAAAA"/></w:pBdr>');
+      case "table":
+        return table([t.header.map((c) => c.tokens), ...t.rows.map((r) => r.map((c) => c.tokens))], ctx);
+      case "list":
+        return t.items.map((item, i) => {
+          const marker = t.ordered ? `${(t.start === "" ? 1 : Number(t.start) || 1) + i}.` : "•";
+          const [first, ...rest] = item.tokens;
+          const lead = first && (first.type === "text" || first.type === "paragraph")
+            ? inline(first.tokens || [{ type: "text", text: first.text }], ctx)
+            : "";
+          const head = paragraph(`${run(`${marker}\t`)}${lead}`, styled("ListParagraph", indent(level)));
+          const tail = lead ? rest : item.tokens;
+          return head + blocks(tail, ctx, { ...opts, listLevel: level + 1 });
+        }).join("");
+      case "space":
+      case "html":
+        return "";
+      default:
+        return t.text ? paragraph(run(decode(t.text))) : "";
+    }
+  }).join("");
+}
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:color w:val="2E2A5C"/><w:sz w:val="44"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:rPr><w:color w:val="666666"/></w:rPr></w:style>
+${[40, 32, 28, 24, 22, 22].map((size, i) => `  <w:style w:type="paragraph" w:styleId="Heading${i + 1}"><w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="${i < 2 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${i}"/></w:pPr><w:rPr><w:b/><w:color w:val="4C1D95"/><w:sz w:val="${size}"/></w:rPr></w:style>`).join("\n")}
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="567"/></w:pPr><w:rPr><w:i/><w:color w:val="555555"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F3F3F3"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="60"/></w:pPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="1D4ED8"/><w:u w:val="single"/></w:rPr></w:style>
+  <w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>${["top", "left", "bottom", "right", "insideH", "insideV"].map((b) => `<w:${b} w:val="single" w:sz="4" w:space="0" w:color="BBBBBB"/>`).join("")}</w:tblBorders><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+/**
+ * Build a .docx document.
+ * @param {object} doc
+ * @param {string} doc.title
+ * @param {string} [doc.subtitle]
+ * @param {Array<object>} doc.blocks — in order, each one of:
+ *   { heading, level }              a heading (level 1-6)
+ *   { markdown, headingOffset }     markdown; its headings are pushed down by headingOffset
+ *   { table: string[][] }           a table, first row as header
+ *   { text }                        a plain paragraph
+ * @returns {Buffer}
+ */
+function buildDocx(doc) {
+  const links = [];
+  const ctx = {
+    link(href) {
+      links.push(href);
+      return `rIdLink${links.length}`;
+    },
+  };
+
+  let body = paragraph(run(doc.title), styled("Title"));
+  if (doc.subtitle) body += paragraph(run(doc.subtitle), styled("Subtitle"));
+  for (const b of doc.blocks) {
+    if (b.heading) body += paragraph(run(b.heading), styled(`Heading${Math.min(6, b.level || 1)}`));
+    else if (b.markdown != null) body += blocks(marked.lexer(b.markdown), ctx, { headingOffset: b.headingOffset || 0 });
+    else if (b.table) body += table(b.table, ctx);
+    else if (b.text != null) body += paragraph(run(b.text));
+  }
+
+  const ns = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${ns}><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+  const rel = (id, type, target, external) =>
+    `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/${type}" Target="${xml(target)}"${external ? ' TargetMode="External"' : ""}/>`;
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${[
+    rel("rIdStyles", "officeDocument/2006/relationships/styles", "styles.xml"),
+    ...links.map((href, i) => rel(`rIdLink${i + 1}`, "officeDocument/2006/relationships/hyperlink", href, true)),
+  ].join("")}</Relationships>`;
+
+  const now = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  return zip([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+        rel("rIdDoc", "officeDocument/2006/relationships/officeDocument", "word/document.xml") +
+        rel("rIdCore", "package/2006/relationships/metadata/core-properties", "docProps/core.xml")
+      }</Relationships>`,
+    },
+    {
+      name: "docProps/core.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${xml(doc.title)}</dc:title><dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created></cp:coreProperties>`,
+    },
+    { name: "word/document.xml", data: document },
+    { name: "word/_rels/document.xml.rels", data: documentRels },
+    { name: "word/styles.xml", data: STYLES },
+  ]);
+}
+
+module.exports = { buildDocx, zip, crc32 };
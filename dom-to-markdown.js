@@ -0,0 +1,248 @@
+/**
+ * dom-to-markdown.js — DOM → GitHub-flavored markdown converter for AI tabs.
+ *
+ * installDomToMarkdown() runs inside the page (injected via Runtime.evaluate)
+ * and defines window.__csCapture(elOrEls), which engine extractScripts call
+ * on their response container. It returns { markdown, html } where markdown
+ * keeps fenced code with its language, tables, links, headings, math and
+ * nested lists, and html is the container's raw outerHTML for reprocessing.
+ *
+ * It also defines window.__csSources(elOrEls) for engine sourcesScripts: it
+ * collects the external links cited inside the given containers as
+ * [{ index, title, url }], where index is the footnote number shown in the
+ * text (or null).
+ *
+ * Usage:
+ *   const { DOM_TO_MARKDOWN_SCRIPT } = require('./dom-to-markdown');
+ *   await Runtime.evaluate({ expression: DOM_TO_MARKDOWN_SCRIPT });
+ *   // extractScript: return __csCapture(document.querySelector('.markdown'));
+ */
+
+function installDomToMarkdown() {
+  if (window.__csCapture) return;
+
+  const SKIP = new Set([
+    "BUTTON", "SVG", "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE",
+    "INPUT", "TEXTAREA", "SELECT", "CANVAS", "IFRAME",
+  ]);
+  const BLOCK = new Set([
+    "P", "DIV", "SECTION", "ARTICLE", "MAIN", "HEADER", "FOOTER", "ASIDE",
+    "FIGURE", "FIGCAPTION", "DETAILS", "SUMMARY", "H1", "H2", "H3", "H4",
+    "H5", "H6", "PRE", "UL", "OL", "LI", "BLOCKQUOTE", "TABLE", "HR", "DL",
+    "DT", "DD",
+  ]);
+  const BLOCK_SELECTOR = [...BLOCK].join(",").toLowerCase();
+
+  const tagOf = (el) => (el.tagName || "").toUpperCase();
+
+  function escapeText(s) {
+    return s.replace(/\u00a0/g, " ").replace(/([\\`*_])/g, "\\$1");
+  }
+
+  function wrap(s, mark) {
+    if (!s.trim()) return s;
+    const m = s.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[1] + mark + m[2] + mark + m[3];
+  }
+
+  function codeSpan(text) {
+    const t = text.replace(/\s+/g, " ");
+    if (!t.includes("`")) return "`" + t + "`";
+    return "`` " + t + " ``";
+  }
+
+  function isMath(el) {
+    return !!el.classList && (el.classList.contains("katex") || el.classList.contains("katex-display"));
+  }
+
+  function math(el) {
+    const tex = el.querySelector('annotation[encoding="application/x-tex"]');
+    if (!tex) return escapeText(el.textContent);
+    const display = el.classList.contains("katex-display") || !!el.closest(".katex-display");
+    return display ? "$$" + tex.textContent.trim() + "$$" : "$" + tex.textContent.trim() + "$";
+  }
+
+  function isBlock(el) {
+    if (isMath(el)) return el.classList.contains("katex-display");
+    return BLOCK.has(tagOf(el)) || !!el.querySelector(BLOCK_SELECTOR);
+  }
+
+  // --- Inline content -------------------------------------------------------
+
+  function inline(node) {
+    let out = "";
+    for (const child of node.childNodes) out += convertInline(child);
+    return out;
+  }
+
+  function convertInline(node) {
+    if (node.nodeType === 3) return escapeText(node.nodeValue.replace(/\s+/g, " "));
+    if (node.nodeType !== 1) return "";
+    const tag = tagOf(node);
+    if (SKIP.has(tag) || node.getAttribute("aria-hidden") === "true") return "";
+    if (isMath(node)) return math(node);
+
+    switch (tag) {
+      case "BR":
+        return "\n";
+      case "STRONG":
+      case "B":
+        return wrap(inline(node), "**");
+      case "EM":
+      case "I":
+        return wrap(inline(node), "*");
+      case "DEL":
+      case "S":
+        return wrap(inline(node), "~~");
+      case "CODE":
+        return codeSpan(node.textContent);
+      case "A": {
+        const text = inline(node).trim();
+        const href = node.href || "";
+        if (!href || href.startsWith("javascript:")) return text;
+        return "[" + (text || href) + "](" + href + ")";
+      }
+      case "IMG":
+        return node.src ? "![" + (node.alt || "") + "](" + node.src + ")" : "";
+      default:
+        return inline(node);
+    }
+  }
+
+  // --- Block content --------------------------------------------------------
+
+  function blocks(node, depth) {
+    const out = [];
+    let run = "";
+    const flush = () => {
+      const text = run.split("\n").map((l) => l.trim()).join("\n").trim();
+      if (text) out.push(text);
+      run = "";
+    };
+    for (const child of node.childNodes) {
+      if (child.nodeType === 1 && isBlock(child)) {
+        flush();
+        const b = block(child, depth);
+        if (b) out.push(b);
+      } else {
+        run += convertInline(child);
+      }
+    }
+    flush();
+    return out.join("\n\n");
+  }
+
+  function block(el, depth) {
+    const tag = tagOf(el);
+    if (SKIP.has(tag) || el.getAttribute("aria-hidden") === "true") return "";
+    if (isMath(el)) return math(el);
+
+    const heading = tag.match(/^H([1-6])$/);
+    if (heading) return "#".repeat(+heading[1]) + " " + inline(el).replace(/\s+/g, " ").trim();
+
+    switch (tag) {
+      case "PRE":
+        return fence(el);
+      case "UL":
+      case "OL":
+        return list(el, depth);
+      case "BLOCKQUOTE":
+        return blocks(el, depth).split("\n").map((l) => (l ? "> " + l : ">")).join("\n");
+      case "TABLE":
+        return table(el);
+      case "HR":
+        return "---";
+      default:
+        return blocks(el, depth);
+    }
+  }
+
+  function fence(pre) {
+    const code = pre.querySelector("code") || pre;
+    const classes = (code.className || "") + " " + (pre.className || "");
+    const m = classes.match(/(?:language|lang)-([\w+#.-]+)/);
+    const lang = m ? m[1] : (code.getAttribute("data-language") || pre.getAttribute("data-language") || "");
+    const text = code.textContent.replace(/\n$/, "");
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map((t) => t.length));
+    const ticks = "`".repeat(Math.max(3, longest + 1));
+    return ticks + lang + "\n" + text + "\n" + ticks;
+  }
+
+  function list(el, depth) {
+    const ordered = tagOf(el) === "OL";
+    let n = parseInt(el.getAttribute("start") || "1", 10);
+    const items = [];
+    for (const li of el.children) {
+      if (tagOf(li) !== "LI") continue;
+      const marker = ordered ? n++ + ". " : "- ";
+      const pad = " ".repeat(marker.length);
+      // Keep nested lists tight (no blank line before a sub-list)
+      const body = blocks(li, depth + 1).replace(/\n\n(?=(?:-|\d+\.) )/g, "\n");
+      const lines = body.split("\n");
+      items.push(marker + lines[0] + lines.slice(1).map((l) => "\n" + (l ? pad + l : "")).join(""));
+    }
+    return items.join("\n");
+  }
+
+  function table(el) {
+    const rows = [...el.querySelectorAll("tr")].filter((tr) => tr.closest("table") === el);
+    if (!rows.length) return "";
+    const cells = rows.map((tr) =>
+      [...tr.children]
+        .filter((c) => /^T[HD]$/.test(tagOf(c)))
+        .map((c) => inline(c).replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|").trim())
+    );
+    const width = Math.max(...cells.map((r) => r.length));
+    const line = (r) => "| " + Array.from({ length: width }, (_, i) => r[i] || "").join(" | ") + " |";
+    const out = [line(cells[0]), "| " + Array(width).fill("---").join(" | ") + " |"];
+    for (const r of cells.slice(1)) out.push(line(r));
+    return out.join("\n");
+  }
+
+  // --- Entry point ----------------------------------------------------------
+
+  window.__csCapture = (els) => {
+    const list = (Array.isArray(els) ? els : [els]).filter(Boolean);
+    const markdown = list
+      .map((el) => block(el, 0))
+      .filter(Boolean)
+      .join("\n\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+    const html = list.map((el) => el.outerHTML).join("\n");
+    return { markdown, html };
+  };
+
+  window.__csSources = (els) => {
+    const roots = (els instanceof Element ? [els] : [...(els || [])]).filter(Boolean);
+    const seen = new Map();
+    const out = [];
+    for (const root of roots) {
+      for (const a of root.querySelectorAll("a[href]")) {
+        let url;
+        try { url = new URL(a.href); } catch (_) { continue; }
+        if (!/^https?:$/.test(url.protocol) || url.host === location.host) continue;
+
+        const text = (a.textContent || "").replace(/\s+/g, " ").trim();
+        const num = (text.match(/^\[?(\d{1,3})\]?$/) || [])[1] || a.getAttribute("data-index");
+        const index = num ? parseInt(num, 10) : null;
+        const existing = seen.get(url.href);
+        if (existing) {
+          if (existing.index == null && index != null) existing.index = index;
+          if (existing.title === url.hostname && index == null && text) existing.title = text.slice(0, 200);
+          continue;
+        }
+
+        const title = a.getAttribute("title") || a.getAttribute("aria-label") || (index == null ? text : "") || url.hostname;
+        const source = { index, title: title.slice(0, 200), url: url.href };
+        seen.set(url.href, source);
+        out.push(source);
+      }
+    }
+    return out;
+  };
+}
+
+const DOM_TO_MARKDOWN_SCRIPT = `(${installDomToMarkdown.toString()})()`;
+
+module.exports = { installDomToMarkdown, DOM_TO_MARKDOWN_SCRIPT };
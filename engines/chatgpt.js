@@ -0,0 +1,82 @@
+/**
+ * engines/chatgpt.js — ChatGPT engine definition
+ */
+
+module.exports = {
+  name: "ChatGPT",
+  slug: "chatgpt",
+  order: 1,
+  urlMatch: /chatgpt\.com/,
+  openUrl: "https://chatgpt.com/?q={{query}}",
+
+  submitScript: `
+    (() => {
+      const btn = document.querySelector('button[data-testid="send-button"]');
+      if (btn && !btn.disabled) { btn.click(); return 'clicked send-button'; }
+      return 'no send button found or disabled';
+    })()
+  `,
+
+  // Focus the composer so a follow-up can be typed into the conversation
+  inputScript: `
+    (() => {
+      const el = document.querySelector('#prompt-textarea, [contenteditable="true"]');
+      if (!el) return false;
+      el.focus();
+      return true;
+    })()
+  `,
+
+  // First user message, to tell this conversation apart from older tabs
+  userMessageScript: `
+    (() => {
+      const el = document.querySelector('[data-message-author-role="user"]');
+      return el ? el.innerText : '';
+    })()
+  `,
+
+  extractScript: `
+    (() => {
+      const selectors = [
+        '[data-message-author-role="assistant"]',
+        'article[data-testid^="conversation-turn-"] .markdown',
+        '.agent-turn .markdown',
+        '[class*="markdown"]',
+      ];
+      for (const sel of selectors) {
+        const els = document.querySelectorAll(sel);
+        if (els.length > 0) {
+          const last = els[els.length - 1];
+          const prose = last.querySelector('.markdown, .prose') || last;
+          return __csCapture(prose);
+        }
+      }
+      return null;
+    })()
+  `,
+
+  // Web citations are links inside the latest assistant message
+  sourcesScript: `
+    (() => {
+      const els = document.querySelectorAll('[data-message-author-role="assistant"]');
+      return els.length ? __csSources(els[els.length - 1]) : [];
+    })()
+  `,
+
+  completion: {
+    // Stop button replaces the send button while a reply is streaming
+    finishedScript: `
+      !document.querySelector('button[data-testid="stop-button"]') &&
+      document.querySelectorAll('[data-message-author-role="assistant"]').length > 0
+    `,
+    settleMs: 1000,
+    stableChecks: 3,
+  },
+
+  // Readiness check (doctor.js); the send button only shows once there is text
+  probe: {
+    url: "https://chatgpt.com/",
+    loggedOut: 'button[data-testid="login-button"]',
+    submit: 'button[data-testid="send-button"]',
+  },
+};
@@ -0,0 +1,95 @@
+/**
+ * engines/claude.js — Claude engine definition
+ */
+
+module.exports = {
+  name: "Claude",
+  slug: "claude",
+  order: 2,
+  urlMatch: /claude\.ai/,
+  openUrl: "https://claude.ai/new?q={{query}}",
+
+  submitScript: `
+    (() => {
+      const btn = document.querySelector('button[aria-label="Send message"]');
+      if (btn && !btn.disabled) { btn.click(); return 'clicked send-message'; }
+      // Fallback: any button with send in aria-label
+      const fallback = document.querySelector('button[aria-label*="Send"]');
+      if (fallback && !fallback.disabled) { fallback.click(); return 'clicked fallback send'; }
+      return 'no send button found';
+    })()
+  `,
+
+  // Focus the composer so a follow-up can be typed into the conversation
+  inputScript: `
+    (() => {
+      const el = document.querySelector('div.ProseMirror[contenteditable="true"], [contenteditable="true"]');
+      if (!el) return false;
+      el.focus();
+      return true;
+    })()
+  `,
+
+  // First user message, to tell this conversation apart from older tabs
+  userMessageScript: `
+    (() => {
+      const el = document.querySelector('[data-testid="user-message"]');
+      return el ? el.innerText : '';
+    })()
+  `,
+
+  extractScript: `
+    (() => {
+      // Click "Show more" if response is collapsed
+      for (const b of document.querySelectorAll('button')) {
+        if (b.innerText.trim() === 'Show more') b.click();
+      }
+      // Claude renders response in standard-markdown or font-claude-response
+      const selectors = [
+        'div.standard-markdown',
+        '[class*="font-claude-response"]',
+        '[class*="claude-response"]',
+        '[class*="markdown"]',
+      ];
+      // Search only the latest assistant turn so follow-ups get the new answer
+      const turns = document.querySelectorAll('[data-is-streaming]');
+      const scope = turns.length ? turns[turns.length - 1] : document;
+      let best = null;
+      let bestLen = 0;
+      for (const sel of selectors) {
+        const els = scope.querySelectorAll(sel);
+        for (const el of els) {
+          const len = el.innerText.trim().length;
+          if (len > bestLen) { best = el; bestLen = len; }
+        }
+      }
+      if (bestLen > 20) return __csCapture(best);
+      return null;
+    })()
+  `,
+
+  // Web search citations are links inside the latest response
+  sourcesScript: `
+    (() => {
+      const els = document.querySelectorAll('div.standard-markdown, [class*="font-claude-response"]');
+      return els.length ? __csSources(els[els.length - 1]) : [];
+    })()
+  `,
+
+  completion: {
+    // The message container carries data-is-streaming="true" until done
+    finishedScript: `
+      !document.querySelector('[data-is-streaming="true"]') &&
+      !document.querySelector('button[aria-label="Stop response"]') &&
+      !!document.querySelector('[data-is-streaming="false"]')
+    `,
+    settleMs: 1000,
+    stableChecks: 3,
+  },
+
+  // Readiness check (doctor.js); signed-out visits are redirected to /login
+  probe: {
+    url: "https://claude.ai/new",
+    submit: 'button[aria-label="Send message"], button[aria-label*="Send"]',
+  },
+};
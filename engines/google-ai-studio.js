@@ -0,0 +1,112 @@
+/**
+ * engines/google-ai-studio.js — Google AI Studio engine definition
+ */
+
+module.exports = {
+  name: "Google AI Studio",
+  slug: "google-ai-studio",
+  order: 4,
+  urlMatch: /aistudio\.google\.com/,
+  openUrl: "https://aistudio.google.com/prompts/new_chat?prompt={{query}}",
+
+  submitScript: `
+    (() => {
+      // Dismiss any "OK, got it" / Terms dialog first
+      const dismissBtns = document.querySelectorAll('button');
+      for (const b of dismissBtns) {
+        const text = b.innerText.trim().toLowerCase();
+        if (text === 'ok, got it' || text === 'dismiss' || text === 'accept') {
+          b.click();
+        }
+      }
+
+      // Small delay then click Run button
+      return new Promise(resolve => {
+        setTimeout(() => {
+          // Find the Run button (contains "Run" text and keyboard_return icon)
+          const buttons = document.querySelectorAll('button');
+          for (const b of buttons) {
+            if (b.innerText.trim().startsWith('Run')) {
+              b.click();
+              resolve('clicked Run button');
+              return;
+            }
+          }
+          resolve('no Run button found');
+        }, 500);
+      });
+    })()
+  `,
+
+  // Focus the prompt box at the bottom of the chat
+  inputScript: `
+    (() => {
+      const boxes = document.querySelectorAll('ms-prompt-input-wrapper textarea, ms-autosize-textarea textarea, textarea');
+      const el = boxes[boxes.length - 1];
+      if (!el) return false;
+      el.focus();
+      return true;
+    })()
+  `,
+
+  // First user turn, to tell this conversation apart from older tabs
+  userMessageScript: `
+    (() => {
+      const el = document.querySelector('[data-turn-role="User"], ms-chat-turn .user-prompt-container');
+      return el ? el.innerText : '';
+    })()
+  `,
+
+  extractScript: `
+    (() => {
+      const nodes = document.querySelectorAll('ms-cmark-node');
+      if (nodes.length > 0) {
+        const parent = nodes[0].closest('.model-response-text, .chat-turn, [class*="response"]');
+        if (parent && parent.innerText.trim().length > 20) return __csCapture(parent);
+        // Top-level nodes only — nested ones would be captured twice
+        const withText = [...nodes].filter(n => !n.parentElement.closest('ms-cmark-node') && n.innerText.trim());
+        const total = withText.reduce((n, el) => n + el.innerText.trim().length, 0);
+        if (total > 20) return __csCapture(withText);
+      }
+      const selectors = [
+        'model-response',
+        '[class*="model-response"]',
+        'ms-chat-turn-container',
+      ];
+      for (const sel of selectors) {
+        const els = document.querySelectorAll(sel);
+        if (els.length > 0) {
+          const last = els[els.length - 1];
+          if (last.innerText.trim().length > 20) return __csCapture(last);
+        }
+      }
+      return null;
+    })()
+  `,
+
+  // Grounding sources are rendered under the latest model turn
+  sourcesScript: `
+    (() => {
+      const turns = document.querySelectorAll('ms-chat-turn, ms-chat-turn-container');
+      const roots = turns.length ? [turns[turns.length - 1]] : [];
+      roots.push(...document.querySelectorAll('ms-grounding-sources, ms-search-entry-point'));
+      return __csSources(roots);
+    })()
+  `,
+
+  completion: {
+    // The Run button turns into "Stop" while the model is generating
+    finishedScript: `
+      ![...document.querySelectorAll('button')].some(b => b.innerText.trim().startsWith('Stop')) &&
+      document.querySelectorAll('ms-cmark-node').length > 0
+    `,
+    settleMs: 1000,
+    stableChecks: 3,
+  },
+
+  // Readiness check (doctor.js); signed-out visits end up on accounts.google.com
+  probe: {
+    url: "https://aistudio.google.com/prompts/new_chat",
+    submit: 'ms-run-button button, button[aria-label="Run"]',
+  },
+};
@@ -0,0 +1,83 @@
+/**
+ * engines/perplexity.js — Perplexity engine definition
+ *
+ * Perplexity auto-submits from the ?q= URL, so there is no submit script.
+ */
+
+module.exports = {
+  name: "Perplexity",
+  slug: "perplexity",
+  order: 3,
+  urlMatch: /perplexity\.ai/,
+  openUrl: "https://www.perplexity.ai/search?q={{query}}",
+
+  submitScript: null,
+
+  // Focus the "Ask a follow-up" box; Enter submits it
+  inputScript: `
+    (() => {
+      const el = document.querySelector('#ask-input, textarea, [contenteditable="true"]');
+      if (!el) return false;
+      el.focus();
+      return true;
+    })()
+  `,
+
+  // The question is shown as the thread's heading
+  userMessageScript: `
+    (() => {
+      const el = document.querySelector('main h1, [class*="group/query"]');
+      return el ? el.innerText : '';
+    })()
+  `,
+
+  extractScript: `
+    (() => {
+      const selectors = [
+        '[dir="auto"] .prose',
+        '.relative.default .break-words',
+        'article',
+      ];
+      for (const sel of selectors) {
+        const els = document.querySelectorAll(sel);
+        if (els.length > 0) {
+          const last = els[els.length - 1];
+          if (last.innerText.trim().length > 20) return __csCapture(last);
+        }
+      }
+      const main = document.querySelector('main');
+      if (main && main.innerText.trim().length > 100) return __csCapture(main);
+      return null;
+    })()
+  `,
+
+  // Inline [n] citations plus the sources panel of the latest answer
+  sourcesScript: `
+    (() => {
+      const answers = document.querySelectorAll('[dir="auto"] .prose, .relative.default .break-words');
+      const roots = [];
+      if (answers.length) roots.push(answers[answers.length - 1]);
+      roots.push(...document.querySelectorAll('[class*="source"], [class*="citation"]'));
+      return __csSources(roots.length ? roots : document.querySelector('main'));
+    })()
+  `,
+
+  completion: {
+    // A "Stop" control is shown while the answer (and its search steps) run
+    finishedScript: `
+      ![...document.querySelectorAll('button')].some(b =>
+        /^stop/i.test(b.getAttribute('aria-label') || '') ||
+        (b.getAttribute('data-testid') || '').includes('stop')
+      )
+    `,
+    settleMs: 1500,
+    stableChecks: 3,
+  },
+
+  // Readiness check (doctor.js); Perplexity answers signed out too, so there
+  // is no loggedOut selector
+  probe: {
+    url: "https://www.perplexity.ai/",
+    submit: 'button[aria-label="Submit"], button[type="submit"]',
+  },
+};
@@ -0,0 +1,244 @@
+/**
+ * export.js — Download a collection as PDF, HTML, DOCX or JSON.
+ *
+ *   html — the viewer page as one self-contained file (styles and scripts
+ *          are inline already; the links to raw .md files are left out)
+ *   pdf  — that page printed by Chrome (Page.printToPDF in a background
+ *          tab, every accordion opened first), so Chrome must be running
+ *   docx — synthesis, claims, answers, follow-ups and sources as a Word
+ *          document (see docx.js)
+ *   json — everything in the folder in one file: meta.json, the markdown of
+ *          every answer and synthesis version, sources, claims, agreement
+ *
+ * Usage:
+ *   node export.js <folder> [--format pdf|html|docx|json] [--out file]
+ *
+ *   const { exportCollection } = require('./export');
+ *   const { body, type, ext } = await exportCollection(promptDir, "pdf");
+ */
+
+const fs = require("fs");
+const path = require("path");
+const CDP = require("chrome-remote-interface");
+const { config, scriptArgs } = require("./config");
+const { readMeta, readBody, synthesisVersions } = require("./meta");
+const { readSources } = require("./sources");
+const { readClaims } = require("./claims");
+const { readAgreement } = require("./agreement");
+const { renderViewer } = require("./viewer");
+const { buildDocx } = require("./docx");
+
+const EXPORT_FORMATS = {
+  pdf: { type: "application/pdf", ext: "pdf" },
+  html: { type: "text/html; charset=utf-8", ext: "html" },
+  docx: { type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", ext: "docx" },
+  json: { type: "application/json; charset=utf-8", ext: "json" },
+};
+
+const PDF_TIMEOUT = 60;
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/** Markdown of a file in the folder, null if it is missing */
+function bodyOf(dir, file) {
+  const filePath = file && path.join(dir, file);
+  return filePath && fs.existsSync(filePath) ? readBody(filePath) : null;
+}
+
+/** The answers in a folder (or turn folder) that have a file */
+function answersOf(dir, engines) {
+  return (engines || [])
+    .filter((e) => e.file)
+    .map((e) => ({ ...e, markdown: bodyOf(dir, e.file) }))
+    .filter((e) => e.markdown !== null);
+}
+
+function withTimeout(promise, sec, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${sec}s`)), sec * 1000);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// ---------------------------------------------------------------------------
+// FORMATS
+// ---------------------------------------------------------------------------
+
+function exportHtml(promptDir) {
+  return renderViewer(promptDir, { standalone: true });
+}
+
+/** Everything about a collection in one JSON document */
+function exportJson(promptDir) {
+  const meta = readMeta(promptDir);
+  const turns = (meta.turns || []).map((t) => {
+    const dir = path.join(promptDir, t.dir);
+    return {
+      turn: t.turn,
+      text: t.text,
+      responses: answersOf(dir, t.engines),
+      synthesis: t.synthesis ? { ...t.synthesis, markdown: bodyOf(dir, t.synthesis.file) } : null,
+      sources: readSources(dir),
+      claims: readClaims(dir),
+      agreement: readAgreement(dir),
+    };
+  });
+  const doc = {
+    format: "clipboard-search-export",
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    folder: path.basename(promptDir),
+    query: meta.query || "",
+    meta,
+    responses: answersOf(promptDir, meta.engines),
+    synthesis: meta.synthesis ? { ...meta.synthesis, markdown: bodyOf(promptDir, meta.synthesis.file) } : null,
+    synthesisVersions: synthesisVersions(meta).map((v) => ({ ...v, markdown: bodyOf(promptDir, v.file) })),
+    sources: readSources(promptDir),
+    claims: readClaims(promptDir),
+    agreement: readAgreement(promptDir),
+    turns,
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+/** Word document blocks for one question: synthesis, claims, answers */
+function docxSection(dir, engines, synthesis, level) {
+  const blocks = [];
+  const synthesisMd = synthesis && bodyOf(dir, synthesis.file);
+  if (synthesisMd) {
+    blocks.push({ heading: "Synthesis", level }, { markdown: synthesisMd, headingOffset: level - 1 });
+  }
+  const claims = readClaims(dir);
+  if (claims && claims.claims.length) {
+    const mark = (c, e) => (c.states.includes(e) ? "✓" : c.contradicts.includes(e) ? "✗" : "·");
+    blocks.push(
+      { heading: "Claims", level },
+      { table: [["Claim", "Kind", "Confidence", ...claims.engines], ...claims.claims.map((c) => [c.text, c.kind, c.confidence, ...claims.engines.map((e) => mark(c, e))])] },
+    );
+  }
+  const answers = answersOf(dir, engines).filter((a) => a.status === "ok");
+  if (answers.length) {
+    blocks.push({ heading: "Individual Responses", level });
+    for (const a of answers) {
+      blocks.push({ heading: a.engine, level: level + 1 }, { markdown: a.markdown, headingOffset: level });
+    }
+  }
+  return blocks;
+}
+
+function exportDocx(promptDir) {
+  const meta = readMeta(promptDir);
+  const blocks = docxSection(promptDir, meta.engines, meta.synthesis, 1);
+
+  for (const t of meta.turns || []) {
+    const dir = path.join(promptDir, t.dir);
+    blocks.push({ heading: `Follow-up ${t.turn}: ${t.text}`, level: 1 }, ...docxSection(dir, t.engines, t.synthesis, 2));
+  }
+
+  const sources = readSources(promptDir);
+  if (sources?.merged?.length) {
+    blocks.push(
+      { heading: "Sources", level: 1 },
+      { markdown: sources.merged.map((s, i) => `${i + 1}. [${(s.title || s.url).replace(/[[\]]/g, "")}](<${s.url}>) — ${s.engines.join(", ")}`).join("\n") },
+    );
+  }
+
+  const engines = meta.engines.filter((e) => e.status === "ok").map((e) => e.engine);
+  const date = (meta.startedAt || "").slice(0, 16).replace("T", " ");
+  return buildDocx({
+    title: meta.query || path.basename(promptDir),
+    subtitle: [date, engines.join(", ")].filter(Boolean).join(" · "),
+    blocks,
+  });
+}
+
+/**
+ * The viewer page printed to PDF by Chrome, in a background tab that is
+ * closed again afterwards.
+ * @returns {Promise<Buffer>}
+ */
+async function exportPdf(promptDir) {
+  const html = exportHtml(promptDir);
+  const { webSocketDebuggerUrl } = await CDP.Version({ host: config.cdpHost, port: config.cdpPort });
+  const browser = await CDP({ target: webSocketDebuggerUrl });
+  let targetId;
+  let client;
+  try {
+    ({ targetId } = await browser.Target.createTarget({ url: "about:blank", background: true }));
+    client = await CDP({ target: targetId, host: config.cdpHost, port: config.cdpPort });
+    const print = async () => {
+      const { frameTree } = await client.Page.getFrameTree();
+      await client.Page.setDocumentContent({ frameId: frameTree.frame.id, html });
+      // Collapsed answers would print as one line each
+      await client.Runtime.evaluate({
+        expression: 'document.querySelectorAll("details").forEach(function (d) { d.open = true; })',
+      });
+      const { data } = await client.Page.printToPDF({ printBackground: true, preferCSSPageSize: true });
+      return Buffer.from(data, "base64");
+    };
+    return await withTimeout(print(), PDF_TIMEOUT, "PDF export");
+  } finally {
+    if (client) try { await client.close(); } catch (_) {}
+    if (targetId) try { await browser.Target.closeTarget({ targetId }); } catch (_) {}
+    try { await browser.close(); } catch (_) {}
+  }
+}
+
+// ---------------------------------------------------------------------------
+// MAIN EXPORT
+// ---------------------------------------------------------------------------
+
+/**
+ * Export a collection.
+ * @param {string} promptDir — absolute path to the response folder
+ * @param {string} format — one of EXPORT_FORMATS
+ * @returns {Promise<{body: string|Buffer, type: string, ext: string}>}
+ */
+async function exportCollection(promptDir, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(", ")})`);
+  if (!readMeta(promptDir)) throw new Error(`Not a collection: ${promptDir}`);
+
+  const body = format === "pdf" ? await exportPdf(promptDir)
+    : format === "html" ? exportHtml(promptDir)
+    : format === "docx" ? exportDocx(promptDir)
+    : exportJson(promptDir);
+  return { body, ...spec };
+}
+
+module.exports = { EXPORT_FORMATS, exportCollection };
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const args = scriptArgs();
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args.splice(i, 2)[1];
+  };
+  const format = flag("--format") || "html";
+  const out = flag("--out");
+  const folder = args[0];
+  if (!folder) {
+    console.error("Usage: node export.js <folder> [--format pdf|html|docx|json] [--out file]");
+    process.exit(1);
+  }
+  const promptDir = path.resolve(config.outputDir, folder);
+
+  exportCollection(promptDir, format)
+    .then(({ body, ext }) => {
+      const outPath = out || path.join(promptDir, `export.${ext}`);
+      fs.writeFileSync(outPath, body);
+      console.log(`  OK  Exported: ${outPath}`);
+    })
+    .catch((err) => {
+      console.error(`FAIL ${err.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,265 @@
+/**
+ * followup.js — Ask a follow-up question in every engine's open conversation.
+ *
+ * Types the follow-up into each engine's conversation tab (the target
+ * recorded in the collection's meta.json), submits it and collects only the
+ * new assistant turn. Results are stored inside the same collection and the
+ * turn is appended to meta.json "turns":
+ *
+ *   responses/<folder>/
+ *     turn-2/
+ *       chatgpt.md       — new assistant turn per engine
+ *       sources.json
+ *       agreement.json   — offline agreement analysis for this turn
+ *       synthesis.md     — synthesis for this turn
+ *
+ * Usage: node followup.js <folder> "your follow-up" [--timeout 90] [--no-synthesis]
+ */
+
+const CDP = require("chrome-remote-interface");
+const fs = require("fs");
+const path = require("path");
+
+const { config, scriptArgs } = require("./config");
+const {
+  extractFromTab,
+  captureNow,
+  saveEngineResponse,
+  synthesisStep,
+} = require("./collect");
+const { submitToTab } = require("./submit");
+const { getEngines } = require("./registry");
+const { matchTabByMessage } = require("./runs");
+const { writeSources, SOURCES_FILE } = require("./sources");
+const { writeAgreement, AGREEMENT_FILE } = require("./agreement");
+const { readMeta, updateMeta, engineEntry } = require("./meta");
+const { generateViewer } = require("./viewer");
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** An engine's newest manifest entry: from the latest turn it answered, else turn 1 */
+function latestEntry(meta, slug) {
+  for (const t of [...(meta.turns || [])].reverse()) {
+    const entry = (t.engines || []).find((e) => e.slug === slug && e.targetId);
+    if (entry) return entry;
+  }
+  return meta.engines.find((e) => e.slug === slug) || null;
+}
+
+/**
+ * Pick the engine's conversation tab: the target recorded in meta.json,
+ * else the tab at the recorded URL, else the tab whose user message matches
+ * the collection's query. Never just any engine tab: the follow-up would be
+ * typed into another conversation.
+ * @returns {Promise<object|null>}
+ */
+async function findConversationTab(targets, engine, entry, query) {
+  const pinned = entry.targetId && targets.find((t) => t.id === entry.targetId);
+  if (pinned) return pinned;
+  const pages = targets.filter((t) => t.type === "page" && engine.urlMatch.test(t.url));
+  const strip = (u) => u.split(/[?#]/)[0].replace(/\/$/, "");
+  const atUrl = entry.url && pages.find((t) => strip(t.url) === strip(entry.url));
+  if (atUrl) return atUrl;
+  return matchTabByMessage(pages, engine, query, { host: config.cdpHost, port: config.cdpPort });
+}
+
+/** Type text into the engine's composer and submit it */
+async function typeAndSubmit(tab, engine, text) {
+  let client;
+  try {
+    client = await CDP({ target: tab, host: config.cdpHost, port: config.cdpPort });
+    const focused = await client.Runtime.evaluate({ expression: engine.inputScript, returnByValue: true });
+    if (focused?.result?.value !== true) throw new Error("input box not found");
+
+    await client.Input.insertText({ text });
+    await sleep(300);
+
+    if (!engine.submitScript) {
+      // No send button script — Enter submits (e.g. Perplexity)
+      const key = { key: "Enter", code: "Enter", windowsVirtualKeyCode: 13 };
+      await client.Input.dispatchKeyEvent({ type: "keyDown", text: "\r", ...key });
+      await client.Input.dispatchKeyEvent({ type: "keyUp", ...key });
+      return;
+    }
+  } finally {
+    if (client) try { await client.close(); } catch (_) {}
+  }
+
+  const sub = await submitToTab(tab, engine, 5);
+  if (sub.status !== "ok") throw new Error(`submit failed: ${sub.result}`);
+}
+
+// ---------------------------------------------------------------------------
+// PIPELINE
+// ---------------------------------------------------------------------------
+
+/**
+ * followUp — ask every engine a follow-up in its existing conversation.
+ * @param {string} folder — collection folder name under responses/
+ * @param {string} text — the follow-up question
+ * @param {object} [opts]
+ * @param {number} [opts.timeout=90] — per-engine timeout in seconds
+ * @param {boolean} [opts.doSynthesize=true] — synthesize this turn
+ * @param {function} [opts.onProgress] — progress callback (event, data)
+ * @returns {Promise<{folderName, turn, turnDir, text, responses[], synthesisFile?}>}
+ */
+async function followUp(folder, text, opts = {}) {
+  const promptDir = path.join(config.outputDir, folder);
+  if (!fs.existsSync(promptDir)) throw new Error(`Folder not found: ${folder}`);
+  text = (text || "").trim();
+  if (!text) throw new Error("text is required");
+
+  const timeout = opts.timeout || config.timeout;
+  const doSynthesize = opts.doSynthesize !== false;
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  const meta = readMeta(promptDir);
+  if (!meta) throw new Error(`Not a collection: ${folder}`);
+  const turns = meta.turns || [];
+  const turn = turns.length ? turns[turns.length - 1].turn + 1 : 2;
+  const turnDirName = `turn-${turn}`;
+  const turnDir = path.join(promptDir, turnDirName);
+  fs.mkdirSync(turnDir, { recursive: true });
+  const startedAt = new Date().toISOString();
+
+  const targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
+  // Only engines that took part in the collection
+  const engines = getEngines().filter((e) => latestEntry(meta, e.slug)?.file);
+  onProgress("started", { query: text, folderName: folder, turn, engines: engines.map((e) => e.name) });
+
+  const timing = new Map();
+  const responses = await Promise.all(
+    engines.map(async (engine) => {
+      const base = { engine: engine.name, slug: engine.slug };
+      const entry = latestEntry(meta, engine.slug);
+      const tab = await findConversationTab(targets, engine, entry, meta.query);
+      let response;
+
+      if (!tab) {
+        response = { ...base, status: "no_tab", text: null };
+      } else if (!engine.inputScript) {
+        response = { ...base, status: "unsupported", text: null };
+      } else {
+        const engineStart = new Date().toISOString();
+        try {
+          const previous = (await captureNow(tab, engine)).text;
+          await typeAndSubmit(tab, engine, text);
+          console.log(`  >>  ${engine.name}: follow-up sent`);
+          const captured = await extractFromTab(tab, engine, timeout, { previous });
+          response = saveEngineResponse(turnDir, engine, tab, text, captured);
+        } catch (err) {
+          console.log(`  FAIL ${engine.name}: ${err.message}`);
+          response = { ...base, status: "failed", text: null, error: err.message };
+        }
+        timing.set(engine.slug, { url: tab.url, targetId: tab.id, startedAt: engineStart, finishedAt: new Date().toISOString() });
+      }
+
+      onProgress("engine_done", { engine: engine.name, status: response.status, chars: response.chars || 0 });
+      return response;
+    })
+  );
+
+  const responseFiles = responses
+    .filter((r) => r.status === "ok")
+    .map((r) => ({ engine: r.engine, path: r.path }));
+  const sourcesPath = writeSources(turnDir, responses);
+  const agreementPath = writeAgreement(turnDir, responseFiles);
+  for (const r of responses) {
+    delete r.path;
+    if (r.sources) {
+      r.sourceCount = r.sources.length;
+      delete r.sources;
+    }
+  }
+
+  const result = { folderName: folder, turn, turnDir: turnDirName, text, responses };
+
+  if (doSynthesize && responseFiles.length >= 2) onProgress("synthesizing", { folderName: folder, turn });
+  const context = [`Turn 1: ${meta.query}`, ...turns.map((t) => `Turn ${t.turn}: ${t.text}`)].join("\n");
+  const synthesis = await synthesisStep(text, responseFiles, turnDir, doSynthesize, {
+    context,
+    // A thread keeps the template its first synthesis used
+    template: meta.synthesis?.template || undefined,
+    onDelta: (delta) => onProgress("synthesis_delta", { folderName: folder, turn, text: delta }),
+  });
+  if (synthesis.status === "ok") result.synthesisFile = `${turnDirName}/${synthesis.file}`;
+
+  updateMeta(promptDir, (m) => ({
+    ...m,
+    turns: [
+      ...(m.turns || []),
+      {
+        turn,
+        text,
+        dir: turnDirName,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        engines: responses.map((r) => engineEntry(r, timing.get(r.slug))),
+        sourcesFile: sourcesPath ? SOURCES_FILE : null,
+        agreementFile: agreementPath ? AGREEMENT_FILE : null,
+        synthesis,
+      },
+    ],
+  }));
+
+  // Regenerate the viewer so it shows the new turn
+  try {
+    generateViewer(promptDir);
+  } catch (err) {
+    console.log(`  !!  Viewer generation failed: ${err.message}`);
+  }
+
+  onProgress("complete", { folderName: folder, query: text, turn, responses });
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// MAIN
+// ---------------------------------------------------------------------------
+
+async function main() {
+  // --timeout is read by config.js
+  const args = scriptArgs();
+  const opts = { timeout: config.timeout, doSynthesize: true };
+  const words = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--no-synthesis") {
+      opts.doSynthesize = false;
+    } else {
+      words.push(args[i]);
+    }
+  }
+
+  const [folder, ...rest] = words;
+  if (!folder || !rest.length) {
+    console.error('Usage: node followup.js <folder> "your follow-up" [--timeout 90] [--no-synthesis]');
+    process.exit(1);
+  }
+
+  console.log(`\nFollow-up in ${folder}\n`);
+  const result = await followUp(folder, rest.join(" "), opts);
+  console.log(`\nDone. Output: ${path.join(config.outputDir, folder, result.turnDir)}\n`);
+}
+
+// ---------------------------------------------------------------------------
+// EXPORTS (for api.js)
+// ---------------------------------------------------------------------------
+module.exports = {
+  followUp,
+};
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Fatal error:", err.message);
+    process.exit(1);
+  });
+}
@@ -1,11 +1,12 @@
 const CDP = require("chrome-remote-interface");
+const { config } = require("./config");
 (async () => {
-  const targets = await CDP.List({ host: "127.0.0.1", port: 9222 });
+  const targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
   const tab = targets.find(t => t.type === "page" && /claude\.ai/.test(t.url));
   if (!tab) { console.log("No Claude tab"); return; }
   let client;
   try {
-    client = await CDP({ target: tab, host: "127.0.0.1", port: 9222 });
+    client = await CDP({ target: tab, host: config.cdpHost, port: config.cdpPort });
 
     // First, try clicking "Show more" if it exists
     await client.Runtime.evaluate({
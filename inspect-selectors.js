@@ -1,13 +1,14 @@
 const CDP = require("chrome-remote-interface");
+const { config } = require("./config");
 (async () => {
-  const targets = await CDP.List({ host: "127.0.0.1", port: 9222 });
+  const targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
   
   // Check Perplexity
   const perp = targets.find(t => t.type === "page" && /perplexity\.ai/.test(t.url));
   if (perp) {
     let client;
     try {
-      client = await CDP({ target: perp, host: "127.0.0.1", port: 9222 });
+      client = await CDP({ target: perp, host: config.cdpHost, port: config.cdpPort });
       const r = await client.Runtime.evaluate({
         expression: `(() => {
           const info = [];
@@ -49,7 +50,7 @@ const CDP = require("chrome-remote-interface");
   if (ais) {
     let client;
     try {
-      client = await CDP({ target: ais, host: "127.0.0.1", port: 9222 });
+      client = await CDP({ target: ais, host: config.cdpHost, port: config.cdpPort });
       const r = await client.Runtime.evaluate({
         expression: `(() => {
           const info = [];
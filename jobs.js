@@ -0,0 +1,164 @@
+/**
+ * jobs.js — In-memory job queue for pipeline runs.
+ *
+ * Searches, collections and follow-ups all drive the one shared Chrome, so
+ * they run one at a time. Each request becomes a job that waits its turn in
+ * a FIFO queue; callers get the job ID immediately and read status,
+ * per-engine progress and the result from getJob().
+ *
+ *   job = { id, type, params, status, position, stage, engines,
+ *           result, error, createdAt, startedAt, finishedAt }
+ *
+ *   status — "queued" | "running" | "done" | "failed"
+ *   stage  — last progress event seen ("opening", "started", "synthesizing", ...)
+ *   engines — { [engine name]: { status, chars } }
+ *
+ * Usage:
+ *   const { enqueueJob, getJob } = require('./jobs');
+ *   const job = enqueueJob("collect", { timeout }, (onProgress) => collectAll({ timeout, onProgress }));
+ */
+
+const crypto = require("crypto");
+
+/** Finished jobs kept in memory for GET /jobs */
+const MAX_FINISHED = 100;
+
+const jobs = new Map();
+const queue = [];
+let running = null;
+let listener = () => {};
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+/** Public view of a job (without its run function) */
+function view(entry) {
+  const { run, ...job } = entry;
+  const position = queue.indexOf(job.id);
+  return { ...job, position: position === -1 ? null : position + 1 };
+}
+
+/** Record a progress event on the job and pass it on to the listener */
+function track(entry, event, data) {
+  // Synthesis chunks are only passed on; the stage stays "synthesizing"
+  if (event !== "synthesis_delta") entry.stage = event;
+  if (Array.isArray(data.engines)) {
+    for (const name of data.engines) {
+      if (!entry.engines[name]) entry.engines[name] = { status: "pending", chars: 0 };
+    }
+  }
+  if (event === "engine_done") {
+    entry.engines[data.engine] = { status: data.status, chars: data.chars || 0 };
+  }
+  listener(event, { ...data, jobId: entry.id });
+}
+
+/** Drop the oldest finished jobs beyond MAX_FINISHED */
+function prune() {
+  const finished = [...jobs.values()].filter((j) => j.status === "done" || j.status === "failed");
+  for (const j of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) jobs.delete(j.id);
+}
+
+// ---------------------------------------------------------------------------
+// QUEUE
+// ---------------------------------------------------------------------------
+
+async function runNext() {
+  if (running || !queue.length) return;
+  const entry = jobs.get(queue.shift());
+  running = entry;
+  entry.status = "running";
+  entry.startedAt = new Date().toISOString();
+  listener("job_started", { jobId: entry.id, jobType: entry.type });
+
+  try {
+    entry.result = await entry.run((event, data) => track(entry, event, data || {}));
+    entry.status = "done";
+  } catch (err) {
+    entry.status = "failed";
+    entry.error = err.message;
+    console.error(`  FAIL Job ${entry.id} (${entry.type}): ${err.message}`);
+    listener("error", { jobId: entry.id, message: err.message });
+  }
+
+  entry.finishedAt = new Date().toISOString();
+  running = null;
+  prune();
+  runNext();
+}
+
+/**
+ * Queue a job.
+ * @param {string} type — job kind ("search", "collect", "followup", "health")
+ * @param {object} params — request parameters, echoed in the job
+ * @param {function} run — async (onProgress) => result
+ * @returns {object} the queued job
+ */
+function enqueueJob(type, params, run) {
+  const entry = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: "queued",
+    stage: null,
+    engines: {},
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    run,
+  };
+  jobs.set(entry.id, entry);
+  queue.push(entry.id);
+  listener("job_queued", { jobId: entry.id, jobType: type, position: queue.length });
+  const job = view(entry);
+  setImmediate(runNext);
+  return job;
+}
+
+/**
+ * Queue a job and wait for it, for callers that answer with its result.
+ * @returns {Promise<any>} its result; rejects with its error
+ */
+function runJob(type, params, run) {
+  return new Promise((resolve, reject) => {
+    enqueueJob(type, params, (onProgress) =>
+      run(onProgress).then(
+        (result) => {
+          resolve(result);
+          return result;
+        },
+        (err) => {
+          reject(err);
+          throw err;
+        }
+      )
+    );
+  });
+}
+
+/** @returns {object|null} job with the given ID */
+function getJob(id) {
+  const entry = jobs.get(id);
+  return entry ? view(entry) : null;
+}
+
+/**
+ * List jobs, newest first.
+ * @param {string} [status] — only jobs with this status
+ */
+function listJobs(status) {
+  return [...jobs.values()]
+    .filter((j) => !status || j.status === status)
+    .reverse()
+    .map(view);
+}
+
+/** Receive every job event (progress events carry a jobId) */
+function setJobListener(fn) {
+  listener = typeof fn === "function" ? fn : () => {};
+}
+
+module.exports = { enqueueJob, runJob, getJob, listJobs, setJobListener };
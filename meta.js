@@ -0,0 +1,337 @@
+/**
+ * meta.js — meta.json manifest for each collection.
+ *
+ * Every collection folder gets a machine-readable manifest so readers
+ * (viewer, dashboard, API, search index, follow-ups) never have to parse
+ * metadata back out of the markdown files or the folder name:
+ *
+ *   meta.json
+ *   {
+ *     "version": 1,
+ *     "folder": "2026-02-19T14-30-00_your-query",
+ *     "query": "your query",
+ *     "startedAt": "...", "finishedAt": "...",
+ *     "engines": [{ engine, slug, status, url, targetId, chars, file,
+ *                   htmlFile, sourceCount, startedAt, finishedAt, durationMs }],
+ *     "sourcesFile": "sources.json" | null,
+ *     "agreementFile": "agreement.json" | null,
+ *     "synthesis": { status, file, provider, model, template, claims,
+ *                    startedAt, finishedAt, durationMs },
+ *     "synthesisVersions": [ synthesis entries, oldest first ],
+ *     "turns": [{ turn, text, dir, startedAt, finishedAt,
+ *                 engines: [...], sourcesFile, agreementFile, synthesis }],
+ *     "title", "tags", "starred", "archived", "deletedAt" — set by the user
+ *                 (see collections.js), absent until then
+ *   }
+ *
+ *   synthesis.status — "ok" | "failed" | "skipped" | "running" (still
+ *   streaming, or the process died mid-way); a failed or running synthesis
+ *   keeps its file when part of the text had already streamed in;
+ *   synthesis.claims — { status, file, count, error } of the claims.json
+ *   extraction that followed it, null when none ran
+ *
+ * Folders written before the manifest existed are migrated by
+ * migrateFolder() (run for all folders with `node meta.js --migrate`, and
+ * automatically when the API starts).
+ *
+ * Usage:
+ *   const { readMeta, writeMeta, readBody } = require('./meta');
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config, scriptArgs } = require("./config");
+const { getEngines } = require("./registry");
+
+const META_FILE = "meta.json";
+const META_VERSION = 1;
+
+// ---------------------------------------------------------------------------
+// READ / WRITE
+// ---------------------------------------------------------------------------
+
+/**
+ * Manifest of a collection. Only reads: a folder without meta.json is not
+ * a collection until migrateFolder() has run on it.
+ * @returns {object|null} parsed meta.json, or null if missing/invalid
+ */
+function readMeta(promptDir) {
+  const filePath = path.join(promptDir, META_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Write meta.json (written to a temp file first so readers never see half of it) */
+function writeMeta(promptDir, meta) {
+  const filePath = path.join(promptDir, META_FILE);
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: META_VERSION, ...meta }, null, 2), "utf-8");
+  fs.renameSync(tmp, filePath);
+  return filePath;
+}
+
+/** Read, change and write back a collection's manifest */
+function updateMeta(promptDir, fn) {
+  const meta = readMeta(promptDir) || { folder: path.basename(promptDir) };
+  const next = fn(meta) || meta;
+  writeMeta(promptDir, next);
+  return next;
+}
+
+/**
+ * A value for a "**Field:** value" line of that header, on one line: a
+ * multi-line query could hold a "---" line and end the header early.
+ */
+function headerValue(text) {
+  return String(text ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Markdown body of a response or synthesis file: everything after the
+ * metadata header, which always ends at the first "---" line.
+ */
+function readBody(mdFile) {
+  const raw = fs.readFileSync(mdFile, "utf-8");
+  const m = raw.match(/^---[ \t]*$/m);
+  return (m ? raw.slice(m.index + m[0].length) : raw).trim();
+}
+
+// ---------------------------------------------------------------------------
+// RECORDS
+// ---------------------------------------------------------------------------
+
+/**
+ * Manifest entry for one engine's response.
+ * @param {object} response — record from saveEngineResponse()
+ * @param {object} [extra] — url, targetId, startedAt, finishedAt
+ */
+function engineEntry(response, extra = {}) {
+  const startedAt = extra.startedAt || null;
+  const finishedAt = extra.finishedAt || null;
+  return {
+    engine: response.engine,
+    slug: response.slug,
+    status: response.status,
+    url: extra.url || null,
+    targetId: extra.targetId || null,
+    chars: response.chars || 0,
+    file: response.status === "ok" || response.status === "failed" ? `${response.slug}.md` : null,
+    htmlFile: response.htmlFile || null,
+    sourceCount: response.sourceCount || 0,
+    startedAt,
+    finishedAt,
+    durationMs: startedAt && finishedAt ? Date.parse(finishedAt) - Date.parse(startedAt) : null,
+  };
+}
+
+/**
+ * Manifest entry for a synthesis run.
+ * @param {object} [extra] — provider and model that wrote it
+ */
+function synthesisEntry(status, file, startedAt, finishedAt, extra = {}) {
+  return {
+    status,
+    file: file || null,
+    provider: extra.provider || null,
+    model: extra.model || null,
+    template: extra.template || null,
+    claims: extra.claims || null,
+    startedAt: startedAt || null,
+    finishedAt: finishedAt || null,
+    durationMs: startedAt && finishedAt ? Date.parse(finishedAt) - Date.parse(startedAt) : null,
+  };
+}
+
+/**
+ * Every synthesis of a collection, oldest first. The current one is
+ * meta.synthesis; collections that were never re-synthesized have no
+ * synthesisVersions yet and just the one.
+ */
+function synthesisVersions(meta) {
+  if (meta.synthesisVersions?.length) return meta.synthesisVersions;
+  return meta.synthesis?.file ? [meta.synthesis] : [];
+}
+
+// ---------------------------------------------------------------------------
+// MIGRATION (folders from before meta.json)
+// ---------------------------------------------------------------------------
+
+/** Header fields (**Key:** value) above the first --- line */
+function readHeader(mdFile) {
+  const raw = fs.readFileSync(mdFile, "utf-8");
+  const m = raw.match(/^---[ \t]*$/m);
+  const head = m ? raw.slice(0, m.index) : "";
+  const fields = {};
+  for (const line of head.split("\n")) {
+    const f = line.match(/^\*\*([\w ]+):\*\*\s*(.*)$/);
+    if (f) fields[f[1].toLowerCase()] = f[2].trim();
+  }
+  return fields;
+}
+
+/** Date encoded in a folder name (2026-02-19T14-30-00_...) as ISO */
+function folderDate(folder) {
+  const m = folder.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})/);
+  return m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}.000Z` : null;
+}
+
+/** Rebuild engine entries from the .md files in one directory */
+function migrateEngines(dir) {
+  const names = Object.fromEntries(getEngines().map((e) => [e.slug, e.name]));
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".md") && f !== "prompt.md" && f !== "synthesis.md")
+    .sort()
+    .map((file) => {
+      const slug = file.replace(/\.md$/, "");
+      const header = readHeader(path.join(dir, file));
+      const body = readBody(path.join(dir, file));
+      const ok = body && body !== "*No response collected*";
+      const htmlFile = `${slug}.raw.html`;
+      return {
+        engine: header.source || names[slug] || slug,
+        slug,
+        status: ok ? "ok" : "failed",
+        url: header.url || null,
+        targetId: null,
+        chars: ok ? body.length : 0,
+        file,
+        htmlFile: fs.existsSync(path.join(dir, htmlFile)) ? htmlFile : null,
+        sourceCount: 0,
+        startedAt: null,
+        finishedAt: header.date || null,
+        durationMs: null,
+      };
+    });
+}
+
+function migrateSynthesis(dir) {
+  const file = path.join(dir, "synthesis.md");
+  if (!fs.existsSync(file)) return synthesisEntry("skipped");
+  return synthesisEntry("ok", "synthesis.md", null, readHeader(file).date || null);
+}
+
+function migrateSourceCounts(dir, engines) {
+  try {
+    const sources = JSON.parse(fs.readFileSync(path.join(dir, "sources.json"), "utf-8"));
+    for (const e of engines) e.sourceCount = (sources.engines?.[e.slug] || []).length;
+    return "sources.json";
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Write meta.json for a folder made before the manifest existed.
+ * @returns {object|null} the new manifest, or null if it isn't a collection
+ */
+function migrateFolder(promptDir) {
+  if (!fs.existsSync(promptDir) || !fs.statSync(promptDir).isDirectory()) return null;
+  const folder = path.basename(promptDir);
+  const promptFile = path.join(promptDir, "prompt.md");
+  const engines = migrateEngines(promptDir);
+  if (!fs.existsSync(promptFile) && !engines.length) return null;
+
+  let query = "";
+  let startedAt = folderDate(folder);
+  if (fs.existsSync(promptFile)) {
+    const md = fs.readFileSync(promptFile, "utf-8");
+    const q = md.match(/^# Query\n\n([\s\S]*?)\n\n\*\*Date:\*\*\s*(.*)$/m);
+    if (q) {
+      query = q[1].trim();
+      startedAt = q[2].trim() || startedAt;
+    }
+  }
+
+  const turns = fs
+    .readdirSync(promptDir)
+    .filter((d) => /^turn-\d+$/.test(d))
+    .map((dir) => {
+      const turnDir = path.join(promptDir, dir);
+      let info = {};
+      try {
+        info = JSON.parse(fs.readFileSync(path.join(turnDir, "turn.json"), "utf-8"));
+      } catch (_) {}
+      const turnEngines = migrateEngines(turnDir);
+      return {
+        turn: info.turn || parseInt(dir.slice(5), 10),
+        text: info.text || "",
+        dir,
+        startedAt: info.date || null,
+        finishedAt: info.date || null,
+        engines: turnEngines,
+        sourcesFile: migrateSourceCounts(turnDir, turnEngines),
+        synthesis: migrateSynthesis(turnDir),
+      };
+    })
+    .sort((a, b) => a.turn - b.turn);
+
+  const finishedAt = engines.map((e) => e.finishedAt).filter(Boolean).sort().pop() || startedAt;
+  const meta = {
+    folder,
+    query,
+    startedAt,
+    finishedAt,
+    engines,
+    sourcesFile: migrateSourceCounts(promptDir, engines),
+    synthesis: migrateSynthesis(promptDir),
+    turns,
+    migrated: true,
+  };
+  writeMeta(promptDir, meta);
+  return readMeta(promptDir);
+}
+
+/**
+ * Give every collection under outputDir a meta.json.
+ * @returns {{migrated: number, skipped: number}}
+ */
+function migrateAll(outputDir = config.outputDir) {
+  let migrated = 0;
+  let skipped = 0;
+  if (!fs.existsSync(outputDir)) return { migrated, skipped };
+  for (const entry of fs.readdirSync(outputDir, { withFileTypes: true })) {
+    // Hidden folders (.trash) are not collections
+    if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+    const dir = path.join(outputDir, entry.name);
+    if (readMeta(dir)) continue;
+    try {
+      if (migrateFolder(dir)) migrated++;
+      else skipped++;
+    } catch (err) {
+      skipped++;
+      console.error(`  !!  Migrate ${entry.name}: ${err.message}`);
+    }
+  }
+  return { migrated, skipped };
+}
+
+module.exports = {
+  META_FILE,
+  readMeta,
+  writeMeta,
+  updateMeta,
+  headerValue,
+  readBody,
+  engineEntry,
+  synthesisEntry,
+  synthesisVersions,
+  migrateFolder,
+  migrateAll,
+};
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  if (!scriptArgs().includes("--migrate")) {
+    console.error("Usage: node meta.js --migrate");
+    process.exit(1);
+  }
+  const { migrated, skipped } = migrateAll();
+  console.log(`  OK  meta.json written for ${migrated} collection(s), ${skipped} skipped`);
+}
@@ -0,0 +1,242 @@
+/**
+ * registry.js — Pluggable AI engine registry.
+ *
+ * Each engine is defined in its own file under engines/ (either a .js module
+ * or a .json document). A definition holds everything the pipeline needs to
+ * drive that engine:
+ *
+ *   name          — display name ("ChatGPT")
+ *   slug          — file-safe id, also the response file name ("chatgpt")
+ *   order         — sort position (optional)
+ *   urlMatch      — RegExp (or regex source string in JSON) matching its tabs
+ *   openUrl       — URL template, {{query}} is replaced by the encoded query
+ *   submitScript  — page expression that clicks send (null = auto-submits)
+ *   inputScript   — page expression that focuses the composer, for typing
+ *                   follow-ups into an open conversation (optional)
+ *   userMessageScript — page expression returning the first user message,
+ *                   used to match tabs to a query (optional)
+ *   extractScript — page expression returning the latest response
+ *   sourcesScript — page expression returning cited sources (optional)
+ *   completion    — "generation finished" rules:
+ *                     finishedScript — page expression, true once the engine
+ *                                      has stopped generating (optional)
+ *                     settleMs       — how long it must stay true (1000)
+ *                     stableChecks   — unchanged polls when there is no
+ *                                      finishedScript (3, or STABLE_CHECKS)
+ *   probe         — readiness check hints for doctor.js (optional):
+ *                     url       — page to load (default: openUrl's site)
+ *                     loggedOut — selector only present when signed out
+ *                     submit    — selector of the send button, which may
+ *                                 only appear once the composer has text
+ *                     banners   — extra { captcha, rateLimit, upgrade }
+ *                                 regexes for the page text
+ *
+ * Definitions are validated on load and hot-reloaded when files change, so a
+ * broken selector can be fixed without restarting or touching core code.
+ *
+ * Usage:
+ *   const { getEngines, getEngine } = require('./registry');
+ *   for (const engine of getEngines()) { ... }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+
+const ENGINES_DIR = path.join(__dirname, "engines");
+
+let engines = null;
+let loadErrors = [];
+let watcher = null;
+
+// ---------------------------------------------------------------------------
+// VALIDATION
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and normalize a raw engine definition.
+ * @param {object} def — raw definition from a .js or .json file
+ * @param {string} file — source file name (for error messages)
+ * @returns {object} normalized engine
+ */
+function normalizeEngine(def, file) {
+  if (!def || typeof def !== "object") {
+    throw new Error(`${file}: definition must export an object`);
+  }
+
+  for (const key of ["name", "slug", "openUrl", "extractScript"]) {
+    if (typeof def[key] !== "string" || !def[key].trim()) {
+      throw new Error(`${file}: "${key}" must be a non-empty string`);
+    }
+  }
+
+  if (!/^[a-z0-9-]+$/.test(def.slug)) {
+    throw new Error(`${file}: "slug" may only contain a-z, 0-9 and "-"`);
+  }
+
+  if (!def.openUrl.includes("{{query}}")) {
+    throw new Error(`${file}: "openUrl" must contain a {{query}} placeholder`);
+  }
+
+  let urlMatch = def.urlMatch;
+  if (typeof urlMatch === "string") {
+    try {
+      urlMatch = new RegExp(urlMatch);
+    } catch (err) {
+      throw new Error(`${file}: "urlMatch" is not a valid regex: ${err.message}`);
+    }
+  }
+  if (!(urlMatch instanceof RegExp)) {
+    throw new Error(`${file}: "urlMatch" must be a RegExp or regex string`);
+  }
+
+  if (def.submitScript != null && typeof def.submitScript !== "string") {
+    throw new Error(`${file}: "submitScript" must be a string or null`);
+  }
+
+  for (const key of ["sourcesScript", "inputScript", "userMessageScript"]) {
+    if (def[key] != null && typeof def[key] !== "string") {
+      throw new Error(`${file}: "${key}" must be a string or null`);
+    }
+  }
+
+  const completion = { stableChecks: config.stableChecks, settleMs: 1000, finishedScript: null, ...(def.completion || {}) };
+  if (!Number.isInteger(completion.stableChecks) || completion.stableChecks < 1) {
+    throw new Error(`${file}: "completion.stableChecks" must be a positive integer`);
+  }
+  if (!Number.isInteger(completion.settleMs) || completion.settleMs < 0) {
+    throw new Error(`${file}: "completion.settleMs" must be a non-negative integer`);
+  }
+  if (completion.finishedScript != null && typeof completion.finishedScript !== "string") {
+    throw new Error(`${file}: "completion.finishedScript" must be a string or null`);
+  }
+
+  const probe = { url: null, loggedOut: null, submit: null, ...(def.probe || {}) };
+  for (const key of ["url", "loggedOut", "submit"]) {
+    if (probe[key] != null && typeof probe[key] !== "string") {
+      throw new Error(`${file}: "probe.${key}" must be a string or null`);
+    }
+  }
+  const banners = {};
+  for (const [kind, pattern] of Object.entries(probe.banners || {})) {
+    if (!["captcha", "rateLimit", "upgrade"].includes(kind)) {
+      throw new Error(`${file}: "probe.banners.${kind}" is not one of captcha, rateLimit, upgrade`);
+    }
+    try {
+      banners[kind] = pattern instanceof RegExp ? pattern : new RegExp(pattern, "i");
+    } catch (err) {
+      throw new Error(`${file}: "probe.banners.${kind}" is not a valid regex: ${err.message}`);
+    }
+  }
+
+  return {
+    ...def,
+    order: Number.isFinite(def.order) ? def.order : 100,
+    urlMatch,
+    submitScript: def.submitScript || null,
+    sourcesScript: def.sourcesScript || null,
+    inputScript: def.inputScript || null,
+    userMessageScript: def.userMessageScript || null,
+    completion,
+    probe: { ...probe, banners },
+    file,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// LOADING
+// ---------------------------------------------------------------------------
+
+function readDefinition(filePath) {
+  if (filePath.endsWith(".json")) {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  }
+  // Drop the cached module so edits are picked up on reload
+  delete require.cache[require.resolve(filePath)];
+  return require(filePath);
+}
+
+/**
+ * (Re)load all engine definitions from engines/.
+ * Invalid files are skipped and reported in getLoadErrors().
+ * @returns {Array<object>} loaded engines, sorted by order then name
+ */
+function loadEngines() {
+  const loaded = [];
+  const errors = [];
+  const seen = new Set();
+
+  const files = fs.existsSync(ENGINES_DIR)
+    ? fs.readdirSync(ENGINES_DIR).filter((f) => /\.(js|json)$/.test(f)).sort()
+    : [];
+
+  for (const file of files) {
+    try {
+      const engine = normalizeEngine(readDefinition(path.join(ENGINES_DIR, file)), file);
+      if (seen.has(engine.slug)) {
+        throw new Error(`${file}: duplicate slug "${engine.slug}"`);
+      }
+      seen.add(engine.slug);
+      loaded.push(engine);
+    } catch (err) {
+      errors.push({ file, error: err.message });
+      console.error(`  !!  Engine ${err.message}`);
+    }
+  }
+
+  loaded.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  engines = loaded;
+  loadErrors = errors;
+  return engines;
+}
+
+/** @returns {Array<object>} current engine definitions (loads on first call) */
+function getEngines() {
+  return engines || loadEngines();
+}
+
+/** @returns {object|undefined} engine with the given slug */
+function getEngine(slug) {
+  return getEngines().find((e) => e.slug === slug);
+}
+
+/** @returns {Array<{file, error}>} problems from the last load */
+function getLoadErrors() {
+  getEngines();
+  return loadErrors;
+}
+
+/** Build the URL that opens a new conversation with the query prefilled */
+function buildOpenUrl(engine, query) {
+  return engine.openUrl.replace(/\{\{query\}\}/g, encodeURIComponent(query));
+}
+
+/**
+ * Watch engines/ and reload on change.
+ * @param {function} [onReload] — called with the new engine list
+ */
+function watchEngines(onReload) {
+  if (watcher || !fs.existsSync(ENGINES_DIR)) return;
+  let timer = null;
+  watcher = fs.watch(ENGINES_DIR, () => {
+    // Editors fire several events per save — debounce them
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const list = loadEngines();
+      console.log(`  OK  Engines reloaded: ${list.map((e) => e.name).join(", ")}`);
+      if (typeof onReload === "function") onReload(list);
+    }, 200);
+  });
+  watcher.unref();
+}
+
+module.exports = {
+  ENGINES_DIR,
+  normalizeEngine,
+  loadEngines,
+  getEngines,
+  getEngine,
+  getLoadErrors,
+  buildOpenUrl,
+  watchEngines,
+};
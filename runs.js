@@ -0,0 +1,168 @@
+/**
+ * runs.js — Which tabs belong to which query.
+ *
+ * Whoever opens or submits engine tabs (search.js, submit.js) records a run:
+ * the query plus the CDP target id used for each engine. The collector then
+ * reads exactly those targets instead of the first tab whose URL matches, so
+ * an older conversation or a second search in parallel can't be picked up by
+ * mistake. Runs are kept in responses/.runs.json so the record survives
+ * between separate processes (node submit.js → node collect.js).
+ *
+ *   run = { id, query, targets: { [slug]: targetId }, source,
+ *           createdAt, collectedAt, folderName }
+ *
+ * When there is no record, matchTabByMessage() picks the tab whose user
+ * message is closest to the query.
+ *
+ * Usage:
+ *   const { recordRun, pendingRun, markCollected } = require('./runs');
+ *   const run = recordRun({ query, targets: { chatgpt: "ABC123" }, source: "search" });
+ */
+
+const CDP = require("chrome-remote-interface");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+
+const RUNS_FILE = path.join(config.outputDir, ".runs.json");
+const MAX_RUNS = 50;
+
+/** A run older than this is not picked up as pending by the collector */
+const PENDING_MAX_AGE = 30 * 60 * 1000;
+
+/** A tab's message must match the query at least this well (0..1) to be collected */
+const MIN_MESSAGE_SCORE = 0.5;
+
+/** Page expression used when an engine has no userMessageScript */
+const PAGE_TEXT_SCRIPT = `document.body ? document.body.innerText.slice(0, 20000) : ""`;
+
+// ---------------------------------------------------------------------------
+// RECORDS
+// ---------------------------------------------------------------------------
+
+function readRuns() {
+  try {
+    const runs = JSON.parse(fs.readFileSync(RUNS_FILE, "utf-8"));
+    return Array.isArray(runs) ? runs : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writeRuns(runs) {
+  fs.mkdirSync(path.dirname(RUNS_FILE), { recursive: true });
+  fs.writeFileSync(RUNS_FILE, JSON.stringify(runs.slice(-MAX_RUNS), null, 2), "utf-8");
+}
+
+/**
+ * Record the tabs a run opened or submitted to.
+ * @param {object} run
+ * @param {string} run.query
+ * @param {object} run.targets — { [engine slug]: targetId }
+ * @param {string} [run.source] — who recorded it ("search", "submit")
+ * @returns {object} the stored run
+ */
+function recordRun({ query, targets, source }) {
+  const run = {
+    id: crypto.randomUUID(),
+    query: query || null,
+    targets: targets || {},
+    source: source || null,
+    createdAt: new Date().toISOString(),
+    collectedAt: null,
+    folderName: null,
+  };
+  writeRuns([...readRuns(), run]);
+  return run;
+}
+
+/** @returns {object|null} the newest recent run that has not been collected yet */
+function pendingRun() {
+  const cutoff = Date.now() - PENDING_MAX_AGE;
+  const runs = readRuns().filter((r) => !r.collectedAt && Date.parse(r.createdAt) >= cutoff);
+  return runs.length ? runs[runs.length - 1] : null;
+}
+
+/** Mark a run as collected into a response folder */
+function markCollected(id, folderName) {
+  const runs = readRuns();
+  const run = runs.find((r) => r.id === id);
+  if (!run) return;
+  run.collectedAt = new Date().toISOString();
+  run.folderName = folderName;
+  writeRuns(runs);
+}
+
+// ---------------------------------------------------------------------------
+// MATCHING BY MESSAGE
+// ---------------------------------------------------------------------------
+
+/** Query parameter an engine's openUrl prefilled (?q= or ?prompt=) */
+function queryFromUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.searchParams.get("q") || u.searchParams.get("prompt") || "";
+  } catch (_) {
+    return "";
+  }
+}
+
+function tokens(text) {
+  return new Set((text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * How well a page's text matches the query, 0..1.
+ * A user message is compared as a whole (Dice); page text only needs to
+ * contain the query's words.
+ */
+function similarity(query, text, wholeMessage) {
+  const q = tokens(query);
+  const t = tokens(text);
+  if (!q.size || !t.size) return 0;
+  let shared = 0;
+  for (const w of q) if (t.has(w)) shared++;
+  return wholeMessage ? (2 * shared) / (q.size + t.size) : shared / q.size;
+}
+
+/**
+ * Pick the engine tab whose user message best matches the query. A lone
+ * tab is checked too: it may still hold an earlier conversation.
+ * @param {Array} candidates — CDP targets matching the engine's urlMatch
+ * @param {object} engine — registry engine definition
+ * @param {string} query
+ * @param {object} cdp — { host, port }
+ * @returns {Promise<object|null>} the best tab, or null if none matches
+ */
+async function matchTabByMessage(candidates, engine, query, cdp) {
+  const expression = engine.userMessageScript || PAGE_TEXT_SCRIPT;
+  let best = null;
+  let bestScore = 0;
+  for (const tab of candidates) {
+    let client;
+    try {
+      client = await CDP({ target: tab, host: cdp.host, port: cdp.port });
+      const r = await client.Runtime.evaluate({ expression, returnByValue: true });
+      const score = similarity(query, r?.result?.value || "", !!engine.userMessageScript);
+      if (score > bestScore) {
+        best = tab;
+        bestScore = score;
+      }
+    } catch (_) {
+      // Tab closed or not scriptable — skip it
+    } finally {
+      if (client) try { await client.close(); } catch (_) {}
+    }
+  }
+  return bestScore >= MIN_MESSAGE_SCORE ? best : null;
+}
+
+module.exports = {
+  RUNS_FILE,
+  recordRun,
+  pendingRun,
+  markCollected,
+  queryFromUrl,
+  matchTabByMessage,
+};
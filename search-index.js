@@ -0,0 +1,315 @@
+/**
+ * search-index.js — Full-text search across saved collections.
+ *
+ * Keeps an in-memory inverted index over every collection in responses/:
+ * the query, each engine's answer, the synthesis and follow-up turns, as
+ * listed in the collection's meta.json. refreshIndex() only re-reads folders
+ * whose files changed, so it is cheap to call before every search and after
+ * each collection lands.
+ *
+ * Results are grouped per collection and ranked with BM25; each match comes
+ * with a snippet where the query terms are wrapped in <mark>.
+ *
+ * Usage:
+ *   const { searchHistory } = require('./search-index');
+ *   searchHistory("rust async runtimes", { engine: "claude", from: "2026-01-01" });
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+const { META_FILE, readMeta, readBody } = require("./meta");
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const SNIPPET_LENGTH = 220;
+const MAX_PREFIX_TERMS = 20;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "was",
+  "one", "our", "out", "has", "have", "how", "its", "this", "that", "with",
+  "what", "from", "they", "will", "would", "there", "their", "which", "into",
+  "is", "of", "to", "in", "it", "on", "as", "an", "a", "be", "by", "or", "at",
+]);
+
+/** docId → { id, folder, file, engine, date, text, length, terms } */
+const docs = new Map();
+/** term → Map(docId → term frequency) */
+const postings = new Map();
+/** folder → signature of its meta.json and files when last indexed */
+const folderSignatures = new Map();
+let totalLength = 0;
+
+// ---------------------------------------------------------------------------
+// TEXT
+// ---------------------------------------------------------------------------
+
+function tokenize(text) {
+  return ((text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (t) => t.length > 1 && !STOPWORDS.has(t)
+  );
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// ---------------------------------------------------------------------------
+// INDEXING
+// ---------------------------------------------------------------------------
+
+/**
+ * Documents of a collection according to its meta.json: the query, every
+ * answer and synthesis, and the same for each follow-up turn.
+ * @returns {Array<{file, engine, text?}>} file is relative to the folder
+ */
+function listDocs(meta) {
+  const out = [{ file: null, engine: "query", text: meta.query || "" }];
+  const addTurn = (dir, engines, synthesis) => {
+    for (const e of engines || []) {
+      if (e.status === "ok" && e.file) out.push({ file: dir ? `${dir}/${e.file}` : e.file, engine: e.slug });
+    }
+    if (synthesis?.file) {
+      out.push({ file: dir ? `${dir}/${synthesis.file}` : synthesis.file, engine: "synthesis" });
+    }
+  };
+  addTurn(null, meta.engines, meta.synthesis);
+  for (const t of meta.turns || []) {
+    out.push({ file: null, engine: "query", text: t.text || "" });
+    addTurn(t.dir, t.engines, t.synthesis);
+  }
+  return out;
+}
+
+function signature(dirPath, files) {
+  return [META_FILE, ...files]
+    .map((f) => {
+      const filePath = path.join(dirPath, f);
+      if (!fs.existsSync(filePath)) return `${f}:missing`;
+      const stat = fs.statSync(filePath);
+      return `${f}:${stat.size}:${stat.mtimeMs}`;
+    })
+    .join("|");
+}
+
+function addDoc(doc) {
+  const counts = new Map();
+  for (const term of tokenize(doc.text)) counts.set(term, (counts.get(term) || 0) + 1);
+  doc.length = [...counts.values()].reduce((a, b) => a + b, 0);
+  doc.terms = [...counts.keys()];
+  for (const [term, tf] of counts) {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(doc.id, tf);
+  }
+  docs.set(doc.id, doc);
+  totalLength += doc.length;
+}
+
+function removeFolder(folder) {
+  for (const doc of [...docs.values()]) {
+    if (doc.folder !== folder) continue;
+    for (const term of doc.terms) {
+      const list = postings.get(term);
+      if (!list) continue;
+      list.delete(doc.id);
+      if (!list.size) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(doc.id);
+  }
+  folderSignatures.delete(folder);
+}
+
+/**
+ * (Re)index one collection if its files changed since it was last indexed.
+ * @returns {boolean} true if the folder was (re)indexed
+ */
+function indexFolder(folder) {
+  const dirPath = path.join(config.outputDir, folder);
+  const meta = fs.existsSync(dirPath) ? readMeta(dirPath) : null;
+  if (!meta) {
+    removeFolder(folder);
+    return false;
+  }
+
+  const entries = listDocs(meta);
+  const sig = signature(dirPath, entries.filter((d) => d.file).map((d) => d.file));
+  if (folderSignatures.get(folder) === sig) return false;
+
+  removeFolder(folder);
+  const date = meta.startedAt ? meta.startedAt.slice(0, 10) : null;
+  entries.forEach((d, i) => {
+    const filePath = d.file && path.join(dirPath, d.file);
+    if (filePath && !fs.existsSync(filePath)) return;
+    const text = filePath ? readBody(filePath) : d.text;
+    addDoc({ id: `${folder}#${i}`, folder, file: d.file, engine: d.engine, date, text });
+  });
+  folderSignatures.set(folder, sig);
+  return true;
+}
+
+/**
+ * Bring the index up to date with responses/: index new or changed
+ * collections and drop deleted ones.
+ * @returns {{indexed: number, removed: number}}
+ */
+function refreshIndex() {
+  const folders = fs.existsSync(config.outputDir)
+    ? fs.readdirSync(config.outputDir, { withFileTypes: true }).filter((e) => e.isDirectory() && !e.name.startsWith(".")).map((e) => e.name)
+    : [];
+  const present = new Set(folders);
+
+  let removed = 0;
+  for (const folder of [...folderSignatures.keys()]) {
+    if (!present.has(folder)) {
+      removeFolder(folder);
+      removed++;
+    }
+  }
+
+  let indexed = 0;
+  for (const folder of folders) {
+    try {
+      if (indexFolder(folder)) indexed++;
+    } catch (err) {
+      console.error(`  !!  Index ${folder}: ${err.message}`);
+    }
+  }
+  return { indexed, removed };
+}
+
+// ---------------------------------------------------------------------------
+// SEARCH
+// ---------------------------------------------------------------------------
+
+/** Query terms; the last one also matches as a prefix (search-as-you-type) */
+function expandTerms(query) {
+  const terms = tokenize(query);
+  if (!terms.length) return [];
+  const expanded = terms.map((t) => [t]);
+  const last = terms[terms.length - 1];
+  const prefixed = [];
+  for (const term of postings.keys()) {
+    if (term !== last && term.startsWith(last)) prefixed.push(term);
+    if (prefixed.length >= MAX_PREFIX_TERMS) break;
+  }
+  expanded[expanded.length - 1].push(...prefixed);
+  return expanded;
+}
+
+/** Snippet around the densest run of matched terms, with <mark> highlights */
+function makeSnippet(text, words) {
+  const flat = text.replace(/\s+/g, " ");
+  const pattern = /[\p{L}\p{N}]+/gu;
+  const hits = [];
+  let m;
+  while ((m = pattern.exec(flat))) {
+    if (words.has(m[0].toLowerCase())) hits.push(m.index);
+  }
+
+  let start = 0;
+  if (hits.length) {
+    // Window that covers the most hits
+    let best = 0;
+    for (let i = 0, j = 0; i < hits.length; i++) {
+      while (hits[i] - hits[j] > SNIPPET_LENGTH * 0.7) j++;
+      if (i - j + 1 > best) {
+        best = i - j + 1;
+        start = hits[j];
+      }
+    }
+    start = Math.max(0, start - 40);
+    const space = flat.lastIndexOf(" ", start);
+    if (start > 0 && space > start - 20) start = space + 1;
+  }
+
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  const slice = flat.slice(start, end);
+  const marked = escapeHtml(slice).replace(/[\p{L}\p{N}]+/gu, (w) =>
+    words.has(w.toLowerCase()) ? `<mark>${w}</mark>` : w
+  );
+  return (start > 0 ? "…" : "") + marked + (end < flat.length ? "…" : "");
+}
+
+/**
+ * Search all collections.
+ * @param {string} query
+ * @param {object} [opts]
+ * @param {string} [opts.engine] — only this engine slug ("synthesis", "query" also work)
+ * @param {string} [opts.from] — earliest collection date (YYYY-MM-DD)
+ * @param {string} [opts.to] — latest collection date (YYYY-MM-DD)
+ * @param {number} [opts.limit=20] — max collections returned
+ * @returns {{query, total, results: Array<{folder, date, score, matches[]}>}}
+ */
+function searchHistory(query, opts = {}) {
+  refreshIndex();
+
+  const groups = expandTerms(query);
+  const limit = opts.limit || 20;
+  if (!groups.length || !docs.size) return { query, total: 0, results: [] };
+
+  const allowed = (doc) =>
+    (!opts.engine || doc.engine === opts.engine) &&
+    (!opts.from || (doc.date && doc.date >= opts.from)) &&
+    (!opts.to || (doc.date && doc.date <= opts.to));
+
+  const N = docs.size;
+  const avgLength = totalLength / N || 1;
+  const scores = new Map();
+  const matched = new Map();
+
+  groups.forEach((group, g) => {
+    for (const term of group) {
+      const list = postings.get(term);
+      if (!list) continue;
+      const idf = Math.log(1 + (N - list.size + 0.5) / (list.size + 0.5));
+      // Prefix expansions count a little less than the typed word itself
+      const weight = term === group[0] ? 1 : 0.6;
+      for (const [docId, tf] of list) {
+        const doc = docs.get(docId);
+        if (!allowed(doc)) continue;
+        const norm = tf + K1 * (1 - B + (B * doc.length) / avgLength);
+        scores.set(docId, (scores.get(docId) || 0) + weight * idf * ((tf * (K1 + 1)) / norm));
+        if (!matched.has(docId)) matched.set(docId, new Set());
+        matched.get(docId).add(g);
+      }
+    }
+  });
+
+  // Documents matching every query word rank above partial matches
+  for (const [docId, groupsHit] of matched) {
+    scores.set(docId, scores.get(docId) * (groupsHit.size / groups.length) ** 2);
+  }
+
+  const words = new Set(groups.flat());
+  const byFolder = new Map();
+  for (const [docId, score] of scores) {
+    const doc = docs.get(docId);
+    if (!byFolder.has(doc.folder)) byFolder.set(doc.folder, []);
+    byFolder.get(doc.folder).push({ doc, score });
+  }
+
+  const results = [...byFolder.entries()].map(([folder, hits]) => {
+    hits.sort((a, b) => b.score - a.score);
+    // A collection ranks by its best match, plus a little for each other one
+    const score = hits[0].score + 0.1 * hits.slice(1).reduce((a, h) => a + h.score, 0);
+    return {
+      folder,
+      date: hits[0].doc.date,
+      score: Math.round(score * 1000) / 1000,
+      matches: hits.slice(0, 5).map((h) => ({
+        file: h.doc.file,
+        engine: h.doc.engine,
+        score: Math.round(h.score * 1000) / 1000,
+        snippet: makeSnippet(h.doc.text, words),
+      })),
+    };
+  });
+
+  results.sort((a, b) => b.score - a.score || b.folder.localeCompare(a.folder));
+  return { query, total: results.length, results: results.slice(0, limit) };
+}
+
+module.exports = { refreshIndex, indexFolder, searchHistory };
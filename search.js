@@ -0,0 +1,210 @@
+/**
+ * search.js — Full pipeline driven from Node: open tabs → submit → collect.
+ *
+ * Opens one tab per registered engine through CDP Target.createTarget using
+ * the engine's openUrl template, waits for each page to load, submits the
+ * prefilled prompt and then runs the regular collector on exactly those
+ * tabs (recorded as a run, see runs.js). This replaces the AHK CdpOpenTab
+ * flow, so it also works on Linux and macOS.
+ *
+ * Usage: node search.js "your query" [--timeout 90] [--wait 5] [--template name] [--no-synthesis]
+ */
+
+const CDP = require("chrome-remote-interface");
+
+const { config, scriptArgs } = require("./config");
+const { collectAll } = require("./collect");
+const { submitToTab } = require("./submit");
+const { getEngines, buildOpenUrl } = require("./registry");
+const { recordRun } = require("./runs");
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+const SUBMIT_RETRY = 15;
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Flags of this script; --timeout, --wait and the other settings are read by config.js */
+function parseArgs() {
+  const args = scriptArgs();
+  const opts = { timeout: config.timeout, wait: config.submitWait, doSynthesize: true, template: null, query: "" };
+  const words = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--template" && args[i + 1]) {
+      opts.template = args[i + 1];
+      i++;
+    } else if (args[i] === "--no-synthesis") {
+      opts.doSynthesize = false;
+    } else {
+      words.push(args[i]);
+    }
+  }
+  opts.query = words.join(" ").trim();
+  return opts;
+}
+
+/**
+ * Open a new tab via the browser-level Target domain.
+ * @returns {Promise<string>} the new target id
+ */
+async function openTab(url) {
+  const { webSocketDebuggerUrl } = await CDP.Version({ host: config.cdpHost, port: config.cdpPort });
+  const browser = await CDP({ target: webSocketDebuggerUrl });
+  try {
+    const { targetId } = await browser.Target.createTarget({ url });
+    return targetId;
+  } finally {
+    try { await browser.close(); } catch (_) {}
+  }
+}
+
+/**
+ * Wait until a tab's document has finished loading.
+ * @returns {Promise<boolean>} false if the page did not load in time
+ */
+async function waitForLoad(targetId, timeoutSec = config.pageLoadTimeout) {
+  const deadline = Date.now() + timeoutSec * 1000;
+  let client;
+  try {
+    client = await CDP({ target: targetId, host: config.cdpHost, port: config.cdpPort });
+    while (Date.now() < deadline) {
+      try {
+        const r = await client.Runtime.evaluate({
+          expression: "document.readyState",
+          returnByValue: true,
+        });
+        if (r?.result?.value === "complete") return true;
+      } catch (_) {
+        // Context is replaced during navigation — just retry
+      }
+      await sleep(500);
+    }
+    return false;
+  } finally {
+    if (client) try { await client.close(); } catch (_) {}
+  }
+}
+
+// ---------------------------------------------------------------------------
+// PIPELINE
+// ---------------------------------------------------------------------------
+
+/**
+ * openAndSubmit — open one tab per engine with the query and submit it.
+ * Engines are handled in parallel; one failing engine doesn't stop the rest.
+ * @param {string} query
+ * @returns {Promise<Array<{engine, slug, targetId, status, result}>>}
+ */
+async function openAndSubmit(query) {
+  return Promise.all(
+    getEngines().map(async (engine) => {
+      let targetId = null;
+      try {
+        targetId = await openTab(buildOpenUrl(engine, query));
+        const loaded = await waitForLoad(targetId);
+        if (!loaded) {
+          return { engine: engine.name, slug: engine.slug, targetId, status: "load_timeout", result: null };
+        }
+        const sub = await submitToTab(targetId, engine, SUBMIT_RETRY);
+        return { ...sub, slug: engine.slug, targetId };
+      } catch (err) {
+        return { engine: engine.name, slug: engine.slug, targetId, status: "error", result: err.message };
+      }
+    })
+  );
+}
+
+/**
+ * runSearch — full pipeline for a query: open tabs, submit, wait, collect.
+ * @param {object} opts
+ * @param {string} opts.query — the question to ask every engine
+ * @param {number} [opts.timeout=90] — per-engine collection timeout in seconds
+ * @param {number} [opts.wait] — seconds to wait after submitting (default: config.submitWait)
+ * @param {boolean} [opts.doSynthesize=true] — run synthesis step
+ * @param {string} [opts.template] — synthesis template (default: picked from the query)
+ * @param {function} [opts.onProgress] — progress callback (event, data)
+ * @returns {Promise<{submitted[], ...collectAll result}>}
+ */
+async function runSearch(opts) {
+  const query = (opts.query || "").trim();
+  if (!query) throw new Error("query is required");
+
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+
+  onProgress("opening", { query, engines: getEngines().map((e) => e.name) });
+  const submitted = await openAndSubmit(query);
+  onProgress("submitted", { submitted });
+
+  // Pin collection to the tabs opened here, not whichever tab matches first
+  const targets = {};
+  for (const s of submitted) if (s.targetId) targets[s.slug] = s.targetId;
+  const run = recordRun({ query, targets, source: "search" });
+
+  await sleep((opts.wait ?? config.submitWait) * 1000);
+
+  const result = await collectAll({
+    query,
+    run,
+    timeout: opts.timeout || config.timeout,
+    doSynthesize: opts.doSynthesize !== false,
+    template: opts.template,
+    onProgress,
+  });
+  return { ...result, submitted };
+}
+
+// ---------------------------------------------------------------------------
+// MAIN
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const opts = parseArgs();
+  if (!opts.query) {
+    console.error('Usage: node search.js "your query" [--timeout 90] [--wait 5] [--template name] [--no-synthesis]');
+    process.exit(1);
+  }
+
+  console.log(`\nClipboard Search`);
+  console.log(`  Query: ${opts.query.slice(0, 80)}\n`);
+
+  const result = await runSearch({
+    ...opts,
+    onProgress: (event, data) => {
+      if (event === "submitted") {
+        for (const s of data.submitted) {
+          console.log(`  ${s.engine}: ${s.status}${s.result ? ` (${s.result})` : ""}`);
+        }
+        console.log("");
+      }
+    },
+  });
+
+  console.log(`\nDone. Output: ${result.promptDir}\n`);
+}
+
+// ---------------------------------------------------------------------------
+// EXPORTS (for api.js)
+// ---------------------------------------------------------------------------
+module.exports = {
+  openTab,
+  waitForLoad,
+  openAndSubmit,
+  runSearch,
+};
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Fatal error:", err.message);
+    process.exit(1);
+  });
+}
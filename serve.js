@@ -0,0 +1,87 @@
+/**
+ * serve.js — Files under the responses folder, served safely.
+ *
+ * Request paths come from the URL, decoded, so they may hold "..", "/",
+ * backslashes or NUL bytes. Every path is resolved against the responses
+ * root and refused unless it stays inside it, symlinks included. Files are
+ * streamed by Express (res.sendFile), which sets the content type from the
+ * extension and handles ETag / If-None-Match, Last-Modified and byte
+ * ranges (Range, If-Range). Files hold what third-party pages and LLMs
+ * produced (<engine>.raw.html is a page's own markup), so everything but
+ * the trusted, generated viewer is sandboxed: shown on its own, no script
+ * in it runs with the API's origin or the dashboard's session.
+ *
+ * Usage:
+ *   const { safeName, resolveInside, serveFile } = require('./serve');
+ *   const filePath = resolveInside(config.outputDir, folder, "followup-1/chatgpt.md");
+ *   if (filePath) serveFile(req, res, next, config.outputDir, filePath);
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// ---------------------------------------------------------------------------
+// PATHS
+// ---------------------------------------------------------------------------
+
+/** Whether `name` is one plain path segment (a folder or file name) */
+function safeName(name) {
+  return typeof name === "string" && !!name && name !== "." && name !== ".." && !/[/\\\0]/.test(name);
+}
+
+/** Whether `target` is `root` or below it */
+function isInside(root, target) {
+  const rel = path.relative(root, target);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+/**
+ * The absolute path of `segments` below `root`, or null when it would leave
+ * `root` (through "..", an absolute path, or a symlink pointing outside) or
+ * names a hidden file. A path that does not exist yet is checked as written.
+ * @param {string} root — absolute path
+ * @param {...string} segments — relative paths, "/" separated
+ * @returns {string|null}
+ */
+function resolveInside(root, ...segments) {
+  if (segments.some((s) => typeof s !== "string" || s.includes("\0"))) return null;
+  const parts = segments.join("/").split(/[/\\]+/).filter(Boolean);
+  if (parts.some((p) => p.startsWith("."))) return null;
+
+  const target = path.resolve(root, ...parts);
+  if (!isInside(root, target)) return null;
+  try {
+    if (!isInside(fs.realpathSync(root), fs.realpathSync(target))) return null;
+  } catch (err) {
+    if (err.code !== "ENOENT") return null;
+  }
+  return target;
+}
+
+// ---------------------------------------------------------------------------
+// SERVING
+// ---------------------------------------------------------------------------
+
+/**
+ * Stream a file (from resolveInside) with its content type, validators and
+ * range support; 404 as JSON when it is not a file.
+ * @param {object} [opts] — { trusted: true for pages this app generated,
+ *   which may run their scripts; anything else is sandboxed }
+ */
+function serveFile(req, res, next, root, filePath, { trusted = false } = {}) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return res.status(404).json({ error: "File not found" });
+  }
+  const headers = { "X-Content-Type-Options": "nosniff", "Cache-Control": "no-cache" };
+  if (!trusted) headers["Content-Security-Policy"] = "sandbox";
+
+  res.sendFile(path.relative(root, filePath), { root, headers, dotfiles: "deny" }, (err) => {
+    if (!err || err.code === "ECONNABORTED" || res.headersSent) return;
+    // The file's content type may already be set (416 keeps its Content-Range)
+    if (err.status === 404) return res.status(404).type("json").json({ error: "File not found" });
+    if (err.status) return res.status(err.status).type("json").json({ error: err.message });
+    next(err);
+  });
+}
+
+module.exports = { safeName, resolveInside, serveFile };
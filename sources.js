@@ -0,0 +1,104 @@
+/**
+ * sources.js — Cited sources per engine → sources.json.
+ *
+ * Each engine's sourcesScript returns the links it cited as
+ * [{ index, title, url }]. This module merges them into one de-duplicated
+ * list recording which engines cited each URL, and saves both views:
+ *
+ *   sources.json
+ *   {
+ *     "engines": { "perplexity": [{ index, title, url }], ... },
+ *     "merged":  [{ url, title, engines: ["Perplexity", ...],
+ *                   citations: [{ engine, index }] }]
+ *   }
+ *
+ * Usage:
+ *   const { writeSources, readSources } = require('./sources');
+ *   writeSources(promptDir, responses);
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCES_FILE = "sources.json";
+
+/** Normalize a URL for de-duplication (drop hash, tracking params, trailing slash) */
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = "";
+    for (const key of [...u.searchParams.keys()]) {
+      if (/^(utm_|ref$|fbclid$|gclid$)/.test(key)) u.searchParams.delete(key);
+    }
+    u.hostname = u.hostname.replace(/^www\./, "").toLowerCase();
+    return u.toString().replace(/\/$/, "");
+  } catch (_) {
+    return url;
+  }
+}
+
+/** True when a title is just the URL's hostname (no real page title) */
+function isBareHost(title, url) {
+  try {
+    const host = new URL(url).hostname;
+    return !title || title === host || title === host.replace(/^www\./, "");
+  } catch (_) {
+    return !title;
+  }
+}
+
+/**
+ * Merge per-engine source lists into one list keyed by normalized URL.
+ * @param {Array<{engine, slug, sources}>} perEngine
+ * @returns {Array<{url, title, engines[], citations[]}>} most-cited first
+ */
+function mergeSources(perEngine) {
+  const byUrl = new Map();
+  for (const { engine, sources } of perEngine) {
+    for (const s of sources || []) {
+      const key = normalizeUrl(s.url);
+      let entry = byUrl.get(key);
+      if (!entry) {
+        entry = { url: s.url, title: s.title, engines: [], citations: [] };
+        byUrl.set(key, entry);
+      }
+      if (!entry.engines.includes(engine)) entry.engines.push(engine);
+      entry.citations.push({ engine, index: s.index ?? null });
+      // Prefer a real title over a bare hostname
+      if (isBareHost(entry.title, entry.url) && !isBareHost(s.title, s.url)) entry.title = s.title;
+    }
+  }
+  return [...byUrl.values()].sort((a, b) => b.engines.length - a.engines.length);
+}
+
+/**
+ * Write sources.json for a collection.
+ * @param {string} promptDir
+ * @param {Array<{engine, slug, sources?}>} responses
+ * @returns {string|null} path written, or null when no engine cited anything
+ */
+function writeSources(promptDir, responses) {
+  const perEngine = responses.filter((r) => r.sources && r.sources.length);
+  if (!perEngine.length) return null;
+
+  const data = {
+    engines: Object.fromEntries(perEngine.map((r) => [r.slug, r.sources])),
+    merged: mergeSources(perEngine),
+  };
+  const filePath = path.join(promptDir, SOURCES_FILE);
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf-8");
+  return filePath;
+}
+
+/** @returns {object|null} parsed sources.json, or null if missing/invalid */
+function readSources(promptDir) {
+  const filePath = path.join(promptDir, SOURCES_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = { SOURCES_FILE, normalizeUrl, mergeSources, writeSources, readSources };
@@ -2,155 +2,143 @@
  * submit.js — Submit prefilled prompts in AI tabs via CDP
  * Usage: node submit.js
  *
- * Finds ChatGPT, AI Studio, and Claude tabs and clicks their submit buttons.
- * Perplexity auto-submits via URL so it's not needed here.
+ * Finds a tab for every engine in the registry that has a submitScript and
+ * runs it. Engines without one (Perplexity) auto-submit via URL. The tabs
+ * and their ?q= query are recorded as a run (runs.js) for the collector.
  */
 
 const CDP = require("chrome-remote-interface");
+const { config } = require("./config");
+const { getEngines } = require("./registry");
+const { recordRun, queryFromUrl } = require("./runs");
 
-const CDP_HOST = "127.0.0.1";
-const CDP_PORT = 9222;
+/** Engines that need a send-button click (the rest auto-submit via URL) */
+function getSubmitters() {
+  return getEngines().filter((e) => e.submitScript);
+}
 
-const SUBMITTERS = [
-  {
-    name: "ChatGPT",
-    urlMatch: /chatgpt\.com/,
-    script: `
-      (() => {
-        const btn = document.querySelector('button[data-testid="send-button"]');
-        if (btn && !btn.disabled) { btn.click(); return 'clicked send-button'; }
-        return 'no send button found or disabled';
-      })()
-    `,
-  },
-  {
-    name: "Google AI Studio",
-    urlMatch: /aistudio\.google\.com/,
-    script: `
-      (() => {
-        // Dismiss any "OK, got it" / Terms dialog first
-        const dismissBtns = document.querySelectorAll('button');
-        for (const b of dismissBtns) {
-          const text = b.innerText.trim().toLowerCase();
-          if (text === 'ok, got it' || text === 'dismiss' || text === 'accept') {
-            b.click();
-          }
-        }
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-        // Small delay then click Run button
-        return new Promise(resolve => {
-          setTimeout(() => {
-            // Find the Run button (contains "Run" text and keyboard_return icon)
-            const buttons = document.querySelectorAll('button');
-            for (const b of buttons) {
-              if (b.innerText.trim().startsWith('Run')) {
-                b.click();
-                resolve('clicked Run button');
-                return;
-              }
-            }
-            resolve('no Run button found');
-          }, 500);
-        });
-      })()
-    `,
-    awaitPromise: true,
-  },
-  {
-    name: "Claude",
-    urlMatch: /claude\.ai/,
-    script: `
-      (() => {
-        const btn = document.querySelector('button[aria-label="Send message"]');
-        if (btn && !btn.disabled) { btn.click(); return 'clicked send-message'; }
-        // Fallback: any button with send in aria-label
-        const fallback = document.querySelector('button[aria-label*="Send"]');
-        if (fallback && !fallback.disabled) { fallback.click(); return 'clicked fallback send'; }
-        return 'no send button found';
-      })()
-    `,
-  },
-];
+/**
+ * Run an engine's submitScript in one tab, retrying until it reports a click.
+ * Freshly opened pages often render the send button before the prefilled
+ * prompt is hydrated, so the first attempt can find it disabled.
+ * @param {object|string} target — CDP target or target id
+ * @param {object} engine — registry engine definition
+ * @param {number} [retryForSec=0] — keep retrying for this many seconds
+ * @returns {Promise<{engine, status, result}>}
+ */
+async function submitToTab(target, engine, retryForSec = 0) {
+  if (!engine.submitScript) {
+    return { engine: engine.name, status: "ok", result: "auto-submits via URL" };
+  }
 
-async function main() {
-  let targets;
+  const deadline = Date.now() + retryForSec * 1000;
+  let client;
   try {
-    targets = await CDP.List({ host: CDP_HOST, port: CDP_PORT });
+    client = await CDP({ target, host: config.cdpHost, port: config.cdpPort });
+    let val = "done";
+    do {
+      const result = await client.Runtime.evaluate({
+        expression: engine.submitScript,
+        returnByValue: true,
+        awaitPromise: true,
+      });
+      val = result?.result?.value || "done";
+      if (/^clicked/.test(val)) break;
+      await sleep(1000);
+    } while (Date.now() < deadline);
+    return { engine: engine.name, status: /^clicked|^done$/.test(val) ? "ok" : "not_submitted", result: val };
   } catch (err) {
-    console.error("Cannot connect to CDP:", err.message);
-    process.exit(1);
+    return { engine: engine.name, status: "error", result: err.message };
+  } finally {
+    if (client) try { await client.close(); } catch (_) {}
   }
+}
+
+/**
+ * An engine's tab opened with a prefilled ?q=, the one with `query` once it
+ * is known. A tab without one is never picked: it holds another conversation.
+ */
+function findPrefilledTab(targets, engine, query) {
+  const tabs = targets.filter((t) => t.type === "page" && engine.urlMatch.test(t.url) && queryFromUrl(t.url));
+  return (query ? tabs.find((t) => queryFromUrl(t.url) === query) : tabs[0]) || null;
+}
+
+/**
+ * submitAll — click submit buttons on all matching AI tabs, then record the
+ * tabs and query as a run so the collector reads exactly these tabs.
+ * @returns {Promise<Array<{engine, status, result}>>}
+ */
+async function submitAll() {
+  const targets = await CDP.List({ host: config.cdpHost, port: config.cdpPort });
+  const results = [];
+  const pinned = {};
+  let query = "";
 
-  for (const sub of SUBMITTERS) {
-    const tab = targets.find(
-      (t) => t.type === "page" && sub.urlMatch.test(t.url)
-    );
+  for (const sub of getSubmitters()) {
+    const tab = findPrefilledTab(targets, sub, query);
     if (!tab) {
-      console.log(`  skip ${sub.name}: no tab found`);
+      results.push({ engine: sub.name, status: "no_tab", result: null });
       continue;
     }
+    query = query || queryFromUrl(tab.url);
+    pinned[sub.slug] = tab.id;
 
     let client;
     try {
-      client = await CDP({ target: tab, host: CDP_HOST, port: CDP_PORT });
+      client = await CDP({ target: tab, host: config.cdpHost, port: config.cdpPort });
       const result = await client.Runtime.evaluate({
-        expression: sub.script,
+        expression: sub.submitScript,
         returnByValue: true,
-        awaitPromise: sub.awaitPromise || false,
+        awaitPromise: true,
       });
-      console.log(`  ${sub.name}: ${result?.result?.value || "done"}`);
+      const val = result?.result?.value || "done";
+      results.push({ engine: sub.name, status: "ok", result: val });
     } catch (err) {
-      console.log(`  ${sub.name}: error - ${err.message}`);
+      results.push({ engine: sub.name, status: "error", result: err.message });
     } finally {
       if (client) try { await client.close(); } catch (_) {}
     }
   }
+
+  // Engines that auto-submit from the URL: the tab opened with the same query
+  for (const engine of getEngines().filter((e) => !e.submitScript)) {
+    const tab = findPrefilledTab(targets, engine, query);
+    if (tab) pinned[engine.slug] = tab.id;
+  }
+
+  if (Object.keys(pinned).length) {
+    recordRun({ query: query || null, targets: pinned, source: "submit" });
+  }
+  return results;
+}
+
+async function main() {
+  let results;
+  try {
+    results = await submitAll();
+  } catch (err) {
+    console.error("Cannot connect to CDP:", err.message);
+    process.exit(1);
+  }
+
+  for (const r of results) {
+    if (r.status === "no_tab") console.log(`  skip ${r.engine}: no tab found`);
+    else if (r.status === "error") console.log(`  ${r.engine}: error - ${r.result}`);
+    else console.log(`  ${r.engine}: ${r.result}`);
+  }
 }
 
 // ---------------------------------------------------------------------------
 // EXPORTS (for api.js)
 // ---------------------------------------------------------------------------
 module.exports = {
-  SUBMITTERS,
-  CDP_HOST,
-  CDP_PORT,
-
-  /**
-   * submitAll — click submit buttons on all matching AI tabs
-   * @returns {Promise<Array<{engine, status, result}>>}
-   */
-  async submitAll() {
-    const targets = await CDP.List({ host: CDP_HOST, port: CDP_PORT });
-    const results = [];
-
-    for (const sub of SUBMITTERS) {
-      const tab = targets.find(
-        (t) => t.type === "page" && sub.urlMatch.test(t.url)
-      );
-      if (!tab) {
-        results.push({ engine: sub.name, status: "no_tab", result: null });
-        continue;
-      }
-
-      let client;
-      try {
-        client = await CDP({ target: tab, host: CDP_HOST, port: CDP_PORT });
-        const result = await client.Runtime.evaluate({
-          expression: sub.script,
-          returnByValue: true,
-          awaitPromise: sub.awaitPromise || false,
-        });
-        const val = result?.result?.value || "done";
-        results.push({ engine: sub.name, status: "ok", result: val });
-      } catch (err) {
-        results.push({ engine: sub.name, status: "error", result: err.message });
-      } finally {
-        if (client) try { await client.close(); } catch (_) {}
-      }
-    }
-
-    return results;
-  },
+  getSubmitters,
+  submitToTab,
+  submitAll,
 };
 
 // ---------------------------------------------------------------------------
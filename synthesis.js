@@ -0,0 +1,481 @@
+/**
+ * synthesis.js — Cross-LLM synthesis through a configurable provider.
+ *
+ * The system prompt comes from a template in templates/ (see templates.js),
+ * picked from the query unless one is requested. A provider turns that
+ * system prompt plus a user prompt into markdown,
+ * streamed: onDelta is called with each chunk as it arrives and the promise
+ * resolves with the full text.
+ *
+ *   provider = { name, defaultModel,
+ *                complete({ system, prompt, model, maxTokens, timeoutMs, onDelta }) → Promise<string> }
+ *
+ * Three are built in:
+ *   anthropic — @anthropic-ai/sdk (needs ANTHROPIC_API_KEY)
+ *   cli       — the `claude` command line tool, prompt passed on stdin
+ *   openai    — any OpenAI-compatible /v1/chat/completions endpoint
+ *               (OpenAI, a local Ollama or llama.cpp server, ...)
+ *
+ * Settings come from config.js (config.json, the environment or .env, or
+ * flags such as --synthesis-provider):
+ *
+ *   SYNTHESIS_PROVIDER    anthropic | cli | openai (default: anthropic when
+ *                         ANTHROPIC_API_KEY is set, openai when
+ *                         OPENAI_BASE_URL is set, otherwise cli)
+ *   SYNTHESIS_MODEL       model name (default depends on the provider)
+ *   SYNTHESIS_MAX_TOKENS  max output tokens (default 8000)
+ *   SYNTHESIS_TIMEOUT     seconds before giving up (default 300)
+ *   SYNTHESIS_MAX_CHARS   per-response input limit; longer answers are cut (default 60000)
+ *   SYNTHESIS_CLAIMS      "off" skips the claims.json extraction (default on)
+ *   CLAUDE_CLI            path of the claude executable (default "claude")
+ *   OPENAI_BASE_URL       e.g. http://localhost:11434/v1 (default https://api.openai.com/v1)
+ *   OPENAI_API_KEY        bearer token for the OpenAI-compatible endpoint
+ *
+ * synthesis.md is written while the text streams in, so an interrupted run
+ * still leaves whatever had arrived on disk. resynthesize() runs it again
+ * over a stored collection and keeps each run as a version under synthesis/.
+ * A successful synthesis is followed by extractClaims(), a second call that
+ * lists the claims in the answers as JSON → claims.json (see claims.js).
+ *
+ * Usage:
+ *   const { synthesize } = require('./synthesis');
+ *   await synthesize(query, [{ engine: "ChatGPT", path: ".../chatgpt.md" }], promptDir, { onDelta });
+ */
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+const { config } = require("./config");
+const { SOURCES_FILE } = require("./sources");
+const { readMeta, updateMeta, headerValue, readBody, synthesisEntry, synthesisVersions } = require("./meta");
+const { generateViewer } = require("./viewer");
+const { getTemplate, pickTemplate, renderTemplate } = require("./templates");
+const { CLAIMS_FILE, CLAIMS_PROMPT, parseClaims, writeClaims } = require("./claims");
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+const SYNTHESIS_FILE = "synthesis.md";
+/** Re-runs are kept side by side in this subfolder: synthesis/<timestamp>-<template>.md */
+const VERSIONS_DIR = "synthesis";
+
+/** Synthesis settings (synthesis* in config.js), with the provider resolved when left on auto */
+function synthesisConfig() {
+  let provider = config.synthesisProvider;
+  if (!provider) {
+    if (config.anthropicApiKey) provider = "anthropic";
+    else if (config.openaiBaseUrl) provider = "openai";
+    else provider = "cli";
+  }
+  return {
+    provider,
+    model: config.synthesisModel.trim() || null,
+    maxTokens: config.synthesisMaxTokens,
+    timeoutMs: config.synthesisTimeout * 1000,
+    maxChars: config.synthesisMaxChars,
+    claims: config.synthesisClaims,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// PROVIDERS
+// ---------------------------------------------------------------------------
+
+const anthropicProvider = {
+  name: "anthropic",
+  defaultModel: "claude-sonnet-4-5",
+  async complete({ system, prompt, model, maxTokens, timeoutMs, onDelta }) {
+    if (!config.anthropicApiKey) throw new Error("ANTHROPIC_API_KEY is not set");
+    const Anthropic = require("@anthropic-ai/sdk");
+    const client = new Anthropic({ apiKey: config.anthropicApiKey, timeout: timeoutMs, maxRetries: 2 });
+    const stream = client.messages.stream({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: "user", content: prompt }],
+    });
+    stream.on("text", (delta) => onDelta(delta));
+    return stream.finalText();
+  },
+};
+
+const cliProvider = {
+  name: "cli",
+  defaultModel: null,
+  complete({ system, prompt, model, timeoutMs, onDelta }) {
+    const args = [
+      "-p",
+      "--output-format", "stream-json",
+      "--verbose",
+      "--include-partial-messages",
+      "--append-system-prompt", system,
+    ];
+    if (model) args.push("--model", model);
+
+    // Strip all Claude Code session vars to avoid nesting detection
+    const env = { ...process.env };
+    for (const key of Object.keys(env)) {
+      if (key.startsWith("CLAUDE")) delete env[key];
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(config.claudeCli, args, { env, stdio: ["pipe", "pipe", "pipe"] });
+      let streamed = "";
+      let result = null;
+      let failure = null;
+      let buffer = "";
+      let stderr = "";
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`claude CLI timed out after ${timeoutMs / 1000}s`));
+      }, timeoutMs);
+
+      // One JSON event per line: text deltas while generating, then the result
+      const handleLine = (line) => {
+        let event;
+        try { event = JSON.parse(line); } catch (_) { return; }
+        const delta = event.type === "stream_event" && event.event?.delta;
+        if (delta?.type === "text_delta" && delta.text) {
+          streamed += delta.text;
+          onDelta(delta.text);
+        } else if (event.type === "result") {
+          if (event.is_error) failure = event.result || event.subtype || "error result";
+          else result = event.result;
+        }
+      };
+      child.stdout.on("data", (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      });
+      child.stderr.on("data", (chunk) => (stderr += chunk));
+      child.on("error", (err) => {
+        clearTimeout(timer);
+        reject(err.code === "ENOENT" ? new Error("claude CLI not found (set CLAUDE_CLI or use another provider)") : err);
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (buffer) handleLine(buffer);
+        if (failure) return reject(new Error(`claude CLI: ${String(failure).slice(0, 300)}`));
+        if (code !== 0) return reject(new Error(`claude CLI exited with code ${code}: ${stderr.trim().slice(0, 300)}`));
+        // Older CLIs don't send partial messages — pass the result on in one piece
+        if (!streamed && result) onDelta(result);
+        resolve(result ?? streamed);
+      });
+      child.stdin.end(prompt);
+    });
+  },
+};
+
+const openaiProvider = {
+  name: "openai",
+  defaultModel: "gpt-4o-mini",
+  async complete({ system, prompt, model, maxTokens, timeoutMs, onDelta }) {
+    const base = (config.openaiBaseUrl || "https://api.openai.com/v1").replace(/\/+$/, "");
+    const headers = { "Content-Type": "application/json" };
+    if (config.openaiApiKey) headers.Authorization = `Bearer ${config.openaiApiKey}`;
+
+    const res = await fetch(`${base}/chat/completions`, {
+      method: "POST",
+      headers,
+      signal: AbortSignal.timeout(timeoutMs),
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        stream: true,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+      }),
+    });
+    if (!res.ok) {
+      const detail = (await res.text()).slice(0, 300);
+      throw new Error(`${base}/chat/completions returned ${res.status}: ${detail}`);
+    }
+
+    // Server-sent events: "data: {chunk}" lines, ending with "data: [DONE]"
+    const decoder = new TextDecoder();
+    let text = "";
+    let buffer = "";
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+        let parsed;
+        try { parsed = JSON.parse(data); } catch (_) { continue; }
+        if (parsed.error) throw new Error(parsed.error.message || JSON.stringify(parsed.error));
+        const delta = parsed.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+    }
+    return text;
+  },
+};
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  cli: cliProvider,
+  openai: openaiProvider,
+};
+
+/** @returns {object} provider by name; throws on unknown names */
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown synthesis provider "${name}" (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return provider;
+}
+
+// ---------------------------------------------------------------------------
+// PROMPT
+// ---------------------------------------------------------------------------
+
+/**
+ * User prompt with every response inlined, plus cited sources when the
+ * folder has a sources.json.
+ * @param {object} [opts] — { context, maxChars, task: what to do with the responses }
+ */
+function buildPrompt(query, responseFiles, promptDir, opts = {}) {
+  const maxChars = opts.maxChars || config.synthesisMaxChars;
+  const task = opts.task || "Please produce a cross-LLM synthesis analysis.";
+  let prompt = `# Original Query\n${query}\n\nThe individual AI responses follow. ${task}`;
+  if (opts.context) {
+    prompt += `\n\n# Conversation So Far\nThis query is a follow-up asked in the same conversations. Earlier turns:\n\n${opts.context}`;
+  }
+
+  for (const r of responseFiles) {
+    let body = readBody(r.path);
+    if (body.length > maxChars) body = `${body.slice(0, maxChars)}\n\n[… truncated at ${maxChars} characters]`;
+    prompt += `\n\n<response engine="${r.engine}">\n${body}\n</response>`;
+  }
+
+  // Cited sources let the synthesis judge which claims are actually backed
+  const sourcesPath = path.join(promptDir, SOURCES_FILE);
+  if (fs.existsSync(sourcesPath)) {
+    prompt += `\n\n<sources>\n${fs.readFileSync(sourcesPath, "utf-8")}\n</sources>\n\nThe sources block is ${SOURCES_FILE}: the sources each engine cited, with title, URL and the footnote number used in its text. Use it to judge which claims are backed by a cited source and which are unsupported.`;
+  }
+  return prompt;
+}
+
+// ---------------------------------------------------------------------------
+// SYNTHESIZE
+// ---------------------------------------------------------------------------
+
+/**
+ * Cross-LLM synthesis of the collected responses → promptDir/synthesis.md
+ * (or opts.file). The file is created with the first chunk and appended to
+ * as the text streams in.
+ * @param {string} query
+ * @param {Array<{engine, path}>} responseFiles
+ * @param {string} promptDir
+ * @param {object} [opts]
+ * @param {string} [opts.context] — earlier conversation, for follow-up turns
+ * @param {string} [opts.provider] — overrides SYNTHESIS_PROVIDER
+ * @param {string} [opts.model] — overrides SYNTHESIS_MODEL
+ * @param {string} [opts.template] — template name (default: picked from the query)
+ * @param {string} [opts.file] — output file relative to promptDir
+ * @param {boolean} [opts.claims] — false skips the claims.json extraction
+ * @param {function} [opts.onDelta] — called with each chunk of text
+ * @returns {Promise<{status, provider, model, template, path, chars, claims, error}>}
+ *   status "ok" or "failed"; path is null when nothing was written; claims
+ *   is extractClaims()'s outcome, null when it didn't run
+ */
+async function synthesize(query, responseFiles, promptDir, opts = {}) {
+  const settings = synthesisConfig();
+  const providerName = opts.provider || settings.provider;
+  const onDelta = typeof opts.onDelta === "function" ? opts.onDelta : () => {};
+  const template = opts.template || pickTemplate(query);
+  const synthesisPath = path.join(promptDir, opts.file || SYNTHESIS_FILE);
+  let model = opts.model || settings.model || null;
+  let fd = null;
+  let chars = 0;
+
+  const header = (providerLabel) => {
+    let md = `# Cross-LLM Synthesis\n\n`;
+    md += `**Query:** ${headerValue(query)}\n`;
+    md += `**Date:** ${new Date().toISOString()}\n`;
+    md += `**Sources:** ${responseFiles.map((r) => r.engine).join(", ")}\n`;
+    md += `**Provider:** ${providerLabel}\n`;
+    md += `**Template:** ${template}\n\n`;
+    md += `---\n\n`;
+    return md;
+  };
+
+  try {
+    const provider = getProvider(providerName);
+    const system = renderTemplate(template, { query, engines: responseFiles.map((r) => r.engine) });
+    model = model || provider.defaultModel;
+    const label = `${provider.name}${model ? ` (${model})` : ""}`;
+    console.log(`\n  Generating cross-LLM synthesis via ${label}...`);
+
+    const prompt = buildPrompt(query, responseFiles, promptDir, { context: opts.context, maxChars: settings.maxChars });
+    await provider.complete({
+      system,
+      prompt,
+      model,
+      maxTokens: settings.maxTokens,
+      timeoutMs: settings.timeoutMs,
+      onDelta: (text) => {
+        // Leading whitespace before the first real text is dropped, like trim() did
+        if (fd === null) {
+          text = text.replace(/^\s+/, "");
+          if (!text) return;
+          fd = fs.openSync(synthesisPath, "w");
+          fs.writeSync(fd, header(label));
+        }
+        fs.writeSync(fd, text);
+        chars += text.length;
+        onDelta(text);
+      },
+    });
+    if (!chars) throw new Error("provider returned an empty synthesis");
+
+    fs.writeSync(fd, "\n");
+    fs.closeSync(fd);
+    console.log(`  OK  Synthesis saved (${chars} chars)`);
+    const claims = opts.claims !== false && settings.claims
+      ? await extractClaims(query, responseFiles, promptDir, { context: opts.context, provider: provider.name, model })
+      : null;
+    return { status: "ok", provider: provider.name, model, template, path: synthesisPath, chars, claims, error: null };
+  } catch (err) {
+    console.error(`  FAIL Synthesis error (${providerName}): ${err.message}`);
+    if (fd !== null) {
+      // Keep what streamed in so far, marked as cut off
+      fs.writeSync(fd, `\n\n> **Synthesis interrupted:** ${err.message}\n`);
+      fs.closeSync(fd);
+    }
+    return {
+      status: "failed",
+      provider: providerName,
+      model,
+      template,
+      path: fd !== null ? synthesisPath : null,
+      chars,
+      error: err.message,
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// CLAIMS
+// ---------------------------------------------------------------------------
+
+/**
+ * Ask the provider for the claims in the answers and save them as
+ * promptDir/claims.json. A failure is reported, not thrown: the synthesis
+ * itself already succeeded, and an earlier claims.json is left in place.
+ * @param {object} [opts] — { context, provider, model }
+ * @returns {Promise<{status, file, count, error}>}
+ */
+async function extractClaims(query, responseFiles, promptDir, opts = {}) {
+  const settings = synthesisConfig();
+  const engines = responseFiles.map((r) => r.engine);
+  try {
+    const provider = getProvider(opts.provider || settings.provider);
+    const model = opts.model || settings.model || provider.defaultModel;
+    console.log(`  Extracting claims via ${provider.name}...`);
+    const prompt = buildPrompt(query, responseFiles, promptDir, {
+      context: opts.context,
+      maxChars: settings.maxChars,
+      task: "List the claims they make as JSON.",
+    });
+    const reply = await provider.complete({
+      system: CLAIMS_PROMPT,
+      prompt,
+      model,
+      maxTokens: settings.maxTokens,
+      timeoutMs: settings.timeoutMs,
+      onDelta: () => {},
+    });
+    const claims = parseClaims(reply, engines);
+    writeClaims(promptDir, { query, engines, provider: provider.name, model, claims });
+    console.log(`  OK  ${claims.length} claims saved to ${CLAIMS_FILE}`);
+    return { status: "ok", file: CLAIMS_FILE, count: claims.length, error: null };
+  } catch (err) {
+    console.error(`  FAIL Claims extraction: ${err.message}`);
+    return { status: "failed", file: null, count: 0, error: err.message };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// VERSIONS
+// ---------------------------------------------------------------------------
+
+/**
+ * Run synthesis again over a collection's stored answers. The result is a
+ * new version under synthesis/ — earlier versions are never overwritten —
+ * and becomes the current synthesis when it succeeds.
+ * @param {string} promptDir — absolute path of the collection
+ * @param {object} [opts]
+ * @param {string} [opts.template] — default: picked from the query
+ * @param {string} [opts.provider]
+ * @param {string} [opts.model]
+ * @param {function} [opts.onProgress] — progress callback (event, data)
+ * @returns {Promise<{folderName, synthesis, current, versions}>}
+ */
+async function resynthesize(promptDir, opts = {}) {
+  const meta = readMeta(promptDir);
+  if (!meta) throw new Error(`Not a collection: ${promptDir}`);
+  const folderName = path.basename(promptDir);
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => {};
+  const template = opts.template || pickTemplate(meta.query);
+  getTemplate(template);
+  if (opts.provider) getProvider(opts.provider);
+
+  const responseFiles = meta.engines
+    .filter((e) => e.status === "ok" && e.file && fs.existsSync(path.join(promptDir, e.file)))
+    .map((e) => ({ engine: e.engine, path: path.join(promptDir, e.file) }));
+  if (responseFiles.length < 2) throw new Error("At least two collected answers are needed for a synthesis");
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  const file = `${VERSIONS_DIR}/${stamp}-${template}.md`;
+  fs.mkdirSync(path.join(promptDir, VERSIONS_DIR), { recursive: true });
+
+  onProgress("synthesizing", { folderName, template });
+  const startedAt = new Date().toISOString();
+  const result = await synthesize(meta.query, responseFiles, promptDir, {
+    file,
+    template,
+    provider: opts.provider,
+    model: opts.model,
+    onDelta: (text) => onProgress("synthesis_delta", { folderName, text }),
+  });
+  const entry = synthesisEntry(result.status, result.path ? file : null, startedAt, new Date().toISOString(), result);
+
+  const next = updateMeta(promptDir, (m) => ({
+    ...m,
+    synthesisVersions: [...synthesisVersions(m), entry],
+    synthesis: entry.status === "ok" ? entry : m.synthesis,
+  }));
+
+  try {
+    generateViewer(promptDir);
+  } catch (err) {
+    console.log(`  !!  Viewer generation failed: ${err.message}`);
+  }
+
+  onProgress("complete", { folderName, synthesis: entry });
+  return { folderName, synthesis: entry, current: next.synthesis, versions: next.synthesisVersions.length };
+}
+
+module.exports = {
+  SYNTHESIS_FILE,
+  VERSIONS_DIR,
+  PROVIDERS,
+  getProvider,
+  synthesisConfig,
+  buildPrompt,
+  synthesize,
+  extractClaims,
+  resynthesize,
+};
@@ -0,0 +1,193 @@
+/**
+ * templates.js — Library of synthesis prompt templates.
+ *
+ * Each template is a markdown file under templates/ whose name (without
+ * .md) is the template id. A small front-matter block describes it; the
+ * rest is the system prompt given to the synthesis provider:
+ *
+ *   ---
+ *   title: Code question
+ *   description: Programming answers: correctness, APIs, versions
+ *   match: \b(code|function|error|python)\b
+ *   priority: 20
+ *   ---
+ *   You compare answers to "{{query}}" from {{engines}} ...
+ *
+ *   match    — case-insensitive regex; a query that matches picks this
+ *              template when none is requested (optional)
+ *   priority — higher wins when several templates match (default 0)
+ *
+ * Variables: {{query}}, {{engines}} (comma-separated engine names) and
+ * {{date}} (YYYY-MM-DD). Files are read on every call, so edits made on
+ * disk or through PUT /templates/:name apply to the next synthesis.
+ *
+ * Usage:
+ *   const { pickTemplate, renderTemplate } = require('./templates');
+ *   const system = renderTemplate(pickTemplate(query), { query, engines: ["ChatGPT", "Claude"] });
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+const DEFAULT_TEMPLATE = "default";
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const HEADER_FIELDS = ["title", "description", "match"];
+
+// ---------------------------------------------------------------------------
+// PARSING
+// ---------------------------------------------------------------------------
+
+/** Split a template file into its front-matter fields and prompt body */
+function parseTemplate(raw, name) {
+  const m = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const fields = {};
+  if (m) {
+    for (const line of m[1].split(/\r?\n/)) {
+      const f = line.match(/^(\w+):\s*(.*)$/);
+      if (f) fields[f[1].toLowerCase()] = f[2].trim();
+    }
+  }
+  const template = {
+    name,
+    title: fields.title || name,
+    description: fields.description || "",
+    match: fields.match || null,
+    priority: parseInt(fields.priority, 10) || 0,
+    body: (m ? raw.slice(m[0].length) : raw).trim(),
+  };
+  validateTemplate(template);
+  return template;
+}
+
+/** Throws when a template can't be used */
+function validateTemplate(template) {
+  if (!NAME_PATTERN.test(template.name)) {
+    throw new Error(`Invalid template name "${template.name}" (lowercase letters, digits and dashes)`);
+  }
+  if (!template.body) throw new Error(`${template.name}: template body is empty`);
+  // Each field is one front-matter line: a newline would end it and start another
+  for (const field of HEADER_FIELDS) {
+    if (/[\u0000-\u001f\u007f]/.test(template[field] || "")) {
+      throw new Error(`${template.name}: ${field} cannot contain newlines or control characters`);
+    }
+  }
+  if (template.match) {
+    try {
+      new RegExp(template.match, "i");
+    } catch (err) {
+      throw new Error(`${template.name}: invalid match pattern: ${err.message}`);
+    }
+  }
+}
+
+function serializeTemplate(template) {
+  const lines = ["---", `title: ${template.title || template.name}`];
+  if (template.description) lines.push(`description: ${template.description}`);
+  if (template.match) lines.push(`match: ${template.match}`);
+  if (template.priority) lines.push(`priority: ${template.priority}`);
+  lines.push("---", "", template.body.trim(), "");
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// LIBRARY
+// ---------------------------------------------------------------------------
+
+/**
+ * Every valid template, sorted by name. Broken files are skipped with a
+ * warning so one bad edit doesn't take synthesis down.
+ */
+function listTemplates() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+  const out = [];
+  for (const file of fs.readdirSync(TEMPLATES_DIR).filter((f) => f.endsWith(".md")).sort()) {
+    try {
+      out.push(parseTemplate(fs.readFileSync(path.join(TEMPLATES_DIR, file), "utf-8"), file.slice(0, -3)));
+    } catch (err) {
+      console.error(`  !!  Template ${file}: ${err.message}`);
+    }
+  }
+  return out;
+}
+
+/** @returns {object} template by name; throws on unknown names */
+function getTemplate(name) {
+  const template = listTemplates().find((t) => t.name === name);
+  if (!template) {
+    const names = listTemplates().map((t) => t.name);
+    throw new Error(`Unknown synthesis template "${name}" (expected ${names.join(", ") || "a file in templates/"})`);
+  }
+  return template;
+}
+
+/**
+ * Template for a query when none was requested: the highest-priority
+ * template whose match pattern fits, else "default".
+ * @returns {string} template name
+ */
+function pickTemplate(query) {
+  const candidates = listTemplates()
+    .filter((t) => t.match && new RegExp(t.match, "i").test(query || ""))
+    .sort((a, b) => b.priority - a.priority || a.name.localeCompare(b.name));
+  return candidates.length ? candidates[0].name : DEFAULT_TEMPLATE;
+}
+
+/**
+ * System prompt of a template with its variables filled in.
+ * @param {string} name
+ * @param {object} vars — { query, engines: string[], date }
+ */
+function renderTemplate(name, vars = {}) {
+  const values = {
+    query: vars.query || "",
+    engines: (vars.engines || []).join(", "),
+    date: vars.date || new Date().toISOString().slice(0, 10),
+  };
+  return getTemplate(name).body.replace(/\{\{\s*(\w+)\s*\}\}/g, (all, key) => (key in values ? values[key] : all));
+}
+
+/**
+ * Create or replace a template.
+ * @param {string} name
+ * @param {object} fields — { title, description, match, priority, body }
+ * @returns {object} the saved template
+ */
+function saveTemplate(name, fields) {
+  for (const field of HEADER_FIELDS) {
+    if (fields[field] != null && typeof fields[field] !== "string") throw new Error(`${field} must be a string`);
+  }
+  const template = {
+    name,
+    title: (fields.title || "").trim() || name,
+    description: (fields.description || "").trim(),
+    match: (fields.match || "").trim() || null,
+    priority: parseInt(fields.priority, 10) || 0,
+    body: (fields.body || "").trim(),
+  };
+  validateTemplate(template);
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  const filePath = path.join(TEMPLATES_DIR, `${name}.md`);
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, serializeTemplate(template), "utf-8");
+  fs.renameSync(tmp, filePath);
+  return template;
+}
+
+/** Remove a template; the default one can't be deleted */
+function deleteTemplate(name) {
+  if (name === DEFAULT_TEMPLATE) throw new Error("The default template can't be deleted");
+  getTemplate(name);
+  fs.unlinkSync(path.join(TEMPLATES_DIR, `${name}.md`));
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  getTemplate,
+  pickTemplate,
+  renderTemplate,
+  saveTemplate,
+  deleteTemplate,
+};
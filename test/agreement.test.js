@@ -0,0 +1,25 @@
+/**
+ * agreement.test.js — entity lists of analyzeAgreement().
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeAgreement } = require("../agreement");
+
+test("a name opening a sentence after a function word matches the bare name", () => {
+  const { entities } = analyzeAgreement([
+    { engine: "ChatGPT", text: "The Tokio runtime schedules tasks on a thread pool. It is widely used." },
+    { engine: "Claude", text: "Most async services use Tokio for scheduling tasks on a thread pool." },
+  ]);
+  assert.deepEqual(entities, []);
+});
+
+test("a name only one engine gives is still reported", () => {
+  const { entities } = analyzeAgreement([
+    { engine: "ChatGPT", text: "The Tokio runtime schedules tasks on a thread pool." },
+    { engine: "Claude", text: "An async runtime schedules tasks on a thread pool, for example async-std." },
+  ]);
+  assert.deepEqual(entities, [{ name: "Tokio", engines: ["ChatGPT"], missing: ["Claude"] }]);
+});
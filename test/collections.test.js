@@ -0,0 +1,77 @@
+/**
+ * collections.test.js — trash and restore in a scratch responses folder.
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readMeta, writeMeta } = require("../meta");
+const { TRASH_DIR, trashCollection, restoreCollection, inTrash, purgeTrash } = require("../collections");
+
+const FOLDER = "2026-01-01T10-00-00_test-query";
+
+function scratch(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cs-collections-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function makeCollection(outputDir, note) {
+  const dir = path.join(outputDir, FOLDER);
+  fs.mkdirSync(dir, { recursive: true });
+  writeMeta(dir, { folder: FOLDER, query: "test query", note });
+  return dir;
+}
+
+test("a deleted collection is restored without its deletedAt", (t) => {
+  const outputDir = scratch(t);
+  const dir = makeCollection(outputDir, "only");
+
+  const { deletedAt } = trashCollection(FOLDER, outputDir);
+  assert.ok(!fs.existsSync(dir));
+  assert.ok(inTrash(FOLDER, outputDir));
+  const [entry] = fs.readdirSync(path.join(outputDir, TRASH_DIR));
+  assert.equal(entry, `${FOLDER}@${deletedAt.replace(/[:.]/g, "-")}`);
+  assert.equal(readMeta(path.join(outputDir, TRASH_DIR, entry)).deletedAt, deletedAt);
+
+  restoreCollection(FOLDER, outputDir);
+  assert.equal(readMeta(dir).deletedAt, undefined);
+  assert.ok(!inTrash(FOLDER, outputDir));
+});
+
+test("deleting a folder again keeps the older copy; restore brings back the newest", async (t) => {
+  const outputDir = scratch(t);
+  makeCollection(outputDir, "first");
+  trashCollection(FOLDER, outputDir);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  makeCollection(outputDir, "second");
+  trashCollection(FOLDER, outputDir);
+  assert.equal(fs.readdirSync(path.join(outputDir, TRASH_DIR)).length, 2);
+
+  restoreCollection(FOLDER, outputDir);
+  assert.equal(readMeta(path.join(outputDir, FOLDER)).note, "second");
+  assert.ok(inTrash(FOLDER, outputDir));
+});
+
+test("a failed move leaves the collection unmarked", (t) => {
+  const outputDir = scratch(t);
+  const dir = makeCollection(outputDir, "stays");
+  // A file where the trash folder should be makes the move fail
+  fs.writeFileSync(path.join(outputDir, TRASH_DIR), "");
+
+  assert.throws(() => trashCollection(FOLDER, outputDir));
+  assert.equal(readMeta(dir).deletedAt, undefined);
+});
+
+test("purgeTrash removes only copies older than the cutoff", (t) => {
+  const outputDir = scratch(t);
+  makeCollection(outputDir, "old");
+  trashCollection(FOLDER, outputDir);
+  assert.equal(purgeTrash(1, outputDir), 0);
+  assert.equal(purgeTrash(0, outputDir), 1);
+  assert.ok(!inTrash(FOLDER, outputDir));
+});
@@ -0,0 +1,31 @@
+/**
+ * config.test.js — command-line flags of loadConfig().
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConfig, checkSetting } = require("../config");
+
+test("a flag's value overrides the default", () => {
+  const { config, sources } = loadConfig({ argv: ["q", "--port", "4000", "--wait=2"], env: {} });
+  assert.equal(config.apiPort, 4000);
+  assert.equal(config.submitWait, 2);
+  assert.equal(sources.apiPort, "flag");
+});
+
+test("a flag given last without a value is an error", () => {
+  assert.throws(() => loadConfig({ argv: ["q", "--port"], env: {} }), /--port needs a value/);
+});
+
+test("an invalid flag value is an error", () => {
+  assert.throws(() => loadConfig({ argv: ["--wait", "abc"], env: {} }), /--wait must be a whole number/);
+});
+
+test("checkSetting applies a setting's rules to other input", () => {
+  assert.deepEqual(checkSetting("submitWait", 3), { value: 3 });
+  assert.match(checkSetting("submitWait", "abc").error, /whole number/);
+  assert.match(checkSetting("timeout", -5).error, /at least 1/);
+  assert.match(checkSetting("timeout", 1e9).error, /at most 3600/);
+});
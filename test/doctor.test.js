@@ -0,0 +1,27 @@
+/**
+ * doctor.test.js — when engineHealth() probes the engines.
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { engineHealth } = require("../doctor");
+
+const REPORT = { checkedAt: new Date().toISOString(), status: "ok", engines: [], errors: [] };
+
+test("a busy check without a last report probes nothing", async () => {
+  let probes = 0;
+  const report = await engineHealth({ busy: true, probe: async () => (probes++, REPORT) });
+  assert.equal(probes, 0);
+  assert.deepEqual(report, { checkedAt: null, status: "busy", engines: [], errors: [], busy: true });
+});
+
+test("a busy refresh returns the last report instead of probing", async () => {
+  let probes = 0;
+  const probe = async () => (probes++, REPORT);
+  assert.equal(await engineHealth({ probe }), REPORT);
+  const report = await engineHealth({ refresh: true, busy: true, probe });
+  assert.equal(probes, 1);
+  assert.deepEqual(report, { ...REPORT, busy: true });
+});
@@ -0,0 +1,90 @@
+/**
+ * dom-to-markdown.test.js — __csCapture on a small stand-in DOM.
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { installDomToMarkdown } = require("../dom-to-markdown");
+
+// ---------------------------------------------------------------------------
+// STAND-IN DOM — just what the converter touches
+// ---------------------------------------------------------------------------
+
+function text(value) {
+  return { nodeType: 3, nodeValue: value, textContent: value };
+}
+
+function el(tag, attrs = {}, ...children) {
+  const node = {
+    nodeType: 1,
+    tagName: tag.toUpperCase(),
+    className: attrs.class || "",
+    childNodes: children,
+    get children() {
+      return children.filter((c) => c.nodeType === 1);
+    },
+    get textContent() {
+      return children.map((c) => c.textContent).join("");
+    },
+    get outerHTML() {
+      return `<${tag}>${children.map((c) => c.outerHTML ?? c.nodeValue).join("")}</${tag}>`;
+    },
+    classList: { contains: (c) => (attrs.class || "").split(/\s+/).includes(c) },
+    getAttribute: (name) => attrs[name] ?? null,
+    querySelectorAll(selector) {
+      const tags = selector.split(",").map((s) => s.trim().toUpperCase());
+      const out = [];
+      const walk = (n) => {
+        for (const c of n.children) {
+          if (tags.includes(c.tagName)) out.push(c);
+          walk(c);
+        }
+      };
+      walk(node);
+      return out;
+    },
+    querySelector(selector) {
+      return node.querySelectorAll(selector)[0] || null;
+    },
+    closest: () => null,
+  };
+  return node;
+}
+
+function capture(root) {
+  global.window = {};
+  installDomToMarkdown();
+  return window.__csCapture(root);
+}
+
+// ---------------------------------------------------------------------------
+// TESTS
+// ---------------------------------------------------------------------------
+
+test("text that looks like HTML is kept as written", () => {
+  const root = el("div", {},
+    el("p", {}, text("Wrap it in a <div> & style it.")),
+    el("p", {}, text("Never render <img src=x onerror=alert(1)> from input.")));
+  const { markdown } = capture(root);
+
+  assert.equal(markdown, [
+    "Wrap it in a <div> & style it.",
+    "Never render <img src=x onerror=alert(1)> from input.",
+  ].join("\n\n"));
+});
+
+test("code keeps its characters as written", () => {
+  const root = el("div", {},
+    el("p", {}, text("Use "), el("code", {}, text("a < b && c")), text(".")),
+    el("pre", {}, el("code", { class: "language-html" }, text("<p>Hi</p>\n"))));
+  const { markdown } = capture(root);
+
+  assert.equal(markdown, "Use `a < b && c`.\n\n```html\n<p>Hi</p>\n```");
+});
+
+test("markdown characters in text are escaped", () => {
+  const { markdown } = capture(el("p", {}, text("2 * 3 = 6, file_name `x`")));
+  assert.equal(markdown, "2 \\* 3 = 6, file\\_name \\`x\\`");
+});
@@ -0,0 +1,28 @@
+/**
+ * meta.test.js — response file headers and readBody().
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { headerValue, readBody } = require("../meta");
+const { saveEngineResponse } = require("../collect");
+
+test("headerValue puts a multi-line value on one line", () => {
+  assert.equal(headerValue("  first line\n---\n\tsecond  "), "first line --- second");
+  assert.equal(headerValue(null), "");
+});
+
+test("a query holding a --- line does not end the header early", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cs-meta-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const engine = { name: "ChatGPT", slug: "chatgpt" };
+  const tab = { url: "https://chatgpt.com/c/1" };
+
+  const response = saveEngineResponse(dir, engine, tab, "Compare these:\n---\nNot the answer", { text: "The answer." });
+  assert.equal(readBody(response.path), "The answer.");
+});
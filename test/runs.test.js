@@ -0,0 +1,48 @@
+/**
+ * runs.test.js — matchTabByMessage() against a stand-in for Chrome.
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Each tab "answers" the user message below instead of a real page
+const messages = {};
+const cdpPath = require.resolve("chrome-remote-interface");
+require.cache[cdpPath] = {
+  id: cdpPath,
+  filename: cdpPath,
+  loaded: true,
+  exports: async ({ target }) => ({
+    Runtime: { evaluate: async () => ({ result: { value: messages[target.id] } }) },
+    close: async () => {},
+  }),
+};
+const { matchTabByMessage } = require("../runs");
+
+const engine = { userMessageScript: "firstUserMessage()" };
+const cdp = { host: "127.0.0.1", port: 9222 };
+const tab = (id, message) => {
+  messages[id] = message;
+  return { id, type: "page", url: `https://chatgpt.com/c/${id}` };
+};
+
+test("the tab whose message matches the query is picked", async () => {
+  const tabs = [tab("a", "best pizza in rome"), tab("b", "how does tokio schedule async tasks")];
+  assert.equal((await matchTabByMessage(tabs, engine, "how does tokio schedule async tasks", cdp)).id, "b");
+});
+
+test("a lone tab from another query is not collected", async () => {
+  const tabs = [tab("c", "best pizza in rome")];
+  assert.equal(await matchTabByMessage(tabs, engine, "how does tokio schedule async tasks", cdp), null);
+});
+
+test("a lone tab with the query is collected", async () => {
+  const tabs = [tab("d", "How does Tokio schedule async tasks?")];
+  assert.equal((await matchTabByMessage(tabs, engine, "how does tokio schedule async tasks", cdp)).id, "d");
+});
+
+test("no tabs, no match", async () => {
+  assert.equal(await matchTabByMessage([], engine, "anything", cdp), null);
+});
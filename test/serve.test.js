@@ -0,0 +1,42 @@
+/**
+ * serve.test.js — headers of served files, through a throwaway Express app.
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { resolveInside, serveFile } = require("../serve");
+
+test("only trusted pages are served without a sandbox", async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "cs-serve-"));
+  fs.writeFileSync(path.join(root, "index.html"), "<h1>Viewer</h1>");
+  fs.writeFileSync(path.join(root, "chatgpt.raw.html"), "<script>alert(1)</script>");
+
+  const app = express();
+  app.get("/*", (req, res, next) => {
+    const filePath = resolveInside(root, req.params[0]);
+    if (!filePath) return res.sendStatus(404);
+    serveFile(req, res, next, root, filePath, { trusted: filePath === path.join(root, "index.html") });
+  });
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const url = (file) => `http://127.0.0.1:${server.address().port}/${file}`;
+
+  const raw = await fetch(url("chatgpt.raw.html"));
+  assert.equal(raw.status, 200);
+  assert.equal(raw.headers.get("content-security-policy"), "sandbox");
+  assert.equal(raw.headers.get("x-content-type-options"), "nosniff");
+
+  const viewer = await fetch(url("index.html"));
+  assert.equal(viewer.status, 200);
+  assert.equal(viewer.headers.get("content-security-policy"), null);
+});
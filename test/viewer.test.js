@@ -0,0 +1,27 @@
+/**
+ * viewer.test.js — renderMarkdown() on answers holding raw HTML.
+ *
+ * Run: npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { renderMarkdown } = require("../viewer");
+
+test("HTML in an answer is shown as text", () => {
+  const html = renderMarkdown("Wrap it in a <div> & never render <img src=x onerror=alert(1)>.\n\n<script>alert(1)</script>");
+  assert.ok(!/<(?:div|img|script)/.test(html), html);
+  assert.match(html, /&lt;div&gt; &amp; never render &lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
+
+test("agreement highlights are kept", () => {
+  const html = renderMarkdown('Tokio is <mark class="agree-unique" title="Only Claude says this">the default</mark>.');
+  assert.match(html, /<mark class="agree-unique" title="Only Claude says this">the default<\/mark>/);
+});
+
+test("only web links are rendered as links", () => {
+  const html = renderMarkdown("[docs](https://tokio.rs) and [click](javascript:alert(1))");
+  assert.match(html, /<a href="https:\/\/tokio.rs">docs<\/a>/);
+  assert.ok(!html.includes("javascript:"), html);
+});
@@ -0,0 +1,426 @@
+/**
+ * vault.js — Collections as notes in an Obsidian or Logseq vault.
+ *
+ * Each collection becomes a small set of linked notes:
+ *
+ *   <date> <query>.md                 parent: query, links to the notes
+ *                                     below, sources, follow-up questions
+ *   <date> <query> - Synthesis.md
+ *   <date> <query> - ChatGPT.md       one per engine that answered
+ *   <date> <query> - Follow-up 1 - Synthesis.md, ... - Claude.md, ...
+ *
+ * Every note starts with YAML frontmatter (query, date, engines, tags, and
+ * for child notes the engine and a link back to the parent) and the notes
+ * link to each other with [[wiki-links]].
+ *
+ *   obsidian — notes go in <vault>/<VAULT_FOLDER>/<date> <query>/
+ *   logseq   — notes go in <vault>/pages/ as namespaced pages
+ *              ("<VAULT_FOLDER>/<date> <query>/ChatGPT"), file names use
+ *              Logseq's "___" namespace separator
+ *
+ * Notes are regenerated when a collection changes. A note edited in the
+ * vault since it was last written is left alone: vault.json in the
+ * collection folder records what was written where.
+ *
+ * Configuration (config.json, .env or --vault-* flags, see config.js):
+ *   VAULT_PATH            vault root; nothing is exported without it
+ *   VAULT_FORMAT          obsidian (default) | logseq
+ *   VAULT_FOLDER          folder / namespace for the notes (default "Clipboard Search")
+ *   VAULT_TAGS            comma-separated tags for every note (default "clipboard-search")
+ *   VAULT_SYNC            on | off — keep the vault in sync while the API runs (default on)
+ *   VAULT_SYNC_INTERVAL   seconds between sync passes (default 30)
+ *
+ * Usage:
+ *   node vault.js [folder ...]        export the given collections (default: all changed)
+ *   node vault.js --watch             keep exporting as collections change
+ *
+ *   const { syncFolder } = require('./vault');
+ *   syncFolder(promptDir);
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { config: settings, scriptArgs } = require("./config");
+const { META_FILE, readMeta, readBody } = require("./meta");
+const { SOURCES_FILE, readSources } = require("./sources");
+
+const VAULT_STATE_FILE = "vault.json";
+const DEFAULT_FOLDER = "Clipboard Search";
+const MAX_TITLE = 60;
+
+let syncTimer = null;
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+
+/** Vault settings (vault* in config.js) */
+function vaultConfig() {
+  const vaultPath = settings.vaultPath.trim();
+  return {
+    path: vaultPath ? path.resolve(vaultPath) : null,
+    format: settings.vaultFormat,
+    folder: settings.vaultFolder.trim().replace(/^\/+|\/+$/g, "") || DEFAULT_FOLDER,
+    tags: settings.vaultTags.split(",").map((t) => tagName(t)).filter(Boolean),
+    sync: settings.vaultSync,
+    interval: settings.vaultSyncInterval,
+  };
+}
+
+/** Vault settings, or an error when they can't be used */
+function checkedConfig() {
+  const config = vaultConfig();
+  if (!config.path) throw new Error("No vault configured (set VAULT_PATH in .env)");
+  if (!fs.existsSync(config.path) || !fs.statSync(config.path).isDirectory()) {
+    throw new Error(`Vault not found: ${config.path}`);
+  }
+  return config;
+}
+
+// ---------------------------------------------------------------------------
+// NAMES AND FRONTMATTER
+// ---------------------------------------------------------------------------
+
+/** A tag as both apps accept it: no spaces or "#" */
+function tagName(text) {
+  return String(text).trim().toLowerCase().replace(/^#/, "").replace(/[^\p{L}\p{N}/_-]+/gu, "-").replace(/^-+|-+$/g, "");
+}
+
+/** Text usable in a note name: no characters either app reserves for links or paths */
+function noteTitle(text) {
+  const clean = String(text).replace(/[\\/:*?"<>|#^[\]{}\n\r\t]+/g, " ").replace(/\s+/g, " ").trim();
+  return clean.length > MAX_TITLE ? `${clean.slice(0, MAX_TITLE).replace(/\s+\S*$/, "")}…` : clean || "Untitled";
+}
+
+/** A YAML value: strings double-quoted (JSON strings are valid YAML), dates bare so they read as dates */
+function yamlValue(value) {
+  if (Array.isArray(value)) return `[${value.map(yamlValue).join(", ")}]`;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  return JSON.stringify(String(value));
+}
+
+function frontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, v]) => v !== null && v !== undefined && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => `${k}: ${yamlValue(v)}`);
+  return `---\n${lines.join("\n")}\n---\n\n`;
+}
+
+/**
+ * Where notes go and how they are linked, for one format.
+ * page(name) is the name other notes link to; file(page) its path in the vault.
+ */
+function layout(config, base) {
+  if (config.format === "logseq") {
+    const page = (name) => `${config.folder}/${base}${name ? `/${name}` : ""}`;
+    return {
+      page,
+      file: (p) => path.join("pages", `${p.split("/").join("___")}.md`),
+      // Logseq shows the full namespace in [[links]]; the label form keeps them short
+      link: (p, label) => (label ? `[${label}]([[${p}]])` : `[[${p}]]`),
+    };
+  }
+  const page = (name) => (name ? `${base} - ${name}` : base);
+  return {
+    page,
+    file: (p) => path.join(config.folder, base, `${p}.md`),
+    link: (p, label) => (label ? `[[${p}|${label}]]` : `[[${p}]]`),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// NOTES
+// ---------------------------------------------------------------------------
+
+/** Markdown of a file in the folder, null if it is missing */
+function bodyOf(dir, file) {
+  const filePath = file && path.join(dir, file);
+  return filePath && fs.existsSync(filePath) ? readBody(filePath) : null;
+}
+
+/**
+ * The notes of one collection.
+ * @returns {Array<{page: string, file: string, content: string}>} parent first
+ */
+function buildNotes(promptDir, meta, config, base) {
+  const { page, file, link } = layout(config, base);
+  const date = (meta.startedAt || "").slice(0, 10) || null;
+  const answered = (engines) => (engines || []).filter((e) => e.status === "ok" && e.file);
+  const engines = answered(meta.engines).map((e) => e.engine);
+  const parent = page(null);
+  const common = {
+    query: meta.query || "",
+    date,
+    engines,
+    source: meta.folder || path.basename(promptDir),
+  };
+  const notes = [];
+  const child = (name, body, fields) => {
+    const p = page(name);
+    notes.push({
+      page: p,
+      file: file(p),
+      content: frontmatter({
+        ...(config.format === "logseq" ? { title: p } : {}),
+        ...common,
+        ...fields,
+        collection: link(parent),
+      }) + `${link(parent, "↑ " + (meta.query ? noteTitle(meta.query) : base))}\n\n${body.trim()}\n`,
+    });
+    return p;
+  };
+
+  // Synthesis and answers of the first question and of each follow-up
+  const turnNotes = (dir, turnEngines, synthesis, prefix, extra) => {
+    const links = [];
+    const synthesisMd = synthesis?.status === "ok" || synthesis?.status === "failed" ? bodyOf(dir, synthesis.file) : null;
+    if (synthesisMd) {
+      const fields = { ...extra, type: "synthesis", provider: synthesis.provider, model: synthesis.model, tags: [...config.tags, "synthesis"] };
+      links.push(link(child(`${prefix}Synthesis`, synthesisMd, fields), "Synthesis"));
+    }
+    for (const e of answered(turnEngines)) {
+      const md = bodyOf(dir, e.file);
+      if (md === null) continue;
+      const fields = { ...extra, type: "response", engine: e.engine, url: e.url, tags: [...config.tags, tagName(e.slug || e.engine)] };
+      links.push(link(child(`${prefix}${noteTitle(e.engine)}`, md, fields), e.engine));
+    }
+    return links;
+  };
+
+  let body = `# ${meta.query ? meta.query.split("\n")[0] : base}\n\n`;
+  if (meta.query && meta.query.includes("\n")) body += `${meta.query.split("\n").map((l) => `> ${l}`).join("\n")}\n\n`;
+  const links = turnNotes(promptDir, meta.engines, meta.synthesis, "", {});
+  if (links.length) body += `## Notes\n\n${links.map((l) => `- ${l}`).join("\n")}\n\n`;
+
+  for (const t of meta.turns || []) {
+    const turnLinks = turnNotes(path.join(promptDir, t.dir), t.engines, t.synthesis, `Follow-up ${t.turn} - `, { turn: t.turn, followup: t.text });
+    body += `## Follow-up ${t.turn}\n\n${t.text}\n\n${turnLinks.map((l) => `- ${l}`).join("\n")}\n\n`;
+  }
+
+  const sources = readSources(promptDir);
+  if (sources?.merged?.length) {
+    const items = sources.merged.map((s) => `- [${(s.title || s.url).replace(/[[\]]/g, "")}](<${s.url}>) — ${s.engines.join(", ")}`);
+    body += `## Sources\n\n${items.join("\n")}\n`;
+  }
+
+  notes.unshift({
+    page: parent,
+    file: file(parent),
+    content: frontmatter({
+      ...(config.format === "logseq" ? { title: parent } : {}),
+      ...common,
+      type: "collection",
+      tags: config.tags,
+    }) + body.trim() + "\n",
+  });
+  return notes;
+}
+
+// ---------------------------------------------------------------------------
+// SYNC
+// ---------------------------------------------------------------------------
+
+function hash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/** @returns {object|null} vault.json of a folder */
+function readState(promptDir) {
+  const filePath = path.join(promptDir, VAULT_STATE_FILE);
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeState(promptDir, state) {
+  const filePath = path.join(promptDir, VAULT_STATE_FILE);
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf-8");
+  fs.renameSync(tmp, filePath);
+}
+
+/** Files a collection's notes are made from, to tell when it changed */
+function signature(promptDir, meta) {
+  const files = [META_FILE, SOURCES_FILE];
+  const add = (dir, engines, synthesis) => {
+    for (const e of engines || []) if (e.file) files.push(dir ? `${dir}/${e.file}` : e.file);
+    if (synthesis?.file) files.push(dir ? `${dir}/${synthesis.file}` : synthesis.file);
+  };
+  add(null, meta.engines, meta.synthesis);
+  for (const t of meta.turns || []) add(t.dir, t.engines, t.synthesis);
+  return files
+    .map((f) => {
+      const filePath = path.join(promptDir, f);
+      if (!fs.existsSync(filePath)) return `${f}:missing`;
+      const stat = fs.statSync(filePath);
+      return `${f}:${stat.size}:${stat.mtimeMs}`;
+    })
+    .join("|");
+}
+
+/**
+ * Base note name of a collection: "<date> <query>", with " (2)" etc. when
+ * another collection already has that name in the vault.
+ */
+function baseName(config, meta, folder, state) {
+  if (state?.base && state.vault === config.path && state.format === config.format) return state.base;
+  const stem = noteTitle(`${(meta.startedAt || "").slice(0, 10)} ${meta.query || folder}`);
+  for (let n = 1; ; n++) {
+    const base = n === 1 ? stem : `${stem} (${n})`;
+    const { page, file } = layout(config, base);
+    const parentPath = path.join(config.path, file(page(null)));
+    if (!fs.existsSync(parentPath) || fs.readFileSync(parentPath, "utf-8").includes(`source: ${yamlValue(folder)}`)) return base;
+  }
+}
+
+/**
+ * Write a collection's notes into the vault.
+ * @param {string} promptDir — absolute path to the response folder
+ * @param {object} [opts]
+ * @param {boolean} [opts.force] — rewrite even when nothing changed since the last export
+ * @returns {{status: "ok"|"unchanged", base?: string, written?: number, kept?: string[]}}
+ */
+function syncFolder(promptDir, opts = {}) {
+  const config = checkedConfig();
+  const meta = readMeta(promptDir);
+  if (!meta) throw new Error(`Not a collection: ${promptDir}`);
+
+  const folder = path.basename(promptDir);
+  const state = readState(promptDir);
+  const sameTarget = state && state.vault === config.path && state.format === config.format && state.folder === config.folder;
+  const sig = signature(promptDir, meta);
+  if (!opts.force && sameTarget && state.signature === sig) return { status: "unchanged", base: state.base };
+
+  const base = baseName(config, meta, folder, sameTarget ? state : null);
+  const previous = sameTarget ? state.notes || {} : {};
+  const notes = {};
+  const kept = [];
+  let written = 0;
+  for (const note of buildNotes(promptDir, meta, config, base)) {
+    const target = path.join(config.path, note.file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, "utf-8") : null;
+    // Edited in the vault since we wrote it (or never ours): leave it alone
+    if (current !== null && hash(current) !== previous[note.file] && (previous[note.file] || !current.includes(`source: ${yamlValue(folder)}`))) {
+      kept.push(note.file);
+      notes[note.file] = previous[note.file];
+      continue;
+    }
+    if (current !== note.content) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, note.content, "utf-8");
+      written++;
+    }
+    notes[note.file] = hash(note.content);
+  }
+
+  writeState(promptDir, {
+    vault: config.path,
+    format: config.format,
+    folder: config.folder,
+    base,
+    signature: sig,
+    syncedAt: new Date().toISOString(),
+    notes,
+  });
+  for (const file of kept) console.log(`  !!  Vault note edited since last export, kept: ${file}`);
+  return { status: "ok", base, written, kept };
+}
+
+/**
+ * Export every collection that changed since its last export.
+ * @returns {{synced: number, failed: number}}
+ */
+function syncAll() {
+  checkedConfig();
+  const folders = fs.existsSync(settings.outputDir)
+    ? fs.readdirSync(settings.outputDir, { withFileTypes: true }).filter((e) => e.isDirectory() && !e.name.startsWith(".")).map((e) => e.name)
+    : [];
+  let synced = 0;
+  let failed = 0;
+  for (const folder of folders) {
+    const promptDir = path.join(settings.outputDir, folder);
+    if (!fs.existsSync(path.join(promptDir, META_FILE))) continue;
+    try {
+      const result = syncFolder(promptDir);
+      if (result.status === "ok") {
+        synced++;
+        console.log(`  OK  Vault: ${result.base} (${result.written} note(s) written)`);
+      }
+    } catch (err) {
+      failed++;
+      console.error(`  !!  Vault ${folder}: ${err.message}`);
+    }
+  }
+  return { synced, failed };
+}
+
+/**
+ * Keep the vault in sync: a pass now and then every VAULT_SYNC_INTERVAL
+ * seconds. Does nothing without VAULT_PATH or with VAULT_SYNC=off.
+ * @returns {boolean} whether syncing started
+ */
+function startVaultSync() {
+  const config = vaultConfig();
+  if (syncTimer || !config.path || !config.sync) return false;
+  try {
+    checkedConfig();
+  } catch (err) {
+    console.error(`  !!  Vault sync off: ${err.message}`);
+    return false;
+  }
+  const pass = () => {
+    try {
+      syncAll();
+    } catch (err) {
+      console.error(`  !!  Vault sync: ${err.message}`);
+    }
+  };
+  pass();
+  syncTimer = setInterval(pass, config.interval * 1000);
+  syncTimer.unref();
+  return true;
+}
+
+module.exports = {
+  VAULT_STATE_FILE,
+  vaultConfig,
+  buildNotes,
+  syncFolder,
+  syncAll,
+  startVaultSync,
+};
+
+// ---------------------------------------------------------------------------
+// CLI ENTRYPOINT
+// ---------------------------------------------------------------------------
+if (require.main === module) {
+  const args = scriptArgs();
+  const watch = args.includes("--watch");
+  const folders = args.filter((a) => !a.startsWith("--"));
+  try {
+    const config = checkedConfig();
+    console.log(`\nVault export (${config.format}): ${config.path}\n`);
+    if (folders.length) {
+      for (const folder of folders) {
+        const result = syncFolder(path.resolve(settings.outputDir, folder), { force: true });
+        console.log(`  OK  Vault: ${result.base} (${result.written} note(s) written)`);
+      }
+    } else {
+      const { synced } = syncAll();
+      console.log(`\n  ${synced} collection(s) exported`);
+    }
+    if (watch) {
+      console.log(`  Watching for changes every ${config.interval}s (Ctrl+C to stop)`);
+      setInterval(syncAll, config.interval * 1000);
+    }
+  } catch (err) {
+    console.error(`FAIL ${err.message}`);
+    process.exit(1);
+  }
+}
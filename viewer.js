@@ -2,142 +2,217 @@
  * viewer.js — Generates an index.html results viewer for each response collection.
  *
  * Features:
- *   - Rendered synthesis markdown
- *   - Next-steps cards extracted from synthesis sections
- *   - Collapsible individual engine responses
+ *   - Rendered synthesis markdown, with a version picker and diff once a
+ *     collection has been re-synthesized
+ *   - Sortable claims × engines agreement matrix (from claims.json)
+ *   - Offline agreement analysis (from agreement.json): overlap between
+ *     engines, differing figures, and unique statements highlighted inline
+ *   - Collapsible individual engine responses, or side by side in columns
+ *     aligned by heading, with a word diff between any two
+ *   - Merged, de-duplicated cited sources (from sources.json)
+ *   - Threaded follow-up turns (turn-N/), each with its own synthesis
  *   - Dark theme, responsive layout
  *
  * Usage:
  *   const { generateViewer } = require('./viewer');
- *   await generateViewer(promptDir, query, responses, synthesisPath);
+ *   generateViewer(promptDir);   // reads promptDir/meta.json
  */
 
 const fs = require("fs");
 const path = require("path");
-const { marked } = require("marked");
+const { Marked } = require("marked");
+const { readSources } = require("./sources");
+const { readMeta, readBody, synthesisVersions } = require("./meta");
+const { DIFF_SCRIPT } = require("./diff");
+const { readClaims, claimsTable, CLAIMS_SCRIPT, CLAIMS_CSS } = require("./claims");
+const { readAgreement, highlightAnswer } = require("./agreement");
+const { compareHost, COMPARE_SCRIPT, COMPARE_CSS } = require("./compare");
 
 // ---------------------------------------------------------------------------
-// NEXT-STEPS EXTRACTION
+// HTML GENERATION
 // ---------------------------------------------------------------------------
 
-/**
- * Extract actionable items from synthesis markdown sections.
- * Looks for Divergences, Gaps, and Recommendations/Approach sections
- * and pulls out bullet points and table rows.
- */
-function extractNextSteps(synthesisMarkdown) {
-  if (!synthesisMarkdown) return [];
-
-  const steps = [];
-  const lines = synthesisMarkdown.split("\n");
-
-  // Section patterns (flexible to match numbered or unnumbered headings)
-  const sectionPatterns = [
-    { pattern: /^#{1,3}\s*\d*\.?\s*(?:divergen|unique\s+claim|unique\s+contribution)/i, type: "investigate", label: "Investigate" },
-    { pattern: /^#{1,3}\s*\d*\.?\s*(?:gap|coverage\s+gap|what\s+no\s+engine)/i, type: "research", label: "Research" },
-    { pattern: /^#{1,3}\s*\d*\.?\s*(?:recommend|strategic|approach|next\s+step|action)/i, type: "implement", label: "Implement" },
-    { pattern: /^#{1,3}\s*\d*\.?\s*(?:fact.?check|verification)/i, type: "investigate", label: "Verify" },
-  ];
-
-  let currentType = null;
-  let currentLabel = null;
+/** Claims × engines matrix from claims.json; empty when there is none */
+function renderClaims(dir, heading = "h2") {
+  const doc = readClaims(dir);
+  if (!doc || !doc.claims.length) return "";
+  return `
+    <section class="claims">
+      <${heading}>Claims <span class="meta">(${doc.claims.length})</span></${heading}>
+      ${claimsTable(doc)}
+    </section>`;
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+function renderSources(sources) {
+  if (!sources || !sources.merged || !sources.merged.length) return "";
+
+  const items = sources.merged
+    .map((s) => {
+      let host = s.url;
+      try { host = new URL(s.url).hostname.replace(/^www\./, ""); } catch (_) {}
+      const cites = s.citations
+        .map((c) => `${escapeHtml(c.engine)}${c.index != null ? ` [${c.index}]` : ""}`)
+        .map((label) => `<span class="engine-tag">${label}</span>`)
+        .join("");
+      return `
+      <li>
+        <a href="${escapeHtml(s.url)}" target="_blank" rel="noopener">${escapeHtml(s.title || host)}</a>
+        <span class="source-host">${escapeHtml(host)}</span>
+        <span class="source-engines">${cites}</span>
+      </li>`;
+    })
+    .join("");
 
-    // Check if we're entering a new section
-    const sectionMatch = sectionPatterns.find((s) => s.pattern.test(line));
-    if (sectionMatch) {
-      currentType = sectionMatch.type;
-      currentLabel = sectionMatch.label;
-      continue;
-    }
+  return `
+    <section class="sources">
+      <h2>Sources <span class="meta">(${sources.merged.length})</span></h2>
+      <ol class="source-list">${items}</ol>
+    </section>`;
+}
 
-    // Reset on any other heading
-    if (/^#{1,3}\s+/.test(line) && currentType) {
-      // Check if it's a subsection (###) — keep the current type
-      if (/^###\s+/.test(line) && !/^##\s+/.test(line)) continue;
-      if (/^#{1,2}\s+/.test(line)) {
-        currentType = null;
-        currentLabel = null;
-        continue;
-      }
-    }
+/**
+ * Overlap between engines, figures they disagree on and names only some
+ * of them mention, from agreement.json; empty when there is none.
+ */
+function renderAgreement(dir, heading = "h2") {
+  const doc = readAgreement(dir);
+  if (!doc || !doc.pairs) return "";
+
+  const pairs = doc.pairs
+    .map((p) => `<li>${escapeHtml(p.a)} ↔ ${escapeHtml(p.b)} <span class="overlap">${Math.round(p.score * 100)}%</span></li>`)
+    .join("");
+  const summary = doc.summary
+    .map((s) => `<li>${escapeHtml(s.engine)}: ${s.shared}/${s.sentences} statements shared, <mark class="agree-unique">${s.unique} unique</mark></li>`)
+    .join("");
+  const conflicts = doc.conflicts
+    .map((c) => `
+        <li><span class="meta">${c.kind}</span> ${escapeHtml(c.context)}
+          <div>${c.values.map((v) => `<span class="figure">${escapeHtml(v.engine)}: <mark class="agree-conflict">${escapeHtml(v.value)}</mark></span>`).join("")}</div></li>`)
+    .join("");
+  const entities = doc.entities
+    .map((e) => `<span class="entity" title="Not mentioned by ${escapeHtml(e.missing.join(", "))}">${escapeHtml(e.name)} <span class="meta">${escapeHtml(e.engines.join(", "))}</span></span>`)
+    .join("");
 
-    if (!currentType) continue;
-
-    // Extract bullet points
-    const bulletMatch = line.match(/^\s*[-*]\s+\*?\*?(.+)/);
-    if (bulletMatch) {
-      const text = bulletMatch[1]
-        .replace(/\*\*/g, "")
-        .replace(/\*$/g, "")
-        .replace(/^\s+|\s+$/g, "");
-      if (text.length > 10) {
-        steps.push({ type: currentType, label: currentLabel, text });
-      }
-      continue;
-    }
+  return `
+    <section class="agreement">
+      <${heading}>Agreement <span class="meta">(offline, by word overlap)</span></${heading}>
+      <div class="agreement-grid">
+        <ul>${pairs}</ul>
+        <ul>${summary}</ul>
+      </div>
+      ${conflicts ? `<h4>Differing figures</h4><ul class="conflicts">${conflicts}</ul>` : ""}
+      ${entities ? `<h4>Names only some engines mention</h4><div class="entities">${entities}</div>` : ""}
+    </section>`;
+}
 
-    // Extract numbered list items
-    const numberedMatch = line.match(/^\s*\d+\.\s+\*?\*?(.+)/);
-    if (numberedMatch) {
-      const text = numberedMatch[1]
-        .replace(/\*\*/g, "")
-        .replace(/\*$/g, "")
-        .replace(/^\s+|\s+$/g, "");
-      if (text.length > 10) {
-        steps.push({ type: currentType, label: currentLabel, text });
-      }
-      continue;
-    }
+/**
+ * The answers of the engines that answered, from meta.json entries: an
+ * accordion each, with statements only one engine makes and differing
+ * figures highlighted, plus the side-by-side view when there are two or more.
+ */
+function renderPanels(dir, engines) {
+  const agreement = readAgreement(dir);
+  const answers = engines
+    .filter((e) => e.status === "ok" && e.file && fs.existsSync(path.join(dir, e.file)))
+    .map((e) => ({ entry: e, engine: e.engine, md: readBody(path.join(dir, e.file)) }));
+  const panels = answers.map(({ entry, md }) => `
+    <details>
+      <summary>${escapeHtml(entry.engine)} <span class="meta">(${entry.chars || "?"} chars)</span></summary>
+      <div class="panel-content">${renderMarkdown(agreement ? highlightAnswer(md, agreement, entry.engine) : md)}</div>
+    </details>`);
+  return panels.length ? compareHost(panels.join("\n"), answers, renderMarkdown) : "";
+}
 
-    // Extract table rows (skip header and separator rows)
-    const tableMatch = line.match(/^\|(.+)\|$/);
-    if (tableMatch && !/^[\s|:-]+$/.test(tableMatch[1])) {
-      const cells = tableMatch[1].split("|").map((c) => c.trim());
-      // Skip header rows (first cell is typically a heading keyword)
-      if (cells[0] && !/^(rank|approach|method|topic|point|claim|engine)/i.test(cells[0])) {
-        const text = cells.filter((c) => c && c.length > 3).join(" — ").replace(/\*\*/g, "");
-        if (text.length > 10) {
-          steps.push({ type: currentType, label: currentLabel, text });
-        }
-      }
-    }
-  }
+/** Render follow-up turns (meta.json "turns") as a thread below the first answer */
+function renderTurns(promptDir, turns) {
+  if (!turns || !turns.length) return "";
+
+  const items = turns.map((t) => {
+    const turnDir = path.join(promptDir, t.dir);
+    const synthFile = t.synthesis?.file && path.join(turnDir, t.synthesis.file);
+    const synthesisHtml = synthFile && fs.existsSync(synthFile)
+      ? `<div class="synthesis"><h2>Synthesis</h2>${renderMarkdown(readBody(synthFile))}</div>`
+      : "";
+
+    return `
+    <article class="turn">
+      <h3><span class="turn-label">Turn ${t.turn}</span>${escapeHtml(t.text)}</h3>
+      ${synthesisHtml}
+      ${renderClaims(turnDir, "h4")}
+      ${renderAgreement(turnDir, "h4")}
+      ${renderPanels(turnDir, t.engines || [])}
+    </article>`;
+  });
 
-  return steps;
+  return `
+    <section class="thread">
+      <h2>Follow-ups</h2>
+      ${items.join("\n")}
+    </section>`;
 }
 
 // ---------------------------------------------------------------------------
-// HTML GENERATION
+// SYNTHESIS VERSIONS
 // ---------------------------------------------------------------------------
 
-function renderNextStepsCards(steps) {
-  if (!steps.length) return "";
-
-  const typeColors = {
-    investigate: { bg: "#2d1b4e", border: "#7c3aed", badge: "#a78bfa" },
-    research: { bg: "#1b2e4e", border: "#3b82f6", badge: "#93c5fd" },
-    implement: { bg: "#1b4e2d", border: "#22c55e", badge: "#86efac" },
-  };
+function versionLabel(v) {
+  const when = (v.finishedAt || v.startedAt || "").slice(0, 16).replace("T", " ");
+  const by = v.provider ? `${v.provider}${v.model ? ` ${v.model}` : ""}` : "";
+  return [when, v.template, by, v.status !== "ok" && v.status].filter(Boolean).join(" · ");
+}
 
-  const cards = steps
-    .map((step) => {
-      const colors = typeColors[step.type] || typeColors.investigate;
-      return `
-      <div class="card" style="background:${colors.bg};border-left:3px solid ${colors.border}">
-        <span class="badge" style="background:${colors.border};color:#fff">${step.label}</span>
-        <span class="card-text">${escapeHtml(step.text)}</span>
-      </div>`;
-    })
+/**
+ * Version picker and diff for a collection with more than one synthesis.
+ * Every version is rendered into the page; the inline script only switches
+ * which one shows and diffs their markdown.
+ */
+function renderVersions(promptDir, versions, currentFile) {
+  const bodies = {};
+  for (const v of versions) {
+    const file = path.join(promptDir, v.file);
+    if (fs.existsSync(file)) bodies[v.file] = readBody(file);
+  }
+  const available = versions.filter((v) => bodies[v.file] !== undefined).reverse();
+  const options = available
+    .map((v) => `<option value="${escapeHtml(v.file)}"${v.file === currentFile ? " selected" : ""}>${escapeHtml(versionLabel(v))}</option>`)
+    .join("");
+  const panes = available
+    .map((v) => `<div class="synth-version" data-file="${escapeHtml(v.file)}"${v.file === currentFile ? "" : " hidden"}>${renderMarkdown(bodies[v.file])}</div>`)
     .join("\n");
+  // "<" escaped so a synthesis can't close the script tag
+  const json = JSON.stringify(bodies).replace(/</g, "\\u003c");
 
   return `
-    <section class="next-steps">
-      <h2>Next Steps</h2>
-      <div class="cards">${cards}</div>
-    </section>`;
+  <div class="synth-versions">
+    <label>Version <select id="synth-version">${options}</select></label>
+    <label>Diff against <select id="synth-compare"><option value="">—</option>${options.replace(/ selected/, "")}</select></label>
+  </div>
+  ${panes}
+  <div class="synth-diff" id="synth-diff" hidden></div>
+  <script type="application/json" id="synth-bodies">${json}</script>
+  <script>
+  (function () {
+    var bodies = JSON.parse(document.getElementById("synth-bodies").textContent);
+    var pick = document.getElementById("synth-version");
+    var compare = document.getElementById("synth-compare");
+    var diffEl = document.getElementById("synth-diff");
+    function esc(s) { return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;"); }
+    function show() {
+      var diffing = compare.value && compare.value !== pick.value;
+      document.querySelectorAll(".synth-version").forEach(function (el) {
+        el.hidden = diffing || el.dataset.file !== pick.value;
+      });
+      diffEl.hidden = !diffing;
+      if (!diffing) return;
+      var marks = { same: "  ", add: "+ ", del: "- " };
+      diffEl.innerHTML = diffLines(bodies[compare.value], bodies[pick.value]).map(function (d) {
+        return '<div class="diff-' + d.op + '">' + marks[d.op] + esc(d.text) + "</div>";
+      }).join("");
+    }
+    pick.onchange = show;
+    compare.onchange = show;
+  })();
+  </script>`;
 }
 
 function escapeHtml(text) {
@@ -148,7 +223,32 @@ function escapeHtml(text) {
     .replace(/"/g, "&quot;");
 }
 
-function buildHtml(query, date, engines, synthesisHtml, nextStepsHtml, responsePanels) {
+/** The tags highlightAnswer() adds; any other HTML in markdown is shown as text */
+const AGREEMENT_TAG = /^(?:<mark class="agree-(?:unique|conflict)" title="[^"<>]*">|<\/mark>)$/;
+
+const markdown = new Marked({
+  renderer: {
+    html(token) {
+      if (!token.block && AGREEMENT_TAG.test(token.text)) return token.text;
+      return token.block ? `<p>${escapeHtml(token.text.trim())}</p>\n` : escapeHtml(token.text);
+    },
+    // javascript: and other non-web links become plain text
+    link(token) {
+      if (/^(?:https?:|mailto:|#|\/(?!\/))/i.test(token.href)) return false;
+      return this.parser.parseInline(token.tokens);
+    },
+  },
+});
+
+/**
+ * Answers and syntheses as HTML. Their text comes from third-party pages and
+ * LLMs, so raw HTML in it is escaped rather than rendered.
+ */
+function renderMarkdown(md) {
+  return markdown.parse(md);
+}
+
+function buildHtml(query, date, engines, synthesisHtml, analysisHtml, responsePanels) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -241,28 +341,34 @@ function buildHtml(query, date, engines, synthesisHtml, nextStepsHtml, responseP
   .synthesis strong { color: #fff; }
   .synthesis hr { border: none; border-top: 1px solid var(--border); margin: 1.5rem 0; }
 
-  /* Next Steps */
-  .next-steps { margin-bottom: 2rem; }
-  .next-steps h2 { font-size: 1.25rem; margin-bottom: 1rem; color: #fff; }
-  .cards { display: flex; flex-direction: column; gap: 0.5rem; }
-  .card {
-    display: flex;
-    align-items: flex-start;
-    gap: 0.75rem;
-    padding: 0.75rem 1rem;
-    border-radius: 6px;
-    font-size: 0.9rem;
-  }
-  .badge {
-    flex-shrink: 0;
-    padding: 0.15rem 0.5rem;
-    border-radius: 3px;
-    font-size: 0.75rem;
-    font-weight: 600;
-    text-transform: uppercase;
-    letter-spacing: 0.03em;
-  }
-  .card-text { flex: 1; }
+  /* Claims matrix */
+  .claims { margin-bottom: 2rem; overflow-x: auto; }
+  .claims h2 { font-size: 1.25rem; margin-bottom: 1rem; color: #fff; }
+  .claims h4 { margin: 1rem 0 0.5rem; color: #fff; }
+  .claims .meta { color: var(--text-muted); font-weight: normal; font-size: 0.85rem; }
+${CLAIMS_CSS}
+
+  /* Agreement (offline) */
+  .agreement { margin-bottom: 2rem; }
+  .agreement h2 { font-size: 1.25rem; margin-bottom: 1rem; color: #fff; }
+  .agreement h4 { margin: 1rem 0 0.5rem; color: #fff; }
+  .agreement .meta { color: var(--text-muted); font-weight: normal; font-size: 0.85rem; }
+  .agreement ul { list-style: none; font-size: 0.9rem; }
+  .agreement li { padding: 0.2rem 0; }
+  .agreement-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 1rem; }
+  .agreement .overlap { color: #c4b5fd; font-weight: 600; }
+  .agreement .figure { margin-right: 1rem; font-size: 0.85rem; }
+  .entities { display: flex; flex-wrap: wrap; gap: 0.4rem; }
+  .entity { background: var(--surface2); border-radius: 4px; padding: 0.15rem 0.5rem; font-size: 0.8rem; }
+  mark.agree-unique { background: rgba(234, 179, 8, 0.18); color: inherit; border-bottom: 1px dotted #fcd34d; }
+  mark.agree-conflict { background: rgba(239, 68, 68, 0.25); color: #fca5a5; border-radius: 2px; padding: 0 0.15rem; }
+
+  /* Side by side */
+${COMPARE_CSS}
+  .compare-grid td { line-height: 1.6; }
+  .compare-grid td p { margin-bottom: 0.5rem; }
+  .compare-grid td ul, .compare-grid td ol { margin: 0.4rem 0 0.6rem 1.25rem; }
+  .compare-grid td pre { background: var(--bg); padding: 0.5rem; border-radius: 4px; overflow-x: auto; }
 
   /* Accordions */
   .responses { margin-bottom: 2rem; }
@@ -319,6 +425,62 @@ function buildHtml(query, date, engines, synthesisHtml, nextStepsHtml, responseP
   }
   .panel-content th { background: var(--surface2); }
 
+  /* Sources */
+  .sources { margin-bottom: 2rem; }
+  .sources h2 { font-size: 1.25rem; margin-bottom: 1rem; color: #fff; }
+  .source-list { list-style: decimal; margin-left: 1.5rem; }
+  .source-list li { margin-bottom: 0.5rem; }
+  .source-list a { color: #c4b5fd; text-decoration: none; }
+  .source-list a:hover { text-decoration: underline; }
+  .source-host { color: var(--text-muted); font-size: 0.8rem; margin-left: 0.5rem; }
+  .source-engines { display: inline-flex; gap: 0.3rem; margin-left: 0.5rem; flex-wrap: wrap; }
+  .source-engines .engine-tag { font-size: 0.7rem; padding: 0.05rem 0.4rem; }
+
+  /* Follow-up thread */
+  .thread { margin-bottom: 2rem; }
+  .thread > h2 { font-size: 1.25rem; margin-bottom: 1rem; color: #fff; }
+  .turn { border-left: 2px solid var(--accent); padding-left: 1.25rem; margin-bottom: 2rem; }
+  .turn > h3 { font-size: 1.05rem; color: #fff; margin-bottom: 1rem; font-weight: 500; }
+  .turn-label {
+    background: var(--accent);
+    color: #fff;
+    border-radius: 3px;
+    padding: 0.1rem 0.5rem;
+    font-size: 0.75rem;
+    margin-right: 0.75rem;
+    text-transform: uppercase;
+  }
+  .turn .synthesis { margin-bottom: 1rem; }
+
+  /* Synthesis versions */
+  .synth-versions {
+    display: flex;
+    gap: 1rem;
+    flex-wrap: wrap;
+    margin-bottom: 1rem;
+    font-size: 0.85rem;
+    color: var(--text-muted);
+  }
+  .synth-versions select {
+    background: var(--surface2);
+    color: var(--text);
+    border: 1px solid var(--border);
+    border-radius: 4px;
+    padding: 0.2rem 0.4rem;
+    margin-left: 0.4rem;
+  }
+  .synth-diff {
+    font-family: 'SF Mono', Consolas, monospace;
+    font-size: 0.8rem;
+    white-space: pre-wrap;
+    background: var(--bg);
+    border-radius: 6px;
+    padding: 0.75rem;
+  }
+  .synth-diff .diff-add { background: rgba(34, 197, 94, 0.15); color: #86efac; }
+  .synth-diff .diff-del { background: rgba(239, 68, 68, 0.15); color: #fca5a5; }
+  .synth-diff .diff-same { color: var(--text-muted); }
+
   /* File links */
   .file-links {
     margin-top: 2rem;
@@ -338,7 +500,19 @@ function buildHtml(query, date, engines, synthesisHtml, nextStepsHtml, responseP
     body { padding: 1rem; }
     .synthesis, .panel-content { padding: 1rem; }
   }
+  @media print {
+    .view-switch, .synth-versions, .compare, .claims-matrix th::after { display: none !important; }
+    .response-list { display: block !important; }
+    details, section, article { break-inside: auto; }
+  }
 </style>
+<script>
+${DIFF_SCRIPT}
+
+${CLAIMS_SCRIPT}
+
+${COMPARE_SCRIPT}
+</script>
 </head>
 <body>
 
@@ -355,7 +529,7 @@ function buildHtml(query, date, engines, synthesisHtml, nextStepsHtml, responseP
 
 ${synthesisHtml ? `<section class="synthesis"><h2>Synthesis</h2>${synthesisHtml}</section>` : ""}
 
-${nextStepsHtml}
+${analysisHtml}
 
 ${responsePanels}
 
@@ -368,71 +542,66 @@ ${responsePanels}
 // ---------------------------------------------------------------------------
 
 /**
- * Generate index.html in a response folder.
+ * The viewer page of a response folder, from its meta.json.
  * @param {string} promptDir — absolute path to the response folder
- * @param {string} query — the original query text
- * @param {Array<{engine:string, slug:string, status:string}>} responses — response metadata
- * @param {string|null} synthesisPath — path to synthesis.md (or null)
+ * @param {object} [opts]
+ * @param {boolean} [opts.standalone] — leave out the links to the folder's
+ *   .md files, for a copy that is read away from the folder (see export.js)
+ * @returns {string} HTML
  */
-function generateViewer(promptDir, query, responses, synthesisPath) {
+function renderViewer(promptDir, opts = {}) {
+  const meta = readMeta(promptDir);
+  if (!meta) throw new Error(`Not a collection: ${promptDir}`);
+
   // Read synthesis
   let synthesisHtml = "";
-  let nextStepsHtml = "";
+  const synthesisPath = meta.synthesis?.file && path.join(promptDir, meta.synthesis.file);
   if (synthesisPath && fs.existsSync(synthesisPath)) {
-    const synthMd = fs.readFileSync(synthesisPath, "utf-8");
-    // Strip the metadata header (everything before first ---)
-    const parts = synthMd.split("---");
-    const body = parts.length >= 3 ? parts.slice(2).join("---") : synthMd;
-    synthesisHtml = marked(body.trim());
-    const steps = extractNextSteps(body);
-    nextStepsHtml = renderNextStepsCards(steps);
+    const body = readBody(synthesisPath);
+    const versions = synthesisVersions(meta);
+    synthesisHtml = versions.length > 1 ? renderVersions(promptDir, versions, meta.synthesis.file) : renderMarkdown(body);
   }
 
-  // Parse date from folder name
-  const folderName = path.basename(promptDir);
-  const dateMatch = folderName.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})/);
-  const date = dateMatch ? `${dateMatch[1]} ${dateMatch[2]}:${dateMatch[3]}` : new Date().toISOString().slice(0, 16);
+  const date = (meta.startedAt || new Date().toISOString()).slice(0, 16).replace("T", " ");
 
   // Engine names from responses
-  const engines = responses
-    .filter((r) => r.status === "ok")
-    .map((r) => r.engine);
-
-  // Build accordion panels for individual responses
-  const panelEntries = [];
-  for (const resp of responses) {
-    if (resp.status !== "ok") continue;
-    const mdFile = path.join(promptDir, `${resp.slug}.md`);
-    if (!fs.existsSync(mdFile)) continue;
-
-    const rawMd = fs.readFileSync(mdFile, "utf-8");
-    // Strip metadata header
-    const parts = rawMd.split("---");
-    const body = parts.length >= 3 ? parts.slice(2).join("---") : rawMd;
-    const html = marked(body.trim());
-
-    panelEntries.push(`
-    <details>
-      <summary>${escapeHtml(resp.engine)} <span class="meta">(${resp.chars || "?"} chars)</span></summary>
-      <div class="panel-content">${html}</div>
-    </details>`);
-  }
+  const engines = meta.engines.filter((e) => e.status === "ok").map((e) => e.engine);
 
-  const responsePanels = panelEntries.length
+  // Individual responses: accordions, or side by side
+  const panels = renderPanels(promptDir, meta.engines);
+  const responsePanels = panels
     ? `<section class="responses">
   <h2>Individual Responses</h2>
-  ${panelEntries.join("\n")}
+  ${panels}
 </section>`
     : "";
 
-  // File links
-  const mdFiles = fs.readdirSync(promptDir).filter((f) => f.endsWith(".md"));
+  // File links, relative so they work from disk and through the API alike
+  const mdIn = (dir) => (fs.existsSync(path.join(promptDir, dir)) ? fs.readdirSync(path.join(promptDir, dir)) : [])
+    .filter((f) => f.endsWith(".md"))
+    .map((f) => (dir ? `${dir}/${f}` : f));
+  const mdFiles = opts.standalone ? [] : [
+    ...mdIn(""),
+    ...synthesisVersions(meta).map((v) => v.file).filter((f) => f.includes("/")),
+    ...(meta.turns || []).flatMap((t) => mdIn(t.dir)),
+  ];
   const fileLinksHtml = mdFiles.length
-    ? `<div class="file-links">Raw files: ${mdFiles.map((f) => `<a href="${f}">${f}</a>`).join("")}</div>`
+    ? `<div class="file-links">Raw files: ${mdFiles.map((f) => `<a href="${encodeURI(f)}">${escapeHtml(f)}</a>`).join("")}</div>`
     : "";
 
-  const html = buildHtml(query, date, engines, synthesisHtml, nextStepsHtml, responsePanels + fileLinksHtml);
+  const sourcesHtml = renderSources(readSources(promptDir));
+  const threadHtml = renderTurns(promptDir, meta.turns);
 
+  return buildHtml(meta.query || "", date, engines, synthesisHtml, renderClaims(promptDir) + renderAgreement(promptDir), responsePanels + sourcesHtml + threadHtml + fileLinksHtml);
+}
+
+/**
+ * Generate index.html in a response folder from its meta.json.
+ * @param {string} promptDir — absolute path to the response folder
+ * @returns {string} path of the generated index.html
+ */
+function generateViewer(promptDir) {
+  const html = renderViewer(promptDir);
   const outPath = path.join(promptDir, "index.html");
   fs.writeFileSync(outPath, html, "utf-8");
   console.log(`  OK  Viewer generated: ${outPath}`);
@@ -440,4 +609,4 @@ function generateViewer(promptDir, query, responses, synthesisPath) {
   return outPath;
 }
 
-module.exports = { generateViewer, extractNextSteps };
+module.exports = { generateViewer, renderViewer, renderMarkdown };